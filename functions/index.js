@@ -2,6 +2,10 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import fileRoutes from './routes/files.js';
+import uploadSessionRoutes from './routes/uploads.js';
+import bundleRoutes from './routes/bundles.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import workspaceRoutes from './routes/workspaces.js';
 import userRoutes from './routes/users.js';
 import shareRoutes from './routes/share.js';
 import adminRoutes from './routes/admin.js';
@@ -9,6 +13,7 @@ import analyticsRoutes from './routes/analytics.js';
 import webhookRoutes from './routes/webhook.js';
 import requestRoutes from './routes/requests.js';
 import lifetimeDealRoutes from './routes/lifetime-deal.js';
+import storageRoutes from './routes/storage.js';
 import { generalLimiter, checkoutLimiter } from './middleware/rateLimiter.js';
 import { initializeCronJobs } from './jobs/cleanup.js';
 import logger from './utils/logger.js';
@@ -63,7 +68,8 @@ app.use((req, res, next) => {
   const start = Date.now();
   res.on('finish', () => {
     const duration = Date.now() - start;
-    logger.http(`${req.method} ${req.url} ${res.statusCode} - ${duration}ms`);
+    const apiKey = req.apiKey ? ` [API key ${req.apiKey.prefix}…]` : '';
+    logger.http(`${req.method} ${req.url} ${res.statusCode} - ${duration}ms${apiKey}`);
   });
   next();
 });
@@ -216,14 +222,19 @@ app.get('/debug/db', async (req, res) => {
 // Webhooks need raw body for signature verification
 // File upload routes need multer for multipart/form-data
 console.log('🔌 Registering API routes...');
+app.use('/api/files/uploads', uploadSessionRoutes); // Resumable chunked uploads - chunk bodies are streamed to disk, not parsed
+app.use('/api/bundles', bundleRoutes); // Multi-file uploads - multer parses the form
 app.use('/api/files', fileRoutes); // Removed express.json() - file uploads use multer for multipart/form-data
 app.use('/api/users', express.json(), userRoutes);
+app.use('/api/keys', express.json(), apiKeyRoutes);
+app.use('/api/workspaces', express.json(), workspaceRoutes);
 app.use('/api/share', express.json(), shareRoutes);
 app.use('/api/admin', express.json(), adminRoutes);
 app.use('/api/analytics', express.json(), analyticsRoutes);
 app.use('/api/requests', requestRoutes); // Removed express.json() - routes handle it individually (multer for uploads)
 app.use('/api/lifetime-deal', express.json(), lifetimeDealRoutes); // Lifetime deal counter routes
 app.use('/api/webhook', checkoutLimiter, webhookRoutes); // No express.json() - webhook route handles its own body parsing
+app.use('/api/storage', storageRoutes); // Signed URLs of the local filesystem storage driver
 console.log('✅ All API routes registered');
 
 // Error handling middleware
@@ -1,5 +1,11 @@
 import cron from 'node-cron';
 import { supabaseAdmin } from '../../config/supabase.js';
+import { removeChunks } from '../utils/chunkStore.js';
+import { storage, getFileStoragePath, getFileStoragePaths, STORAGE_DRIVER, STORAGE_BUCKET } from '../storage/index.js';
+import { scanUploadedFile, MAX_SCAN_ATTEMPTS } from '../utils/scanner.js';
+import { createFileThumbnail, MAX_THUMBNAIL_ATTEMPTS, THUMBNAIL_MAX_BYTES, THUMBNAIL_TYPES } from '../utils/thumbnails.js';
+import { destroyFile } from '../utils/burnAfterRead.js';
+import { cleanupExpiredOTPs as removeExpiredOTPs } from '../utils/otp.js';
 import logger, { logCleanup } from '../utils/logger.js';
 
 // Cleanup expired files
@@ -32,15 +38,10 @@ export const cleanupExpiredFiles = async () => {
     // Delete each file from storage and database
     for (const file of expiredFiles) {
       try {
-        // Extract file path from URL
-        const url = file.file_url;
-        const parts = url.split('/');
-        const filePath = `${file.user_id}/${parts[parts.length - 1]}`;
+        const filePath = getFileStoragePath(file);
 
-        // Delete from storage
-        const { error: storageError } = await supabaseAdmin.storage
-          .from('user-files')
-          .remove([filePath]);
+        // Delete from storage (with the thumbnail)
+        const { error: storageError } = await storage.remove(getFileStoragePaths(file));
 
         if (storageError) {
           console.error(`Failed to delete file from storage: ${filePath}`, storageError);
@@ -73,6 +74,46 @@ export const cleanupExpiredFiles = async () => {
   }
 };
 
+// Share link fields the cleanup jobs pick links to archive by
+const SHARE_LINK_ARCHIVE_FIELDS = `
+  id,
+  expires_at,
+  available_from,
+  uploaded_files (
+    expires_at
+  ),
+  file_bundles (
+    expires_at
+  )
+`;
+
+// Move share links to the history table with the given status, along with their access logs
+// (archive_share_link). Returns { archivedCount, errorCount }.
+const archiveShareLinks = async (links, status) => {
+  let archivedCount = 0;
+  let errorCount = 0;
+
+  for (const link of links) {
+    const { error } = await supabaseAdmin.rpc('archive_share_link', {
+      p_share_link_id: link.id,
+      p_status: typeof status === 'function' ? status(link) : status
+    });
+
+    if (error) {
+      console.error(`Error archiving link ${link.id}:`, error);
+      errorCount++;
+    } else {
+      archivedCount++;
+    }
+  }
+
+  return { archivedCount, errorCount };
+};
+
+// A scheduled link that expired before its available_from never opened for anyone
+const getExpiredLinkStatus = (link) =>
+  link.available_from && new Date(link.available_from) >= new Date(link.expires_at) ? 'never_activated' : 'expired';
+
 // Move expired share links to history table instead of deleting them
 export const cleanupExpiredShareLinks = async () => {
   try {
@@ -80,24 +121,7 @@ export const cleanupExpiredShareLinks = async () => {
 
     const { data: expiredLinks, error: fetchError } = await supabaseAdmin
       .from('share_links')
-      .select(`
-        id,
-        user_id,
-        share_token,
-        expires_at,
-        max_opens,
-        current_opens,
-        password_hash,
-        require_otp,
-        qr_code_enabled,
-        has_watermark,
-        created_at,
-        uploaded_files (
-          filename,
-          file_size,
-          file_type
-        )
-      `)
+      .select(SHARE_LINK_ARCHIVE_FIELDS)
       .lt('expires_at', new Date().toISOString())
       .not('expires_at', 'is', null); // Skip links with no expiry
 
@@ -114,62 +138,364 @@ export const cleanupExpiredShareLinks = async () => {
     console.log(`📦 Found ${expiredLinks.length} expired share links to archive`);
 
     // Move each expired link to history
-    let archivedCount = 0;
+    const { archivedCount, errorCount } = await archiveShareLinks(expiredLinks, getExpiredLinkStatus);
+
+    console.log(`✅ Archive completed: ${archivedCount} links archived, ${errorCount} errors`);
+    logger.info(`✅ Share links cleanup completed: ${archivedCount} links moved to history, ${errorCount} errors`);
+  } catch (error) {
+    console.error('Error in share links cleanup:', error);
+    logger.error('Share links cleanup failed:', error);
+  }
+};
+
+// Scheduled links whose file or bundle expires before they open would be deleted along with it
+// by cleanupExpiredFiles / cleanupExpiredBundles - archive them as never activated first
+export const archiveUnactivatedShareLinks = async () => {
+  try {
+    console.log('🧹 Archiving scheduled share links whose content expired...');
+
+    const now = new Date();
+
+    const { data: scheduledLinks, error: fetchError } = await supabaseAdmin
+      .from('share_links')
+      .select(SHARE_LINK_ARCHIVE_FIELDS)
+      .gt('available_from', now.toISOString());
+
+    if (fetchError) {
+      console.error('Error fetching scheduled links:', fetchError);
+      return;
+    }
+
+    const unactivatedLinks = (scheduledLinks || []).filter(link => {
+      const contentExpiresAt = (link.file_bundles || link.uploaded_files)?.expires_at;
+      return contentExpiresAt && new Date(contentExpiresAt) < now;
+    });
+
+    if (unactivatedLinks.length === 0) {
+      console.log('✅ No scheduled share links to archive');
+      return;
+    }
+
+    console.log(`📦 Found ${unactivatedLinks.length} scheduled share links that will never open`);
+
+    const { archivedCount, errorCount } = await archiveShareLinks(unactivatedLinks, 'never_activated');
+
+    logger.info(`✅ Scheduled share links cleanup completed: ${archivedCount} links moved to history, ${errorCount} errors`);
+  } catch (error) {
+    console.error('Error in scheduled share links cleanup:', error);
+    logger.error('Scheduled share links cleanup failed:', error);
+  }
+};
+
+// Delete expired bundles along with any files still stored for them
+export const cleanupExpiredBundles = async () => {
+  try {
+    console.log('🧹 Starting cleanup of expired bundles...');
+
+    const { data: expiredBundles, error: fetchError } = await supabaseAdmin
+      .from('file_bundles')
+      .select('id')
+      .lt('expires_at', new Date().toISOString())
+      .not('expires_at', 'is', null); // Skip bundles with no expiry
+
+    if (fetchError) {
+      console.error('Error fetching expired bundles:', fetchError);
+      return;
+    }
+
+    if (!expiredBundles || expiredBundles.length === 0) {
+      console.log('✅ No expired bundles to clean up');
+      return;
+    }
+
+    let deletedCount = 0;
     let errorCount = 0;
 
-    for (const link of expiredLinks) {
+    for (const bundle of expiredBundles) {
       try {
-        // Insert into history table
-        const { error: insertError } = await supabaseAdmin
-          .from('share_link_history')
-          .insert({
-            original_share_link_id: link.id,
-            user_id: link.user_id,
-            file_name: link.uploaded_files?.filename || 'Unknown file',
-            file_size: link.uploaded_files?.file_size || 0,
-            file_type: link.uploaded_files?.file_type || 'unknown',
-            share_token: link.share_token,
-            expires_at: link.expires_at,
-            max_opens: link.max_opens,
-            final_opens: link.current_opens || 0,
-            had_password: !!link.password_hash,
-            had_otp: link.require_otp || false,
-            had_qr_code: link.qr_code_enabled || false,
-            had_watermark: link.has_watermark || false,
-            created_at: link.created_at,
-            archived_at: new Date().toISOString(),
-            status: 'expired'
-          });
-
-        if (insertError) {
-          console.error(`Error archiving link ${link.id}:`, insertError);
+        // Bundle files share its expiry, so most are already gone by now
+        const { data: files, error: filesError } = await supabaseAdmin
+          .from('uploaded_files')
+          .select('storage_path, file_url, thumbnail_path')
+          .eq('bundle_id', bundle.id);
+
+        if (filesError) throw filesError;
+
+        if (files.length > 0) {
+          const { error: storageError } = await storage.remove(files.flatMap(getFileStoragePaths));
+          if (storageError) {
+            console.error(`Failed to delete files of bundle ${bundle.id} from storage`, storageError);
+            errorCount++;
+            continue;
+          }
+        }
+
+        // Cascade deletes the remaining file rows and share links
+        const { error: deleteError } = await supabaseAdmin
+          .from('file_bundles')
+          .delete()
+          .eq('id', bundle.id);
+
+        if (deleteError) {
+          console.error(`Failed to delete bundle ${bundle.id}:`, deleteError);
           errorCount++;
-          continue;
+        } else {
+          deletedCount++;
         }
+      } catch (error) {
+        console.error(`Error deleting bundle ${bundle.id}:`, error);
+        errorCount++;
+      }
+    }
+
+    logger.info(`✅ Bundle cleanup completed: ${deletedCount} bundles deleted, ${errorCount} errors`);
+    logCleanup('expired_bundles', deletedCount);
+  } catch (error) {
+    console.error('Error in bundle cleanup job:', error);
+  }
+};
+
+// Remove resumable upload sessions that were abandoned or finished, along with their chunks
+export const cleanupStaleUploadSessions = async () => {
+  try {
+    console.log('🧹 Starting cleanup of stale upload sessions...');
+
+    const { data: staleSessions, error: fetchError } = await supabaseAdmin
+      .from('upload_sessions')
+      .select('id, status')
+      .lt('expires_at', new Date().toISOString());
+
+    if (fetchError) {
+      console.error('Error fetching stale upload sessions:', fetchError);
+      return;
+    }
+
+    if (!staleSessions || staleSessions.length === 0) {
+      console.log('✅ No stale upload sessions to clean up');
+      return;
+    }
+
+    let deletedCount = 0;
+    let errorCount = 0;
+
+    for (const session of staleSessions) {
+      try {
+        await removeChunks(session.id);
 
-        // Delete the original share link
         const { error: deleteError } = await supabaseAdmin
-          .from('share_links')
+          .from('upload_sessions')
           .delete()
-          .eq('id', link.id);
+          .eq('id', session.id);
 
         if (deleteError) {
-          console.error(`Error deleting original link ${link.id}:`, deleteError);
+          console.error(`Failed to delete upload session ${session.id}:`, deleteError);
           errorCount++;
         } else {
-          archivedCount++;
+          deletedCount++;
         }
       } catch (error) {
-        console.error(`Error processing link ${link.id}:`, error);
+        console.error(`Error cleaning up upload session ${session.id}:`, error);
         errorCount++;
       }
     }
 
-    console.log(`✅ Archive completed: ${archivedCount} links archived, ${errorCount} errors`);
-    logger.info(`✅ Share links cleanup completed: ${archivedCount} links moved to history, ${errorCount} errors`);
+    logger.info(`✅ Upload session cleanup completed: ${deletedCount} sessions removed, ${errorCount} errors`);
+    logCleanup('upload_sessions', deletedCount);
   } catch (error) {
-    console.error('Error in share links cleanup:', error);
-    logger.error('Share links cleanup failed:', error);
+    console.error('Error in upload session cleanup job:', error);
+  }
+};
+
+// Remove expired OTP codes from the OTP store (Redis expires them by itself)
+export const cleanupExpiredOTPs = async () => {
+  try {
+    const removedCount = await removeExpiredOTPs();
+
+    if (removedCount > 0) {
+      logger.info(`✅ OTP cleanup completed: ${removedCount} expired codes removed`);
+      logCleanup('expired_otps', removedCount);
+    }
+  } catch (error) {
+    console.error('Error in OTP cleanup job:', error);
+  }
+};
+
+// Re-scan files whose scan never finished (e.g. the server restarted) or failed. Files marked
+// scan_failed before that was final are picked up too.
+export const retryFileScans = async () => {
+  try {
+    console.log('🛡️ Retrying pending malware scans...');
+
+    // Leave recent uploads to the scan that was started when they were uploaded
+    const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+
+    const { data: files, error: fetchError } = await supabaseAdmin
+      .from('uploaded_files')
+      .select('*')
+      .or(`and(scan_status.eq.pending_scan,uploaded_at.lt.${tenMinutesAgo}),and(scan_status.eq.scan_failed,scan_attempts.lt.${MAX_SCAN_ATTEMPTS})`)
+      .order('uploaded_at', { ascending: true })
+      .limit(50);
+
+    if (fetchError) {
+      console.error('Error fetching files to scan:', fetchError);
+      return;
+    }
+
+    if (!files || files.length === 0) {
+      console.log('✅ No pending malware scans');
+      return;
+    }
+
+    const results = { clean: 0, infected: 0, pending_scan: 0, scan_failed: 0 };
+    for (const file of files) {
+      const status = await scanUploadedFile(file);
+      results[status]++;
+    }
+
+    logger.info(`✅ Malware scan retry completed: ${results.clean} clean, ${results.infected} infected, ${results.pending_scan} to retry, ${results.scan_failed} given up`);
+  } catch (error) {
+    console.error('Error in malware scan retry job:', error);
+  }
+};
+
+// Make thumbnails that were never made (e.g. the server restarted, or files uploaded before thumbnails
+// existed) or failed
+export const retryThumbnails = async () => {
+  try {
+    console.log('🖼️ Retrying missing thumbnails...');
+
+    // Leave recent uploads to the thumbnail that is made after their scan
+    const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+
+    const { data: files, error: fetchError } = await supabaseAdmin
+      .from('uploaded_files')
+      .select('*')
+      .eq('scan_status', 'clean')
+      .eq('is_encrypted', false)
+      .in('file_type', THUMBNAIL_TYPES)
+      .lte('file_size', THUMBNAIL_MAX_BYTES)
+      .or(`and(thumbnail_status.is.null,uploaded_at.lt.${tenMinutesAgo}),and(thumbnail_status.eq.failed,thumbnail_attempts.lt.${MAX_THUMBNAIL_ATTEMPTS})`)
+      .order('uploaded_at', { ascending: true })
+      .limit(50);
+
+    if (fetchError) {
+      console.error('Error fetching files without thumbnails:', fetchError);
+      return;
+    }
+
+    if (!files || files.length === 0) {
+      console.log('✅ No missing thumbnails');
+      return;
+    }
+
+    const results = { ready: 0, failed: 0 };
+    for (const file of files) {
+      const status = await createFileThumbnail(file);
+      results[status]++;
+    }
+
+    logger.info(`✅ Thumbnail retry completed: ${results.ready} created, ${results.failed} failed`);
+  } catch (error) {
+    console.error('Error in thumbnail retry job:', error);
+  }
+};
+
+// Destroy burn-after-read files whose final download never completed
+export const destroyExhaustedFiles = async () => {
+  try {
+    const { data: files, error: fetchError } = await supabaseAdmin
+      .from('uploaded_files')
+      .select('*')
+      .lt('destroy_after', new Date().toISOString())
+      .not('destroy_after', 'is', null);
+
+    if (fetchError) {
+      console.error('Error fetching files to destroy:', fetchError);
+      return;
+    }
+
+    if (!files || files.length === 0) {
+      return;
+    }
+
+    let destroyedCount = 0;
+    let errorCount = 0;
+
+    for (const file of files) {
+      try {
+        await destroyFile(file);
+        destroyedCount++;
+      } catch (error) {
+        console.error(`Error destroying file ${file.id}:`, error);
+        errorCount++;
+      }
+    }
+
+    logger.info(`🔥 Burn-after-read cleanup completed: ${destroyedCount} files destroyed, ${errorCount} errors`);
+    logCleanup('burn_after_read', destroyedCount);
+  } catch (error) {
+    console.error('Error in burn-after-read cleanup job:', error);
+  }
+};
+
+// Move files that earlier versions stored in another Supabase bucket (storage_bucket, see
+// MASTER-SETUP.sql STEP 32) into STORAGE_BUCKET, keeping their path
+export const moveLegacyBucketFiles = async () => {
+  try {
+    const { data: files, error: fetchError } = await supabaseAdmin
+      .from('uploaded_files')
+      .select('id, storage_path, storage_bucket')
+      .not('storage_bucket', 'is', null)
+      .limit(100);
+
+    if (fetchError) {
+      console.error('Error fetching files to move:', fetchError);
+      return;
+    }
+
+    if (!files || files.length === 0) {
+      return;
+    }
+
+    // Other backends can't reach Supabase buckets - the objects have to be copied over by hand
+    if (STORAGE_DRIVER !== 'supabase') {
+      logger.warn(`⚠️ Some files are still in the Supabase bucket "${files[0].storage_bucket}". Copy them to the ${STORAGE_DRIVER} storage under their storage_path, then clear storage_bucket.`);
+      return;
+    }
+
+    let movedCount = 0;
+    let errorCount = 0;
+
+    for (const file of files) {
+      if (file.storage_bucket !== STORAGE_BUCKET) {
+        const { error: moveError } = await supabaseAdmin.storage
+          .from(file.storage_bucket)
+          .move(file.storage_path, file.storage_path, { destinationBucket: STORAGE_BUCKET });
+
+        // A move whose row update failed last time has nothing left to move
+        if (moveError && (await storage.stat(file.storage_path)).error) {
+          console.error(`Failed to move file ${file.id} out of bucket ${file.storage_bucket}:`, moveError);
+          errorCount++;
+          continue;
+        }
+      }
+
+      const { error: updateError } = await supabaseAdmin
+        .from('uploaded_files')
+        .update({ storage_bucket: null })
+        .eq('id', file.id);
+
+      if (updateError) {
+        console.error(`Failed to update storage bucket of file ${file.id}:`, updateError);
+        errorCount++;
+        continue;
+      }
+      movedCount++;
+    }
+
+    logger.info(`📦 Moved ${movedCount} files into the ${STORAGE_BUCKET} bucket, ${errorCount} errors`);
+  } catch (error) {
+    console.error('Error in storage bucket move job:', error);
   }
 };
 
@@ -201,7 +527,7 @@ export const resetDailyLimits = async () => {
   }
 };
 
-// Cleanup old access logs (older than 30 days)
+// Cleanup old access logs and download deliveries (older than 30 days)
 export const cleanupOldLogs = async () => {
   try {
     console.log('🧹 Starting cleanup of old access logs...');
@@ -209,16 +535,25 @@ export const cleanupOldLogs = async () => {
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-    const { data, error } = await supabaseAdmin
-      .from('access_logs')
-      .delete()
-      .lt('accessed_at', thirtyDaysAgo.toISOString())
-      .select();
+    // Logs that forensic marks lead to are kept
+    const { data: deletedLogs, error } = await supabaseAdmin
+      .rpc('delete_old_access_logs', { p_before: thirtyDaysAgo.toISOString() });
 
     if (error) {
       console.error('Error deleting old logs:', error);
     } else {
-      console.log(`✅ Deleted ${data?.length || 0} old access logs`);
+      console.log(`✅ Deleted ${deletedLogs || 0} old access logs`);
+    }
+
+    const { count, error: deliveriesError } = await supabaseAdmin
+      .from('share_deliveries')
+      .delete({ count: 'exact' })
+      .lt('created_at', thirtyDaysAgo.toISOString());
+
+    if (deliveriesError) {
+      console.error('Error deleting old deliveries:', deliveriesError);
+    } else {
+      console.log(`✅ Deleted ${count || 0} old download deliveries`);
     }
   } catch (error) {
     console.error('Error in log cleanup job:', error);
@@ -256,11 +591,26 @@ export const checkExpiredTrials = async () => {
 export const initializeCronJobs = () => {
   console.log('⏰ Initializing scheduled jobs...');
 
+  // Files from before the single storage bucket can't be served until they are moved
+  moveLegacyBucketFiles();
+
   // Run cleanup every hour
   cron.schedule('0 * * * *', async () => {
     console.log('⏰ Running hourly cleanup jobs...');
+    await archiveUnactivatedShareLinks(); // Before the files, whose deletion would take the links with them
     await cleanupExpiredFiles();
     await cleanupExpiredShareLinks();
+    await cleanupExpiredBundles(); // After the share links, so bundle links are archived first
+    await cleanupStaleUploadSessions();
+    await cleanupExpiredOTPs();
+  });
+
+  // Retry unfinished malware scans and thumbnails, finish burn-after-read deletions and move files out of old buckets every 10 minutes
+  cron.schedule('*/10 * * * *', async () => {
+    await retryFileScans();
+    await retryThumbnails(); // After the scans, which start thumbnails for the files they pass
+    await destroyExhaustedFiles();
+    if (STORAGE_DRIVER === 'supabase') await moveLegacyBucketFiles();
   });
 
   // Reset daily limits at midnight every day
@@ -282,6 +632,14 @@ export const initializeCronJobs = () => {
 export default {
   cleanupExpiredFiles,
   cleanupExpiredShareLinks,
+  archiveUnactivatedShareLinks,
+  cleanupExpiredBundles,
+  cleanupStaleUploadSessions,
+  cleanupExpiredOTPs,
+  retryFileScans,
+  retryThumbnails,
+  destroyExhaustedFiles,
+  moveLegacyBucketFiles,
   resetDailyLimits,
   cleanupOldLogs,
   checkExpiredTrials,
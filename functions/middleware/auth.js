@@ -1,11 +1,56 @@
 import { supabase } from '../../config/supabase.js';
+import { isApiKey, authenticateApiKey, recordApiKeyUse } from '../utils/apiKeys.js';
+import logger from '../utils/logger.js';
+
+// Login session a Supabase access token belongs to. Only read after getUser() has verified the token.
+const getSessionId = (token) => {
+  try {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8')).session_id || null;
+  } catch {
+    return null;
+  }
+};
+
+// Personal API keys are only accepted on routes that opt in with the scope they need.
+// Put it before authMiddleware: router.post('/upload', allowApiKey('upload'), authMiddleware, ...)
+export const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
+
+// Authenticate with a personal API key instead of a Supabase session
+const authenticateWithApiKey = async (req, res, next, key) => {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({ error: 'API keys cannot be used for this endpoint', code: 'api_key_not_allowed' });
+  }
+
+  const result = await authenticateApiKey(key);
+  if (!result) {
+    return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+  }
+
+  const { apiKey, user } = result;
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    return res.status(403).json({ error: `API key is missing the "${req.apiKeyScope}" scope`, code: 'api_key_scope' });
+  }
+
+  logger.info(`🔑 API key ${apiKey.key_prefix}… used by user ${user.id}: ${req.method} ${req.originalUrl}`);
+  recordApiKeyUse(apiKey.id, req.ip).catch(error => {
+    logger.error(`Failed to record use of API key ${apiKey.id}:`, error);
+  });
+
+  req.user = user;
+  req.apiKey = { id: apiKey.id, prefix: apiKey.key_prefix, scopes: apiKey.scopes };
+  next();
+};
 
 export const authMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
+    const isKey = !!authHeader?.startsWith('Bearer ') && isApiKey(authHeader.substring(7));
     console.log('🔐 Auth check:', {
       hasAuthHeader: !!authHeader,
-      headerPreview: authHeader ? authHeader.substring(0, 30) + '...' : 'none',
+      headerPreview: authHeader ? authHeader.substring(0, isKey ? 19 : 30) + '...' : 'none', // Never log an API key
       path: req.path
     });
 
@@ -16,6 +61,10 @@ export const authMiddleware = async (req, res, next) => {
 
     const token = authHeader.substring(7);
 
+    if (isKey) {
+      return await authenticateWithApiKey(req, res, next, token);
+    }
+
     // Verify the JWT token
     const { data: { user }, error } = await supabase.auth.getUser(token);
 
@@ -25,6 +74,7 @@ export const authMiddleware = async (req, res, next) => {
 
     // Attach user to request
     req.user = user;
+    req.authSessionId = getSessionId(token);
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
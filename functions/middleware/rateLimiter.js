@@ -11,6 +11,8 @@ export const generalLimiter = rateLimit({
   },
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+  // Resumable upload chunks have their own limiter - a multi-GB upload needs hundreds of chunk requests
+  skip: (req) => req.method === 'PUT' && /^\/api\/files\/uploads\/[^/]+\/chunks\//.test(req.originalUrl),
   handler: (req, res) => {
     res.status(429).json({
       error: 'Too many requests',
@@ -39,6 +41,15 @@ export const uploadLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiter for resumable upload chunks
+export const chunkUploadLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 2000, // Limit each IP to 2000 chunk requests per 15 minutes (~16GB at the default 8MB chunk size)
+  message: 'Upload limit reached, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Rate limiter for share link access (prevent abuse)
 export const shareLimiter = rateLimit({
   windowMs: 5 * 60 * 1000, // 5 minutes
@@ -81,6 +92,7 @@ export default {
   generalLimiter,
   authLimiter,
   uploadLimiter,
+  chunkUploadLimiter,
   shareLimiter,
   passwordLimiter,
   checkoutLimiter,
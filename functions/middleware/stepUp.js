@@ -0,0 +1,48 @@
+import { supabaseAdmin } from '../../config/supabase.js';
+import { STEP_UP_MAX_AGE } from '../utils/twoFactor.js';
+
+// Sensitive routes need a recent second factor in the current login session, on top of the
+// Supabase JWT. Use after authMiddleware. Clients that get a 403 with code "step_up_required"
+// call POST /api/users/totp/verify and retry.
+// Accounts without an authenticator app pass through, unless enrollment is required (admin routes).
+export const requireStepUp = ({ requireEnrollment = false } = {}) => async (req, res, next) => {
+  try {
+    const { data: userData, error } = await supabaseAdmin
+      .from('users')
+      .select('totp_enabled_at, step_up_at, step_up_session_id')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error) throw error;
+
+    if (!userData.totp_enabled_at) {
+      if (!requireEnrollment) return next();
+
+      return res.status(403).json({
+        error: 'Two-factor authentication required',
+        message: 'Set up an authenticator app for your account to use this feature.',
+        code: 'two_factor_required'
+      });
+    }
+
+    const isRecent = userData.step_up_at &&
+      Date.now() - new Date(userData.step_up_at).getTime() < STEP_UP_MAX_AGE;
+    const isSameSession = !userData.step_up_session_id || userData.step_up_session_id === req.authSessionId;
+
+    if (!isRecent || !isSameSession) {
+      console.log(`🔐 Step-up required for user ${req.user.id} on ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        error: 'Step-up required',
+        message: 'Confirm with a code from your authenticator app to continue.',
+        code: 'step_up_required'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Step-up check error:', error);
+    res.status(500).json({ error: 'Failed to verify two-factor authentication' });
+  }
+};
+
+export default requireStepUp;
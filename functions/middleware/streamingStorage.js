@@ -0,0 +1,136 @@
+import multer from 'multer';
+import { Transform } from 'stream';
+import { storage } from '../storage/index.js';
+import { SNIFF_BYTES } from '../utils/fileType.js';
+
+// Holds back the first headSize bytes of a stream until they can be inspected.
+// `head` resolves with those bytes (or the whole file if it is smaller).
+const createSniffer = (headSize) => {
+  const buffered = [];
+  let length = 0;
+  let released = false;
+  let resolveHead;
+  let rejectHead;
+
+  const release = (stream) => {
+    const head = Buffer.concat(buffered);
+    released = true;
+    stream.push(head);
+    resolveHead(head.subarray(0, headSize));
+  };
+
+  const sniffer = new Transform({
+    transform(chunk, encoding, callback) {
+      if (released) return callback(null, chunk);
+
+      buffered.push(chunk);
+      length += chunk.length;
+      if (length >= headSize) release(this);
+      callback();
+    },
+    flush(callback) {
+      if (!released) release(this);
+      callback();
+    }
+  });
+
+  sniffer.head = new Promise((resolve, reject) => {
+    resolveHead = resolve;
+    rejectHead = reject;
+  });
+  sniffer.on('error', (error) => {
+    if (!released) rejectHead(error);
+  });
+
+  return sniffer;
+};
+
+// Multer storage engine that streams each file straight into the storage backend instead of
+// buffering it in memory. The byte limit is resolved per request (e.g. from the user's
+// remaining quota) and the upload is aborted as soon as the stream goes past it.
+// inspectFile(req, file, head) receives the first bytes before anything is stored and
+// returns the content type to store the file with, or throws to reject the file.
+// processFile(req, file, contentType) may return a function that rewrites the file before it is
+// stored (e.g. removing image metadata): it gets the incoming stream and resolves with { body, info }.
+// info is available as req.file.metadata.
+export const createStreamingStorage = ({ getPath, getMaxSize, inspectFile, processFile }) => ({
+  _handleFile(req, file, cb) {
+    let sniffer = null;
+    let limiter = null;
+
+    Promise.resolve()
+      .then(async () => {
+        const filePath = await getPath(req, file);
+        const maxSize = await getMaxSize(req, file);
+        let size = 0;
+        let limitError = null;
+
+        limiter = new Transform({
+          transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > maxSize) {
+              limitError = new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname);
+              limitError.maxSize = maxSize;
+              limitError.bytesReceived = size;
+              return callback(limitError);
+            }
+            callback(null, chunk);
+          }
+        });
+
+        sniffer = createSniffer(SNIFF_BYTES);
+
+        file.stream.on('error', (error) => limiter.destroy(error));
+        limiter.on('error', (error) => sniffer.destroy(error));
+        file.stream.pipe(limiter).pipe(sniffer);
+
+        // Nothing is stored until the first bytes have been checked
+        const head = await sniffer.head;
+        const contentType = inspectFile ? await inspectFile(req, file, head) : file.mimetype;
+
+        const processor = processFile ? await processFile(req, file, contentType) : null;
+        const processed = processor ? await processor(sniffer) : null;
+
+        const { error: uploadError } = await storage.upload(filePath, processed ? processed.body : sniffer, {
+          contentType,
+          cacheControl: '3600',
+          upsert: false
+        });
+
+        if (limitError || uploadError) {
+          if (limitError) throw limitError;
+
+          console.error('Storage upload error:', uploadError);
+          const storageError = new Error('Failed to upload file to storage');
+          storageError.isStorageError = true;
+          storageError.cause = uploadError;
+          throw storageError;
+        }
+
+        return {
+          path: filePath,
+          size: processed ? processed.body.length : size,
+          detectedType: contentType,
+          metadata: processed ? processed.info : null
+        };
+      })
+      .then(info => cb(null, info), (error) => {
+        // Drain the rest of the file so the multipart parser can finish
+        if (limiter) {
+          file.stream.unpipe(limiter);
+          limiter.destroy();
+          sniffer.destroy();
+          file.stream.resume();
+        }
+        cb(error);
+      });
+  },
+
+  _removeFile(req, file, cb) {
+    storage
+      .remove([file.path])
+      .then(({ error }) => cb(error || null), cb);
+  }
+});
+
+export default createStreamingStorage;
@@ -1,78 +1,186 @@
 import multer from 'multer';
 import path from 'path';
+import crypto from 'crypto';
+import { storage } from '../storage/index.js';
+import { createStreamingStorage } from './streamingStorage.js';
+import { getUploadQuota, checkUploadQuota, MAX_FILE_SIZE, ANONYMOUS_MAX_FILE_SIZE } from '../utils/quota.js';
+import { isAllowedFileType, verifyFileType } from '../utils/fileType.js';
+import { supportsMetadataStripping, shouldStripMetadata, stripUploadedImage } from '../utils/imageMetadata.js';
 
-// Configure multer for memory storage (files stored in memory before uploading to Supabase)
-const storage = multer.memoryStorage();
+// Tier whose allow-list applies to this upload
+export const getUploadTier = (req) => {
+  if (!req.user) return 'anonymous';
+  return req.uploadQuota?.tier === 'pro' ? 'pro' : 'free';
+};
+
+// Check if it's an encrypted file (has .encrypted extension or is_encrypted flag)
+const isEncryptedUpload = (req, file) => file.originalname.endsWith('.encrypted') ||
+  (req.body && req.body.is_encrypted === 'true');
 
 // File filter to validate file types
 const fileFilter = (req, file, cb) => {
-  // List of allowed MIME types
-  const allowedTypes = [
-    // Documents
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'application/vnd.ms-powerpoint',
-    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-    'text/plain',
-    'text/csv',
-    // Images
-    'image/jpeg',
-    'image/jpg',
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'image/svg+xml',
-    // Videos
-    'video/mp4',
-    'video/mpeg',
-    'video/quicktime',
-    'video/x-msvideo',
-    'video/webm',
-    // Audio
-    'audio/mpeg',
-    'audio/wav',
-    'audio/ogg',
-    'audio/webm',
-    // Archives
-    'application/zip',
-    'application/x-rar-compressed',
-    'application/x-7z-compressed',
-    'application/x-tar',
-    'application/gzip',
-    // Code files
-    'application/json',
-    'application/javascript',
-    'text/html',
-    'text/css',
-    'application/xml',
-    // Encrypted files (E2EE)
-    'application/octet-stream',
-  ];
-
-  // Check if it's an encrypted file (has .encrypted extension or is_encrypted flag)
-  const isEncrypted = file.originalname.endsWith('.encrypted') || 
-                     (req.body && req.body.is_encrypted === 'true');
-
-  if (allowedTypes.includes(file.mimetype) || isEncrypted) {
+  const isEncrypted = isEncryptedUpload(req, file);
+
+  if (isAllowedFileType(file.mimetype, file.originalname, isEncrypted, getUploadTier(req))) {
     console.log(`✅ File type allowed: ${file.mimetype} (encrypted: ${isEncrypted})`);
     cb(null, true);
   } else {
     console.log(`❌ File type rejected: ${file.mimetype}`);
-    cb(new Error(`File type ${file.mimetype} is not allowed`), false);
+    const error = new Error(`File type ${file.mimetype} is not allowed`);
+    error.isFileTypeError = true;
+    cb(error, false);
+  }
+};
+
+// The declared type is only a hint - check the file's first bytes before it is stored
+const inspectFile = async (req, file, head) => {
+  const fileType = await verifyFileType(head, {
+    claimedType: file.mimetype,
+    filename: file.originalname,
+    isEncrypted: isEncryptedUpload(req, file),
+    tier: getUploadTier(req)
+  });
+
+  if (fileType !== file.mimetype) {
+    console.log(`🔍 Detected file type ${fileType} (declared: ${file.mimetype})`);
   }
+  return fileType;
+};
+
+// Photos have their EXIF/GPS metadata removed before they are stored when the upload (or the user's
+// default) asks for it. Encrypted files can't be read.
+const stripMetadata = async (req, file, contentType) => {
+  if (isEncryptedUpload(req, file) || !supportsMetadataStripping(contentType)) return null;
+  if (!(await shouldStripMetadata(req))) return null;
+
+  return (stream) => stripUploadedImage(stream, contentType);
 };
 
-// Configure multer upload
-export const upload = multer({
-  storage,
+// Configure a multer upload that streams files into storage.
+// Fields sent before the file part (e.g. is_encrypted) are available to the filter.
+// The detected type is available as req.file.detectedType, and what processFile did as req.file.metadata.
+export const createUpload = ({ getPath, getMaxSize, processFile }) => multer({
+  storage: createStreamingStorage({ getPath, getMaxSize, inspectFile, processFile }),
   fileFilter,
   limits: {
-    fileSize: 10 * 1024 * 1024 * 1024, // 10GB max (will be enforced by subscription tier)
+    fileSize: MAX_FILE_SIZE, // 10GB max (tier limits are enforced while streaming)
   },
 });
 
-export default upload;
+// Bytes of the files already received in this request (multi-file uploads share one quota)
+const getUploadedBytes = (req) => Array.isArray(req.files)
+  ? req.files.reduce((total, file) => total + (file.size || 0), 0)
+  : 0;
+
+// Authenticated uploads go to the user's folder and stop at whatever is left of their quota
+export const upload = createUpload({
+  getPath: (req, file) => {
+    const fileExt = file.originalname.split('.').pop();
+    const uniqueId = crypto.randomBytes(16).toString('hex');
+    return `${req.user.id}/${uniqueId}.${fileExt}`;
+  },
+  getMaxSize: (req) => req.uploadQuota
+    ? Math.min(req.uploadQuota.remaining - getUploadedBytes(req), MAX_FILE_SIZE)
+    : MAX_FILE_SIZE,
+  processFile: stripMetadata,
+});
+
+// Anonymous uploads are capped at 1GB per file
+export const anonymousUpload = createUpload({
+  getPath: (req, file) => {
+    const fileExtension = file.originalname.split('.').pop() || '';
+    const fileName = `${Date.now()}-${Math.random().toString(36).substring(2)}.${fileExtension}`;
+    return `anonymous-uploads/${fileName}`;
+  },
+  getMaxSize: () => ANONYMOUS_MAX_FILE_SIZE,
+});
+
+// Load the user's (or workspace's) upload quota before the file is streamed so the size limit can be enforced mid-upload
+export const loadUploadQuota = async (req, res, next) => {
+  try {
+    req.uploadQuota = await getUploadQuota(req.user, req.workspace);
+    next();
+  } catch (error) {
+    if (error.isProfileCreationError) {
+      return res.status(500).json({ 
+        error: 'Failed to create user profile',
+        details: error.message,
+        code: error.code
+      });
+    }
+    next(error);
+  }
+};
 
+// Files are in storage before the route handler runs, so remove them again if the
+// request ends in an error response (failed validation, rejected request, ...)
+export const discardUploadOnError = (req, res, next) => {
+  res.on('finish', () => {
+    const files = req.files || (req.file ? [req.file] : []);
+    if (res.statusCode < 400 || files.length === 0) return;
+
+    for (const file of files) {
+      storage
+        .remove([file.path])
+        .then(({ error }) => {
+          if (error) console.error(`Failed to discard upload ${file.path}:`, error);
+        });
+    }
+  });
+  next();
+};
+
+// Single file that is only inspected (e.g. a leaked copy checked for a forensic mark): read into memory,
+// never stored. Errors go to handleUploadErrors like any other upload.
+export const inspectionUpload = (field, maxSize) => {
+  const memoryUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 }
+  }).single(field);
+
+  return (req, res, next) => memoryUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      err.maxSize = maxSize;
+    }
+    next(err);
+  });
+};
+
+// Turn errors raised while streaming into proper responses
+export const handleUploadErrors = (err, req, res, next) => {
+  if (err.isStorageError) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  if (err.isFileTypeError) {
+    return res.status(415).json({ error: err.message });
+  }
+
+  if (err.isMetadataError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    console.log(`❌ Upload stopped after ${err.bytesReceived || 'too many'} bytes (limit: ${err.maxSize || MAX_FILE_SIZE})`);
+
+    if (req.uploadQuota) {
+      const quotaViolation = checkUploadQuota(req.uploadQuota, err.bytesReceived || MAX_FILE_SIZE + 1);
+      if (quotaViolation) {
+        return res.status(quotaViolation.status).json(quotaViolation.body);
+      }
+    }
+
+    return res.status(413).json({ 
+      error: `File too large. Maximum size is ${Math.round((err.maxSize || MAX_FILE_SIZE) / (1024 * 1024))}MB for this upload.`,
+      maxSize: err.maxSize || MAX_FILE_SIZE
+    });
+  }
+
+  // Too many files, unexpected field names, ...
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({ error: err.message, code: err.code });
+  }
+  next(err);
+};
+
+export default upload;
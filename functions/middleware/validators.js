@@ -1,4 +1,9 @@
 import { body, param, query, validationResult } from 'express-validator';
+import { MIN_CHUNK_SIZE, MAX_CHUNK_SIZE } from '../utils/chunkStore.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+import { INVITABLE_ROLES } from '../utils/workspaces.js';
+import { WATERMARK_POSITIONS } from '../utils/watermark.js';
+import { FORENSIC_MODES, FORENSIC_CODE_PATTERN } from '../utils/forensicWatermark.js';
 
 // Middleware to handle validation errors
 export const handleValidationErrors = (req, res, next) => {
@@ -24,20 +29,122 @@ export const validateFileUpload = [
     .optional()
     .isFloat({ min: 0 }) // Allow 0 for "no expiry", and any positive value
     .withMessage('Expiration must be 0 (no expiry) or a positive number of hours'),
+  body('strip_metadata')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('strip_metadata must be "true" or "false"'),
+  handleValidationErrors
+];
+
+// Bundle upload validation
+export const validateBundleUpload = [
+  body('name')
+    .optional({ values: 'falsy' })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Bundle name must be at most 255 characters'),
+  body('expires_in_hours')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Expiration must be 0 (no expiry) or a positive number of hours'),
+  body('strip_metadata')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('strip_metadata must be "true" or "false"'),
+  handleValidationErrors
+];
+
+// Resumable upload session validation
+export const validateUploadSessionInit = [
+  body('filename')
+    .notEmpty()
+    .withMessage('Filename is required')
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Filename must be at most 255 characters'),
+  body('file_size')
+    .notEmpty()
+    .withMessage('File size is required')
+    .isInt({ min: 1 })
+    .withMessage('File size must be a positive number of bytes'),
+  body('file_type')
+    .notEmpty()
+    .withMessage('File type is required')
+    .isString(),
+  body('chunk_size')
+    .optional()
+    .isInt({ min: MIN_CHUNK_SIZE, max: MAX_CHUNK_SIZE })
+    .withMessage(`Chunk size must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`),
+  body('expires_in_hours')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Expiration must be 0 (no expiry) or a positive number of hours'),
+  handleValidationErrors
+];
+
+// Upload session ID validation
+export const validateUploadSessionId = [
+  param('uploadId')
+    .isUUID()
+    .withMessage('Invalid upload ID format'),
   handleValidationErrors
 ];
 
+// Upload chunk validation
+export const validateUploadChunk = [
+  param('uploadId')
+    .isUUID()
+    .withMessage('Invalid upload ID format'),
+  param('index')
+    .isInt({ min: 0 })
+    .withMessage('Chunk index must be a non-negative integer'),
+  handleValidationErrors
+];
+
+// Completing a resumable upload can ask for image metadata to be stripped (JSON body)
+export const validateUploadComplete = [
+  param('uploadId')
+    .isUUID()
+    .withMessage('Invalid upload ID format'),
+  body('strip_metadata')
+    .optional()
+    .isIn([true, false, 'true', 'false'])
+    .withMessage('strip_metadata must be true or false'),
+  handleValidationErrors
+];
+
+// Recipient allow-list entries: an email address, or a whole domain written as *@acme.com
+const allowedRecipientRule = body('allowed_recipients.*')
+  .isString()
+  .trim()
+  .toLowerCase()
+  .matches(/^(\*|[^\s@*]+)@[^\s@*]+\.[^\s@*]+$/)
+  .withMessage('Each allowed recipient must be an email address or a domain like *@acme.com');
+
 // Share link creation validation
 export const validateShareLink = [
   body('file_id')
-    .notEmpty()
-    .withMessage('File ID is required')
+    .optional({ values: 'falsy' })
     .isUUID()
     .withMessage('File ID must be a valid UUID'),
+  body('bundle_id')
+    .optional({ values: 'falsy' })
+    .isUUID()
+    .withMessage('Bundle ID must be a valid UUID'),
+  body()
+    .custom(value => !!value.file_id !== !!value.bundle_id)
+    .withMessage('Provide either file_id or bundle_id, not both'),
   body('expires_at')
     .optional({ values: 'falsy' })
     .isISO8601()
     .withMessage('Expiration date must be a valid ISO 8601 date'),
+  body('available_from')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('available_from must be a valid ISO 8601 date')
+    .bail()
+    .custom(value => new Date(value) > new Date())
+    .withMessage('available_from must be in the future'),
   body('max_opens')
     .optional({ values: 'falsy' })
     .isInt({ min: 1, max: 10000 })
@@ -59,6 +166,114 @@ export const validateShareLink = [
     .optional({ values: 'falsy' })
     .isBoolean({ strict: false })
     .withMessage('download_allowed must be a boolean'),
+  body('destroy_on_exhaust')
+    .optional({ values: 'falsy' })
+    .isBoolean({ strict: false })
+    .withMessage('destroy_on_exhaust must be a boolean')
+    .bail()
+    .custom((value, { req }) => String(value) !== 'true' || !!req.body.max_opens)
+    .withMessage('destroy_on_exhaust requires max_opens'),
+  body('notify_on_delivery')
+    .optional({ values: 'falsy' })
+    .isBoolean({ strict: false })
+    .withMessage('notify_on_delivery must be a boolean'),
+  body('allow_preview')
+    .optional({ values: 'falsy' })
+    .isBoolean({ strict: false })
+    .withMessage('allow_preview must be a boolean'),
+  body('watermark')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('watermark must be an object'),
+  body('watermark.text')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Watermark text must be between 1 and 100 characters'),
+  body('watermark.position')
+    .optional()
+    .isIn(WATERMARK_POSITIONS)
+    .withMessage(`Watermark position must be one of: ${WATERMARK_POSITIONS.join(', ')}`),
+  body('watermark.opacity')
+    .optional()
+    .isFloat({ min: 0.05, max: 1 })
+    .withMessage('Watermark opacity must be between 0.05 and 1'),
+  body('watermark.include_recipient')
+    .optional()
+    .isBoolean({ strict: false })
+    .withMessage('watermark.include_recipient must be a boolean'),
+  body('forensic_watermark')
+    .optional({ values: 'falsy' })
+    .isIn(FORENSIC_MODES)
+    .withMessage(`forensic_watermark must be one of: ${FORENSIC_MODES.join(', ')}`),
+  body('allowed_recipients')
+    .optional({ values: 'null' })
+    .isArray({ max: 100 })
+    .withMessage('allowed_recipients must be an array of at most 100 entries'),
+  allowedRecipientRule,
+  handleValidationErrors
+];
+
+// Share link update - only the fields sent are changed. null clears expires_at, available_from, max_opens and password.
+const SHARE_LINK_UPDATE_FIELDS = ['expires_at', 'available_from', 'max_opens', 'download_allowed', 'notify_on_delivery', 'allow_preview', 'password', 'require_otp', 'rotate_token'];
+
+export const validateShareLinkUpdate = [
+  body('expires_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiration date must be a valid ISO 8601 date')
+    .bail()
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiration date must be in the future'),
+  body('available_from')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('available_from must be a valid ISO 8601 date')
+    .bail()
+    .custom(value => new Date(value) > new Date())
+    .withMessage('available_from must be in the future'),
+  body('max_opens')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Max opens must be between 1 and 10000'),
+  body('download_allowed')
+    .optional()
+    .isBoolean({ strict: false })
+    .withMessage('download_allowed must be a boolean'),
+  body('notify_on_delivery')
+    .optional()
+    .isBoolean({ strict: false })
+    .withMessage('notify_on_delivery must be a boolean'),
+  body('allow_preview')
+    .optional()
+    .isBoolean({ strict: false })
+    .withMessage('allow_preview must be a boolean'),
+  body('password')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ min: 4, max: 100 })
+    .withMessage('Password must be between 4 and 100 characters'),
+  body('require_otp')
+    .optional()
+    .isBoolean({ strict: false })
+    .withMessage('require_otp must be a boolean'),
+  body('rotate_token')
+    .optional()
+    .isBoolean({ strict: false })
+    .withMessage('rotate_token must be a boolean'),
+  body()
+    .custom(value => SHARE_LINK_UPDATE_FIELDS.some(field => value[field] !== undefined))
+    .withMessage(`Provide at least one of: ${SHARE_LINK_UPDATE_FIELDS.join(', ')}`),
+  handleValidationErrors
+];
+
+// Share link recipient allow-list update (an empty array removes the restriction)
+export const validateShareRecipients = [
+  body('allowed_recipients')
+    .isArray({ max: 100 })
+    .withMessage('allowed_recipients must be an array of at most 100 entries'),
+  allowedRecipientRule,
   handleValidationErrors
 ];
 
@@ -75,6 +290,16 @@ export const validateShareAccess = [
     .isString()
     .isLength({ min: 1, max: 100 })
     .withMessage('Password must be between 1 and 100 characters'),
+  body('access_token')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Invalid access token'),
+  body('totp_code')
+    .optional()
+    .isNumeric()
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Authenticator code must be 6 digits'),
   body('ip_address')
     .optional()
     .isString()
@@ -83,6 +308,52 @@ export const validateShareAccess = [
   handleValidationErrors
 ];
 
+// ZIP download validation - same credentials as access, plus an optional subset of files
+export const validateShareZip = [
+  ...validateShareAccess.slice(0, -1),
+  body('file_ids')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('file_ids must be a non-empty array'),
+  body('file_ids.*')
+    .isUUID()
+    .withMessage('File ID must be a valid UUID'),
+  handleValidationErrors
+];
+
+// Leaked copy lookup - the copy itself (multipart "file") or the ID printed on a visibly marked copy
+export const validateForensicLookup = [
+  body('code')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(FORENSIC_CODE_PATTERN)
+    .withMessage('code must be the 16-character ID printed on the copy'),
+  body('code')
+    .custom((value, { req }) => !!value || !!req.file)
+    .withMessage('Upload the leaked copy as "file" or send the ID printed on it as "code"'),
+  handleValidationErrors
+];
+
+// Finished download reported by the recipient's browser
+export const validateDeliveryReport = [
+  body('bytes_received')
+    .isInt({ min: 0 })
+    .withMessage('bytes_received must be a non-negative integer'),
+  handleValidationErrors
+];
+
+// Page of a shared file's preview (PDFs)
+export const validatePreview = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer')
+    .toInt(),
+  handleValidationErrors
+];
+
 // Password verification validation
 export const validatePassword = [
   param('token')
@@ -108,6 +379,37 @@ export const validateSubscriptionUpdate = [
   handleValidationErrors
 ];
 
+// Account preferences
+export const validateUserPreferences = [
+  body('strip_image_metadata')
+    .exists()
+    .withMessage('strip_image_metadata is required')
+    .isBoolean({ strict: true })
+    .withMessage('strip_image_metadata must be a boolean'),
+  handleValidationErrors
+];
+
+// API key creation validation
+export const validateApiKeyCreate = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`),
+  body('expires_in_days')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('expires_in_days must be between 1 and 365'),
+  handleValidationErrors
+];
+
 // UUID parameter validation
 export const validateUUID = [
   param('fileId')
@@ -118,6 +420,76 @@ export const validateUUID = [
     .optional()
     .isUUID()
     .withMessage('Invalid link ID format'),
+  param('bundleId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid bundle ID format'),
+  param('keyId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid API key ID format'),
+  param('workspaceId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid workspace ID format'),
+  param('memberId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid member ID format'),
+  param('invitationId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid invitation ID format'),
+  handleValidationErrors
+];
+
+// Workspace create / rename validation
+export const validateWorkspace = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+  handleValidationErrors
+];
+
+// Workspace invitation validation
+export const validateWorkspaceInvite = [
+  body('email')
+    .trim()
+    .toLowerCase()
+    .isEmail()
+    .withMessage('Must be a valid email address'),
+  body('role')
+    .optional()
+    .isIn(INVITABLE_ROLES)
+    .withMessage(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+// Workspace member role change (ownership is transferred separately)
+export const validateWorkspaceRole = [
+  body('role')
+    .isIn(INVITABLE_ROLES)
+    .withMessage(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+// Workspace ownership transfer
+export const validateWorkspaceTransfer = [
+  body('user_id')
+    .isUUID()
+    .withMessage('Invalid user ID format'),
+  handleValidationErrors
+];
+
+// Workspace invitation acceptance
+export const validateInvitationToken = [
+  body('token')
+    .isString()
+    .isLength({ min: 20, max: 100 })
+    .withMessage('Invalid invitation token'),
   handleValidationErrors
 ];
 
@@ -144,15 +516,75 @@ export const validateOTP = [
   handleValidationErrors
 ];
 
+// Authenticator app (TOTP) code validation
+export const validateTOTPCode = [
+  body('code')
+    .notEmpty()
+    .withMessage('Authenticator code is required')
+    .isNumeric()
+    .withMessage('Authenticator code must be numeric')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Authenticator code must be 6 digits'),
+  handleValidationErrors
+];
+
+// Account second factor - an authenticator app code or one of the recovery codes
+export const validateSecondFactor = [
+  body('code')
+    .optional({ values: 'falsy' })
+    .isNumeric()
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Authenticator code must be 6 digits'),
+  body('recovery_code')
+    .optional({ values: 'falsy' })
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom(value => !!value.code !== !!value.recovery_code)
+    .withMessage('Provide either code or recovery_code'),
+  handleValidationErrors
+];
+
+// Share link TOTP setup - the link's own secret or the owner's account authenticator
+export const validateShareTOTPSetup = [
+  body('mode')
+    .optional()
+    .isIn(['link', 'account'])
+    .withMessage('Mode must be either "link" or "account"'),
+  handleValidationErrors
+];
+
 export default {
   handleValidationErrors,
   validateFileUpload,
+  validateBundleUpload,
+  validateUploadSessionInit,
+  validateUploadSessionId,
+  validateUploadChunk,
+  validateUploadComplete,
   validateShareLink,
+  validateShareLinkUpdate,
+  validateShareRecipients,
   validateShareAccess,
+  validateShareZip,
+  validateDeliveryReport,
+  validateForensicLookup,
+  validatePreview,
   validatePassword,
   validateSubscriptionUpdate,
+  validateUserPreferences,
+  validateApiKeyCreate,
   validateUUID,
+  validateWorkspace,
+  validateWorkspaceInvite,
+  validateWorkspaceRole,
+  validateWorkspaceTransfer,
+  validateInvitationToken,
   validateEmail,
   validateOTP,
+  validateTOTPCode,
+  validateSecondFactor,
+  validateShareTOTPSetup,
 };
 
@@ -0,0 +1,41 @@
+import { getWorkspaceMembership, hasWorkspaceRole } from '../utils/workspaces.js';
+
+// Requests act on a team workspace when they send this header (or target /api/workspaces/:workspaceId)
+export const WORKSPACE_HEADER = 'X-Workspace-Id';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Load the workspace a request acts on into req.workspace ({ id, name, owner_id, storage_quota_bytes, role }).
+// Use after authMiddleware. Requests without a workspace stay in the user's personal scope.
+export const workspaceContext = (minRole = 'viewer') => async (req, res, next) => {
+  const workspaceId = req.params.workspaceId || req.get(WORKSPACE_HEADER);
+  if (!workspaceId) return next();
+
+  if (!UUID_PATTERN.test(workspaceId)) {
+    return res.status(400).json({ error: 'Invalid workspace ID format' });
+  }
+
+  try {
+    const workspace = await getWorkspaceMembership(workspaceId, req.user.id);
+
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    if (!hasWorkspaceRole(workspace.role, minRole)) {
+      return res.status(403).json({
+        error: `This action requires the ${minRole} role in the workspace`,
+        role: workspace.role,
+        code: 'workspace_role'
+      });
+    }
+
+    req.workspace = workspace;
+    next();
+  } catch (error) {
+    console.error('Workspace check error:', error);
+    res.status(500).json({ error: 'Failed to load workspace' });
+  }
+};
+
+export default workspaceContext;
@@ -0,0 +1,37 @@
+import { createMemoryOTPStore } from './memory.js';
+import { createPostgresOTPStore } from './postgres.js';
+import { createRedisOTPStore } from './redis.js';
+
+// OTP backend is picked with OTP_STORE: memory (default), postgres or redis.
+// Only postgres and redis keep codes across restarts and share them between instances.
+// Every backend exposes the same async interface and throws on failure:
+//   save(identifier, { codeHash, expiresAt })  -> replaces any previous code, attempts reset to 0
+//   get(identifier)  -> { codeHash, attempts, expiresAt, verifiedAt } or null (timestamps in ms)
+//   incrementAttempts(identifier)  -> new attempt count, or null if there's no code
+//   markVerified(identifier)
+//   remove(identifier)
+//   removeExpired()  -> number of codes removed
+export const OTP_STORE = (process.env.OTP_STORE || 'memory').toLowerCase();
+
+const createOTPStore = () => {
+  switch (OTP_STORE) {
+    case 'memory':
+      return createMemoryOTPStore();
+
+    case 'postgres':
+      return createPostgresOTPStore();
+
+    case 'redis':
+      if (!process.env.REDIS_URL) {
+        throw new Error('REDIS_URL is required when OTP_STORE=redis');
+      }
+      return createRedisOTPStore({ url: process.env.REDIS_URL });
+
+    default:
+      throw new Error(`Unknown OTP_STORE: ${OTP_STORE}`);
+  }
+};
+
+export const otpStore = createOTPStore();
+
+export default otpStore;
@@ -0,0 +1,69 @@
+// In-process OTP store. Codes are lost on restart and aren't shared between instances,
+// so only use it for development or single-instance deployments.
+export const createMemoryOTPStore = () => {
+  const records = new Map();
+
+  const getLive = (identifier) => {
+    const record = records.get(identifier);
+    if (record && Date.now() > record.expiresAt) {
+      records.delete(identifier);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    driver: 'memory',
+
+    async save(identifier, { codeHash, expiresAt }) {
+      records.set(identifier, { codeHash, expiresAt, attempts: 0, verifiedAt: null });
+
+      // Auto-cleanup after expiry
+      setTimeout(() => {
+        if (records.get(identifier)?.expiresAt === expiresAt) {
+          records.delete(identifier);
+        }
+      }, expiresAt - Date.now()).unref();
+    },
+
+    async get(identifier) {
+      const record = getLive(identifier);
+      return record ? { ...record } : null;
+    },
+
+    async incrementAttempts(identifier) {
+      const record = getLive(identifier);
+      if (!record) return null;
+
+      record.attempts++;
+      return record.attempts;
+    },
+
+    async markVerified(identifier) {
+      const record = getLive(identifier);
+      if (record) {
+        record.verifiedAt = Date.now();
+      }
+    },
+
+    async remove(identifier) {
+      records.delete(identifier);
+    },
+
+    async removeExpired() {
+      const now = Date.now();
+      let removed = 0;
+
+      for (const [identifier, record] of records.entries()) {
+        if (now > record.expiresAt) {
+          records.delete(identifier);
+          removed++;
+        }
+      }
+
+      return removed;
+    }
+  };
+};
+
+export default createMemoryOTPStore;
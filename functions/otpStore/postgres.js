@@ -0,0 +1,79 @@
+import { supabaseAdmin } from '../../config/supabase.js';
+
+const toRecord = (row) => ({
+  codeHash: row.code_hash,
+  attempts: row.attempts,
+  expiresAt: new Date(row.expires_at).getTime(),
+  verifiedAt: row.verified_at ? new Date(row.verified_at).getTime() : null
+});
+
+// OTP store backed by the otp_codes table, shared by every instance of the backend
+export const createPostgresOTPStore = () => ({
+  driver: 'postgres',
+
+  async save(identifier, { codeHash, expiresAt }) {
+    const { error } = await supabaseAdmin
+      .from('otp_codes')
+      .upsert({
+        identifier,
+        code_hash: codeHash,
+        attempts: 0,
+        verified_at: null,
+        expires_at: new Date(expiresAt).toISOString(),
+        created_at: new Date().toISOString()
+      }, { onConflict: 'identifier' });
+
+    if (error) throw error;
+  },
+
+  async get(identifier) {
+    const { data, error } = await supabaseAdmin
+      .from('otp_codes')
+      .select('*')
+      .eq('identifier', identifier)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? toRecord(data) : null;
+  },
+
+  // Done in the database so parallel attempts on different instances are all counted
+  async incrementAttempts(identifier) {
+    const { data, error } = await supabaseAdmin
+      .rpc('increment_otp_attempts', { p_identifier: identifier });
+
+    if (error) throw error;
+    return data;
+  },
+
+  async markVerified(identifier) {
+    const { error } = await supabaseAdmin
+      .from('otp_codes')
+      .update({ verified_at: new Date().toISOString() })
+      .eq('identifier', identifier);
+
+    if (error) throw error;
+  },
+
+  async remove(identifier) {
+    const { error } = await supabaseAdmin
+      .from('otp_codes')
+      .delete()
+      .eq('identifier', identifier);
+
+    if (error) throw error;
+  },
+
+  async removeExpired() {
+    const { data, error } = await supabaseAdmin
+      .from('otp_codes')
+      .delete()
+      .lt('expires_at', new Date().toISOString())
+      .select('identifier');
+
+    if (error) throw error;
+    return data.length;
+  }
+});
+
+export default createPostgresOTPStore;
@@ -0,0 +1,70 @@
+import Redis from 'ioredis';
+import logger from '../utils/logger.js';
+
+// Only touch a code that still exists - HINCRBY/HSET would otherwise recreate an expired key without a TTL
+const INCREMENT_IF_EXISTS = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return redis.call('HINCRBY', KEYS[1], 'attempts', 1)
+end
+return false
+`;
+
+const SET_IF_EXISTS = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+end
+return 1
+`;
+
+// OTP store for Redis or anything that speaks its protocol (Valkey, KeyDB, Upstash, ...).
+// Each code is a hash that expires together with the code.
+export const createRedisOTPStore = ({ url, keyPrefix = 'otp:' }) => {
+  const client = new Redis(url, { lazyConnect: true, maxRetriesPerRequest: 2 });
+  client.on('error', (error) => logger.error('Redis OTP store error:', error));
+
+  const key = (identifier) => `${keyPrefix}${identifier}`;
+
+  return {
+    driver: 'redis',
+
+    async save(identifier, { codeHash, expiresAt }) {
+      await client
+        .multi()
+        .del(key(identifier))
+        .hset(key(identifier), { code_hash: codeHash, attempts: 0, expires_at: expiresAt })
+        .pexpireat(key(identifier), expiresAt)
+        .exec();
+    },
+
+    async get(identifier) {
+      const record = await client.hgetall(key(identifier));
+      if (!record.code_hash) return null;
+
+      return {
+        codeHash: record.code_hash,
+        attempts: parseInt(record.attempts) || 0,
+        expiresAt: parseInt(record.expires_at),
+        verifiedAt: record.verified_at ? parseInt(record.verified_at) : null
+      };
+    },
+
+    async incrementAttempts(identifier) {
+      return client.eval(INCREMENT_IF_EXISTS, 1, key(identifier));
+    },
+
+    async markVerified(identifier) {
+      await client.eval(SET_IF_EXISTS, 1, key(identifier), 'verified_at', Date.now());
+    },
+
+    async remove(identifier) {
+      await client.del(key(identifier));
+    },
+
+    // Keys expire on their own
+    async removeExpired() {
+      return 0;
+    }
+  };
+};
+
+export default createRedisOTPStore;
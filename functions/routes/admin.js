@@ -1,6 +1,10 @@
 import express from 'express';
 import { supabaseAdmin } from '../../config/supabase.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { requireStepUp } from '../middleware/stepUp.js';
+import { storage, getFileStoragePaths } from '../storage/index.js';
+import { omitTOTPSecrets } from '../utils/totp.js';
+import { getWorkspaceStorageUsed } from '../utils/workspaces.js';
 
 const router = express.Router();
 
@@ -23,7 +27,8 @@ const adminMiddleware = async (req, res, next) => {
       return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
     }
 
-    next();
+    // Admins need two-factor authentication, verified recently in this session
+    requireStepUp({ requireEnrollment: true })(req, res, next);
   } catch (error) {
     console.error('Admin check error:', error);
     res.status(403).json({ error: 'Access denied' });
@@ -51,7 +56,7 @@ router.get('/users', authMiddleware, adminMiddleware, async (req, res) => {
     if (error) throw error;
 
     res.json({
-      users: data,
+      users: data.map(omitTOTPSecrets),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -90,12 +95,23 @@ router.get('/users/:userId', authMiddleware, adminMiddleware, async (req, res) =
       .select('*', { count: 'exact', head: true })
       .eq('user_id', userId);
 
+    // Workspaces the user belongs to
+    const { data: memberships } = await supabaseAdmin
+      .from('workspace_members')
+      .select('role, joined_at, workspaces (id, name, owner_id)')
+      .eq('user_id', userId);
+
     res.json({
-      user: userData,
+      user: omitTOTPSecrets(userData),
       stats: {
         total_files: fileCount || 0,
         total_links: linkCount || 0
-      }
+      },
+      workspaces: (memberships || []).map(membership => ({
+        ...membership.workspaces,
+        role: membership.role,
+        joined_at: membership.joined_at
+      }))
     });
   } catch (error) {
     console.error('Error fetching user details:', error);
@@ -143,20 +159,14 @@ router.delete('/users/:userId', authMiddleware, adminMiddleware, async (req, res
     // Get user's files to delete from storage
     const { data: files } = await supabaseAdmin
       .from('uploaded_files')
-      .select('file_url, user_id')
+      .select('file_url, storage_path, thumbnail_path, user_id')
       .eq('user_id', userId);
 
     // Delete files from storage
     if (files && files.length > 0) {
-      const filePaths = files.map(f => {
-        const url = f.file_url;
-        const parts = url.split('/');
-        return `${f.user_id}/${parts[parts.length - 1]}`;
-      });
-
-      await supabaseAdmin.storage
-        .from('user-files')
-        .remove(filePaths);
+      const filePaths = files.flatMap(getFileStoragePaths);
+
+      await storage.remove(filePaths);
     }
 
     // Delete user (cascade will delete files and share links)
@@ -241,15 +251,22 @@ router.get('/stats', authMiddleware, adminMiddleware, async (req, res) => {
 // Get all files (paginated)
 router.get('/files', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, workspace_id } = req.query;
     const offset = (page - 1) * limit;
 
-    const { data, error, count } = await supabaseAdmin
+    let query = supabaseAdmin
       .from('uploaded_files')
       .select(`
         *,
-        users!inner (email)
-      `, { count: 'exact' })
+        users!inner (email),
+        workspaces (name)
+      `, { count: 'exact' });
+
+    if (workspace_id) {
+      query = query.eq('workspace_id', workspace_id);
+    }
+
+    const { data, error, count } = await query
       .order('uploaded_at', { ascending: false })
       .range(offset, offset + parseInt(limit) - 1);
 
@@ -273,23 +290,31 @@ router.get('/files', authMiddleware, adminMiddleware, async (req, res) => {
 // Get all share links (paginated)
 router.get('/links', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, workspace_id } = req.query;
     const offset = (page - 1) * limit;
 
-    const { data, error, count } = await supabaseAdmin
+    let query = supabaseAdmin
       .from('share_links')
       .select(`
         *,
         users!inner (email),
-        uploaded_files (filename)
-      `, { count: 'exact' })
+        uploaded_files (filename),
+        file_bundles (name),
+        workspaces (name)
+      `, { count: 'exact' });
+
+    if (workspace_id) {
+      query = query.eq('workspace_id', workspace_id);
+    }
+
+    const { data, error, count } = await query
       .order('created_at', { ascending: false })
       .range(offset, offset + parseInt(limit) - 1);
 
     if (error) throw error;
 
     res.json({
-      links: data,
+      links: data.map(omitTOTPSecrets),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -303,6 +328,83 @@ router.get('/links', authMiddleware, adminMiddleware, async (req, res) => {
   }
 });
 
+// Get all workspaces (paginated) with member counts and storage usage
+router.get('/workspaces', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search = '' } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('workspaces')
+      .select(`
+        *,
+        users!workspaces_owner_id_fkey (email),
+        workspace_members (count)
+      `, { count: 'exact' });
+
+    if (search) {
+      query = query.ilike('name', `%${search}%`);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    if (error) throw error;
+
+    const workspaces = await Promise.all(data.map(async ({ workspace_members, ...workspace }) => ({
+      ...workspace,
+      member_count: workspace_members[0]?.count || 0,
+      storage_used_bytes: await getWorkspaceStorageUsed(workspace.id)
+    })));
+
+    res.json({
+      workspaces,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching workspaces:', error);
+    res.status(500).json({ error: 'Failed to fetch workspaces' });
+  }
+});
+
+// Update a workspace's pooled storage quota (admin)
+router.patch('/workspaces/:workspaceId/quota', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const storageQuotaGb = parseInt(req.body.storage_quota_gb);
+
+    if (!Number.isInteger(storageQuotaGb) || storageQuotaGb < 1) {
+      return res.status(400).json({ error: 'storage_quota_gb must be a positive whole number' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('workspaces')
+      .update({
+        storage_quota_bytes: storageQuotaGb * 1024 * 1024 * 1024,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', workspaceId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({
+      workspace: data,
+      message: 'Workspace quota updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating workspace quota:', error);
+    res.status(500).json({ error: 'Failed to update workspace quota' });
+  }
+});
+
 // Get recent activity (access logs)
 router.get('/activity', authMiddleware, adminMiddleware, async (req, res) => {
   try {
@@ -315,6 +417,7 @@ router.get('/activity', authMiddleware, adminMiddleware, async (req, res) => {
         share_links!inner (
           share_token,
           uploaded_files (filename),
+          file_bundles (name),
           users (email)
         )
       `)
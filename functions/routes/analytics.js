@@ -1,38 +1,44 @@
 import express from 'express';
 import { supabaseAdmin } from '../../config/supabase.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { workspaceContext } from '../middleware/workspace.js';
+import { scopeToOwner } from '../utils/workspaces.js';
 
 const router = express.Router();
 
 // Get user's detailed analytics
-router.get('/user', authMiddleware, async (req, res) => {
+router.get('/user', authMiddleware, workspaceContext(), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { days = 30 } = req.query;
 
     const daysAgo = new Date();
     daysAgo.setDate(daysAgo.getDate() - parseInt(days));
 
     // File upload trends
-    const { data: uploadTrends } = await supabaseAdmin
-      .from('uploaded_files')
-      .select('uploaded_at, file_size, file_type')
-      .eq('user_id', userId)
-      .gte('uploaded_at', daysAgo.toISOString())
-      .order('uploaded_at', { ascending: true });
+    const { data: uploadTrends } = await scopeToOwner(
+      supabaseAdmin
+        .from('uploaded_files')
+        .select('uploaded_at, file_size, file_type')
+        .gte('uploaded_at', daysAgo.toISOString())
+        .order('uploaded_at', { ascending: true }),
+      req
+    );
 
     // Share link performance
-    const { data: shareLinkStats } = await supabaseAdmin
-      .from('share_links')
-      .select(`
-        id,
-        created_at,
-        current_opens,
-        max_opens,
-        uploaded_files (filename, file_type)
-      `)
-      .eq('user_id', userId)
-      .gte('created_at', daysAgo.toISOString());
+    const { data: shareLinkStats } = await scopeToOwner(
+      supabaseAdmin
+        .from('share_links')
+        .select(`
+          id,
+          created_at,
+          current_opens,
+          max_opens,
+          uploaded_files (filename, file_type),
+          file_bundles (name)
+        `)
+        .gte('created_at', daysAgo.toISOString()),
+      req
+    );
 
     // Access logs for user's links
     const userLinkIds = shareLinkStats?.map(link => link.id) || [];
@@ -81,8 +87,8 @@ router.get('/user', authMiddleware, async (req, res) => {
 
     const topFiles = shareLinkStats
       ?.map(link => ({
-        filename: link.uploaded_files?.filename || 'Unknown',
-        fileType: link.uploaded_files?.file_type || 'Unknown',
+        filename: link.uploaded_files?.filename || link.file_bundles?.name || 'Unknown',
+        fileType: link.uploaded_files?.file_type || (link.file_bundles ? 'bundle' : 'Unknown'),
         opens: link.current_opens,
         maxOpens: link.max_opens,
         totalAccesses: fileStat[link.id] || 0
@@ -120,19 +126,20 @@ router.get('/user', authMiddleware, async (req, res) => {
 });
 
 // Get download trends
-router.get('/downloads', authMiddleware, async (req, res) => {
+router.get('/downloads', authMiddleware, workspaceContext(), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { days = 30 } = req.query;
 
     const daysAgo = new Date();
     daysAgo.setDate(daysAgo.setDate() - parseInt(days));
 
     // Get user's share links
-    const { data: shareLinks } = await supabaseAdmin
-      .from('share_links')
-      .select('id')
-      .eq('user_id', userId);
+    const { data: shareLinks } = await scopeToOwner(
+      supabaseAdmin
+        .from('share_links')
+        .select('id'),
+      req
+    );
 
     const linkIds = shareLinks?.map(link => link.id) || [];
 
@@ -185,15 +192,15 @@ router.get('/downloads', authMiddleware, async (req, res) => {
 });
 
 // Get geographic data (based on IP - simplified version)
-router.get('/geography', authMiddleware, async (req, res) => {
+router.get('/geography', authMiddleware, workspaceContext(), async (req, res) => {
   try {
-    const userId = req.user.id;
-
     // Get user's share links
-    const { data: shareLinks } = await supabaseAdmin
-      .from('share_links')
-      .select('id')
-      .eq('user_id', userId);
+    const { data: shareLinks } = await scopeToOwner(
+      supabaseAdmin
+        .from('share_links')
+        .select('id'),
+      req
+    );
 
     const linkIds = shareLinks?.map(link => link.id) || [];
 
@@ -234,16 +241,16 @@ router.get('/geography', authMiddleware, async (req, res) => {
 });
 
 // Get storage usage over time
-router.get('/storage', authMiddleware, async (req, res) => {
+router.get('/storage', authMiddleware, workspaceContext(), async (req, res) => {
   try {
-    const userId = req.user.id;
-
     // Get all user's files
-    const { data: files } = await supabaseAdmin
-      .from('uploaded_files')
-      .select('uploaded_at, file_size, expires_at')
-      .eq('user_id', userId)
-      .order('uploaded_at', { ascending: true });
+    const { data: files } = await scopeToOwner(
+      supabaseAdmin
+        .from('uploaded_files')
+        .select('uploaded_at, file_size, expires_at')
+        .order('uploaded_at', { ascending: true }),
+      req
+    );
 
     // Calculate cumulative storage over time
     const storageTimeline = [];
@@ -277,23 +284,23 @@ router.get('/storage', authMiddleware, async (req, res) => {
 });
 
 // Get share link performance
-router.get('/share-performance', authMiddleware, async (req, res) => {
+router.get('/share-performance', authMiddleware, workspaceContext(), async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    const { data: shareLinks } = await supabaseAdmin
-      .from('share_links')
-      .select(`
-        id,
-        created_at,
-        expires_at,
-        current_opens,
-        max_opens,
-        password_hash,
-        require_otp,
-        qr_code_enabled
-      `)
-      .eq('user_id', userId);
+    const { data: shareLinks } = await scopeToOwner(
+      supabaseAdmin
+        .from('share_links')
+        .select(`
+          id,
+          created_at,
+          expires_at,
+          current_opens,
+          max_opens,
+          password_hash,
+          require_otp,
+          qr_code_enabled
+        `),
+      req
+    );
 
     if (!shareLinks || shareLinks.length === 0) {
       return res.json({
@@ -0,0 +1,108 @@
+import express from 'express';
+import { supabaseAdmin } from '../../config/supabase.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { requireStepUp } from '../middleware/stepUp.js';
+import { validateApiKeyCreate, validateUUID } from '../middleware/validators.js';
+import { generateApiKey, MAX_API_KEYS_PER_USER } from '../utils/apiKeys.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Fields of a key returned to its owner - never the hash
+const API_KEY_FIELDS = 'id, name, key_prefix, scopes, created_at, expires_at, last_used_at, last_used_ip, revoked_at';
+
+// Get user's API keys
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .select(API_KEY_FIELDS)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ api_keys: data });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Create an API key. The key is only returned in this response.
+router.post('/', authMiddleware, requireStepUp(), validateApiKeyCreate, async (req, res) => {
+  try {
+    const { name, scopes, expires_in_days } = req.body;
+
+    const { count, error: countError } = await supabaseAdmin
+      .from('api_keys')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null);
+
+    if (countError) throw countError;
+
+    if (count >= MAX_API_KEYS_PER_USER) {
+      return res.status(400).json({ error: `You can have at most ${MAX_API_KEYS_PER_USER} active API keys. Revoke one first.` });
+    }
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .insert({
+        user_id: req.user.id,
+        name,
+        key_prefix: keyPrefix,
+        key_hash: keyHash,
+        scopes: [...new Set(scopes)],
+        expires_at: expires_in_days
+          ? new Date(Date.now() + parseInt(expires_in_days) * 24 * 60 * 60 * 1000).toISOString()
+          : null
+      })
+      .select(API_KEY_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`🔑 API key ${keyPrefix}… created by user ${req.user.id} (scopes: ${data.scopes.join(', ')})`);
+
+    res.status(201).json({
+      message: 'API key created. Copy it now - it won\'t be shown again.',
+      api_key: data,
+      key
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Revoke an API key - it stops working immediately
+router.delete('/:keyId', authMiddleware, validateUUID, async (req, res) => {
+  try {
+    const { keyId } = req.params;
+
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .select(API_KEY_FIELDS);
+
+    if (error) throw error;
+
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    logger.info(`🔑 API key ${data[0].key_prefix}… revoked by user ${req.user.id}`);
+    res.json({ message: 'API key revoked', api_key: data[0] });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+export default router;
@@ -0,0 +1,235 @@
+import express from 'express';
+import { supabaseAdmin } from '../../config/supabase.js';
+import { authMiddleware, allowApiKey } from '../middleware/auth.js';
+import { requireStepUp } from '../middleware/stepUp.js';
+import { workspaceContext } from '../middleware/workspace.js';
+import { upload, loadUploadQuota, discardUploadOnError, handleUploadErrors } from '../middleware/upload.js';
+import { uploadLimiter } from '../middleware/rateLimiter.js';
+import { validateBundleUpload, validateUUID } from '../middleware/validators.js';
+import { checkUploadQuota, recordUploadUsage } from '../utils/quota.js';
+import { scopeToOwner, canManageItem } from '../utils/workspaces.js';
+import { storage, getFileStoragePaths } from '../storage/index.js';
+import { queueFileScan } from '../utils/scanner.js';
+import logger, { logFileUpload } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Maximum number of files in one bundle upload
+const MAX_BUNDLE_FILES = 50;
+
+// Fields of bundle files returned to the owner
+const BUNDLE_FILE_FIELDS = 'id, filename, file_size, file_type, scan_status, uploaded_at, expires_at';
+
+// Get user's (or the workspace's) bundles with their files
+router.get('/', allowApiKey('read'), authMiddleware, workspaceContext(), async (req, res) => {
+  try {
+    // uploaded_files is also reachable through share_links, so name the foreign key
+    const { data, error } = await scopeToOwner(
+      supabaseAdmin
+        .from('file_bundles')
+        .select(`
+          *,
+          files:uploaded_files!uploaded_files_bundle_id_fkey (${BUNDLE_FILE_FIELDS})
+        `),
+      req
+    ).order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ bundles: data });
+  } catch (error) {
+    console.error('Error fetching bundles:', error);
+    res.status(500).json({ error: 'Failed to fetch bundles' });
+  }
+});
+
+// Upload several files into a new bundle - AUTHENTICATED USERS
+router.post('/', uploadLimiter, allowApiKey('upload'), authMiddleware, workspaceContext('member'), loadUploadQuota, discardUploadOnError, upload.array('files', MAX_BUNDLE_FILES), handleUploadErrors, validateBundleUpload, async (req, res) => {
+  const files = req.files || [];
+  const filePaths = files.map(file => file.path);
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files provided' });
+    }
+
+    const { name, expires_in_hours, is_encrypted } = req.body;
+    const user_id = req.user.id;
+    const workspace_id = req.workspace?.id || null;
+
+    // Encrypted uploads carry per-file IVs and names, which a single multipart form can't describe
+    if (is_encrypted === 'true') {
+      await storage.remove(filePaths);
+      return res.status(400).json({ error: 'Encrypted files must be uploaded one at a time' });
+    }
+
+    // The whole bundle counts against the quota
+    const quota = req.uploadQuota;
+    const totalSize = files.reduce((total, file) => total + file.size, 0);
+
+    const quotaViolation = checkUploadQuota(quota, totalSize);
+    if (quotaViolation) {
+      await storage.remove(filePaths);
+      return res.status(quotaViolation.status).json(quotaViolation.body);
+    }
+
+    // Calculate expiration time (0 = no expiry)
+    const hoursToExpire = parseFloat(expires_in_hours);
+    let expiresAt = null;
+
+    if (hoursToExpire !== 0) {
+      expiresAt = new Date();
+      expiresAt.setHours(expiresAt.getHours() + (hoursToExpire || 24));
+    }
+
+    const { data: bundle, error: bundleError } = await supabaseAdmin
+      .from('file_bundles')
+      .insert({
+        user_id,
+        workspace_id,
+        name: name || `${files.length} files`,
+        file_count: files.length,
+        total_size: totalSize,
+        expires_at: expiresAt ? expiresAt.toISOString() : null
+      })
+      .select()
+      .single();
+
+    if (bundleError) {
+      await storage.remove(filePaths);
+      throw bundleError;
+    }
+
+    // Files keep the bundle's expiry so they are cleaned up together
+    const { data: fileRecords, error: filesError } = await supabaseAdmin
+      .from('uploaded_files')
+      .insert(files.map(file => ({
+        user_id,
+        workspace_id,
+        bundle_id: bundle.id,
+        filename: file.originalname,
+        file_size: file.size,
+        file_type: file.detectedType,
+        file_url: storage.getPublicUrl(file.path).data.publicUrl,
+        storage_path: file.path,
+        expires_at: bundle.expires_at
+      })))
+      .select();
+
+    if (filesError) {
+      // Rollback: the bundle row and the stored files
+      await supabaseAdmin.from('file_bundles').delete().eq('id', bundle.id);
+      await storage.remove(filePaths);
+      throw filesError;
+    }
+
+    await recordUploadUsage(quota, totalSize);
+
+    // Files can't be shared until the malware scan has passed
+    fileRecords.forEach(queueFileScan);
+
+    files.forEach(file => logFileUpload(user_id, file.originalname, file.size, true));
+    console.log(`📦 Bundle created: ${bundle.id} (${files.length} files, ${totalSize} bytes)`);
+
+    // What was removed from photos that had their metadata stripped
+    const metadata = Object.fromEntries(files.map(file => [file.path, file.metadata]));
+
+    res.status(201).json({
+      bundle: {
+        ...bundle,
+        files: fileRecords.map(record => ({
+          ...record,
+          metadata_stripped: !!metadata[record.storage_path]?.stripped,
+          metadata_removed: metadata[record.storage_path]?.removed || null
+        }))
+      },
+      message: 'Files uploaded successfully'
+    });
+  } catch (error) {
+    logger.error('Bundle upload error:', error);
+    res.status(500).json({ error: 'Failed to upload files' });
+  }
+});
+
+// Get bundle by ID
+router.get('/:bundleId', allowApiKey('read'), authMiddleware, workspaceContext(), validateUUID, async (req, res) => {
+  try {
+    const { bundleId } = req.params;
+
+    const { data: bundle, error } = await scopeToOwner(
+      supabaseAdmin
+        .from('file_bundles')
+        .select('*')
+        .eq('id', bundleId),
+      req
+    ).single();
+
+    if (error || !bundle) {
+      return res.status(404).json({ error: 'Bundle not found' });
+    }
+
+    const { data: files, error: filesError } = await supabaseAdmin
+      .from('uploaded_files')
+      .select(BUNDLE_FILE_FIELDS)
+      .eq('bundle_id', bundleId)
+      .order('filename', { ascending: true });
+
+    if (filesError) throw filesError;
+
+    res.json({ bundle: { ...bundle, files } });
+  } catch (error) {
+    console.error('Error fetching bundle:', error);
+    res.status(500).json({ error: 'Failed to fetch bundle' });
+  }
+});
+
+// Delete bundle with all of its files and share links
+router.delete('/:bundleId', authMiddleware, workspaceContext('member'), requireStepUp(), validateUUID, async (req, res) => {
+  try {
+    const { bundleId } = req.params;
+
+    // Verify ownership
+    const { data: bundle, error: fetchError } = await scopeToOwner(
+      supabaseAdmin
+        .from('file_bundles')
+        .select('id, user_id')
+        .eq('id', bundleId),
+      req
+    ).single();
+
+    if (fetchError || !bundle) {
+      return res.status(404).json({ error: 'Bundle not found' });
+    }
+
+    if (!canManageItem(req, bundle)) {
+      return res.status(403).json({ error: 'Only workspace admins can delete bundles uploaded by other members' });
+    }
+
+    const { data: files, error: filesError } = await supabaseAdmin
+      .from('uploaded_files')
+      .select('storage_path, file_url, thumbnail_path')
+      .eq('bundle_id', bundleId);
+
+    if (filesError) throw filesError;
+
+    // Delete from storage (with the thumbnails)
+    if (files.length > 0) {
+      await storage.remove(files.flatMap(getFileStoragePaths));
+    }
+
+    // Delete from database (cascade removes the files and share links)
+    const { error: deleteError } = await supabaseAdmin
+      .from('file_bundles')
+      .delete()
+      .eq('id', bundleId);
+
+    if (deleteError) throw deleteError;
+
+    res.json({ message: 'Bundle deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting bundle:', error);
+    res.status(500).json({ error: 'Failed to delete bundle' });
+  }
+});
+
+export default router;
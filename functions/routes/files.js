@@ -1,23 +1,30 @@
 import express from 'express';
 import { supabaseAdmin } from '../../config/supabase.js';
-import { authMiddleware } from '../middleware/auth.js';
-import { upload } from '../middleware/upload.js';
+import { authMiddleware, allowApiKey } from '../middleware/auth.js';
+import { requireStepUp } from '../middleware/stepUp.js';
+import { workspaceContext } from '../middleware/workspace.js';
+import { upload, anonymousUpload, loadUploadQuota, discardUploadOnError, handleUploadErrors, getUploadTier } from '../middleware/upload.js';
 import { uploadLimiter } from '../middleware/rateLimiter.js';
 import { validateFileUpload, validateUUID } from '../middleware/validators.js';
-// import { generateImageThumbnail, uploadThumbnail, supportsThumbnail } from '../utils/thumbnails.js';
+import { canGenerateThumbnail, sendThumbnail } from '../utils/thumbnails.js';
+import { checkUploadQuota, recordUploadUsage } from '../utils/quota.js';
+import { isAllowedOriginalFileType } from '../utils/fileType.js';
+import { scopeToOwner, canManageItem } from '../utils/workspaces.js';
+import { storage, getFileStoragePaths } from '../storage/index.js';
+import { queueFileScan } from '../utils/scanner.js';
 import logger, { logFileUpload, logError } from '../utils/logger.js';
-import crypto from 'crypto';
 
 const router = express.Router();
 
-// Get user's files
-router.get('/', authMiddleware, async (req, res) => {
+// Get user's (or the workspace's) files
+router.get('/', allowApiKey('read'), authMiddleware, workspaceContext(), async (req, res) => {
   try {
-    const { data, error } = await supabaseAdmin
-      .from('uploaded_files')
-      .select('*')
-      .eq('user_id', req.user.id)
-      .order('uploaded_at', { ascending: false });
+    const { data, error } = await scopeToOwner(
+      supabaseAdmin
+        .from('uploaded_files')
+        .select('*'),
+      req
+    ).order('uploaded_at', { ascending: false });
 
     if (error) throw error;
 
@@ -29,7 +36,7 @@ router.get('/', authMiddleware, async (req, res) => {
 });
 
 // Anonymous upload file (no authentication required)
-router.post('/anonymous-upload', uploadLimiter, upload.single('file'), validateFileUpload, async (req, res) => {
+router.post('/anonymous-upload', uploadLimiter, discardUploadOnError, anonymousUpload.single('file'), handleUploadErrors, validateFileUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file provided' });
@@ -38,37 +45,11 @@ router.post('/anonymous-upload', uploadLimiter, upload.single('file'), validateF
     const { expires_in_hours } = req.body;
     const file = req.file;
 
-    // Anonymous uploads have a 1GB lifetime limit (same as free users)
-    const maxFileSize = 1024 * 1024 * 1024; // 1GB
-    if (file.size > maxFileSize) {
-      return res.status(413).json({ 
-        error: 'File too large. Maximum size is 1GB for anonymous uploads.' 
-      });
-    }
-
-    // Generate unique file path
-    const fileExtension = file.originalname.split('.').pop() || '';
-    const fileName = `${Date.now()}-${Math.random().toString(36).substring(2)}.${fileExtension}`;
-    const filePath = `anonymous-uploads/${fileName}`;
-
-    // Upload to Supabase Storage
-    const { data: uploadData, error: uploadError } = await supabaseAdmin.storage
-      .from('files')
-      .upload(filePath, file.buffer, {
-        contentType: file.mimetype,
-        cacheControl: '3600',
-        upsert: false
-      });
-
-    if (uploadError) {
-      logger.error('Storage upload error:', uploadError);
-      return res.status(500).json({ error: 'Failed to upload file to storage' });
-    }
+    // The file has already been streamed to storage (capped at 1GB for anonymous uploads)
+    const filePath = file.path;
 
     // Generate public URL
-    const { data: { publicUrl } } = supabaseAdmin.storage
-      .from('files')
-      .getPublicUrl(filePath);
+    const { data: { publicUrl } } = storage.getPublicUrl(filePath);
 
     // Calculate expiration
     // If expires_in_hours is 0, set expiresAt to null (no expiry)
@@ -90,8 +71,9 @@ router.post('/anonymous-upload', uploadLimiter, upload.single('file'), validateF
         user_id: null, // Anonymous uploads have no user_id
         filename: file.originalname,
         file_size: file.size,
-        file_type: file.mimetype,
+        file_type: file.detectedType, // Sniffed from the content, not the client-supplied MIME type
         file_url: publicUrl,
+        storage_path: filePath,
         expires_at: expiresAt ? expiresAt.toISOString() : null
       })
       .select()
@@ -100,22 +82,12 @@ router.post('/anonymous-upload', uploadLimiter, upload.single('file'), validateF
     if (dbError) {
       logger.error('Database insert error:', dbError);
       // Clean up uploaded file
-      await supabaseAdmin.storage.from('files').remove([filePath]);
+      await storage.remove([filePath]);
       return res.status(500).json({ error: 'Failed to save file metadata' });
     }
 
-    // Generate thumbnail for images
-    // if (supportsThumbnail(file.mimetype)) {
-    //   try {
-    //     const thumbnailUrl = await generateImageThumbnail(file.buffer, fileName);
-    //     await supabaseAdmin
-    //       .from('uploaded_files')
-    //       .update({ thumbnail_url: thumbnailUrl })
-    //       .eq('id', fileRecord.id);
-    //   } catch (thumbnailError) {
-    //     logger.warn('Thumbnail generation failed:', thumbnailError);
-    //   }
-    // }
+    // Files can't be shared until the malware scan has passed (which then starts the thumbnail)
+    queueFileScan(fileRecord);
 
     logger.info(`Anonymous file uploaded: ${file.originalname} (${file.size} bytes)`);
 
@@ -125,6 +97,7 @@ router.post('/anonymous-upload', uploadLimiter, upload.single('file'), validateF
       file_size: file.size,
       file_url: publicUrl,
       expires_at: expiresAt ? expiresAt.toISOString() : null,
+      scan_status: fileRecord.scan_status,
       message: 'File uploaded successfully'
     });
 
@@ -134,8 +107,8 @@ router.post('/anonymous-upload', uploadLimiter, upload.single('file'), validateF
   }
 });
 
-// Upload file (with actual file upload to Supabase Storage) - AUTHENTICATED USERS
-router.post('/upload', uploadLimiter, authMiddleware, upload.single('file'), validateFileUpload, async (req, res) => {
+// Upload file (streamed to the configured storage backend) - AUTHENTICATED USERS
+router.post('/upload', uploadLimiter, allowApiKey('upload'), authMiddleware, workspaceContext('member'), loadUploadQuota, discardUploadOnError, upload.single('file'), handleUploadErrors, validateFileUpload, async (req, res) => {
   try {
     console.log('=== UPLOAD REQUEST START ===');
     console.log('🔍 Upload middleware chain completed successfully');
@@ -144,7 +117,8 @@ router.post('/upload', uploadLimiter, authMiddleware, upload.single('file'), val
       fieldname: req.file.fieldname,
       originalname: req.file.originalname,
       size: req.file.size,
-      mimetype: req.file.mimetype
+      mimetype: req.file.mimetype,
+      detectedType: req.file.detectedType
     } : 'No file');
     console.log('User:', req.user ? {
       id: req.user.id,
@@ -160,140 +134,23 @@ router.post('/upload', uploadLimiter, authMiddleware, upload.single('file'), val
     const user_id = req.user.id;
     const file = req.file;
 
-    // Check upload limits
-    let userData;
-    const { data: existingUser, error: userError } = await supabaseAdmin
-      .from('users')
-      .select('daily_upload_used, daily_upload_reset_at, subscription_tier, lifetime_upload_used, monthly_upload_used, monthly_upload_reset_date')
-      .eq('id', user_id)
-      .single();
-
-    // If user doesn't exist in users table, create them with default values
-    if (userError && userError.code === 'PGRST116') {
-      console.log('User not found in users table, creating default profile...');
-      console.log('User ID:', user_id);
-      console.log('User email:', req.user.email);
-      
-      const now = new Date();
-      const { data: newUser, error: createError } = await supabaseAdmin
-        .from('users')
-        .insert({
-          id: user_id,
-          email: req.user.email,
-          subscription_tier: 'free',
-          daily_upload_used: 0,
-          daily_upload_reset_at: now.toISOString(),
-          lifetime_upload_used: 0,
-          trial_used: false,
-          trial_end_date: null,
-          created_at: now.toISOString(),
-          updated_at: now.toISOString()
-        })
-        .select()
-        .single();
-
-      if (createError) {
-        console.error('Failed to create user profile:', createError);
-        console.error('Create error details:', JSON.stringify(createError, null, 2));
-        return res.status(500).json({ 
-          error: 'Failed to create user profile',
-          details: createError.message,
-          code: createError.code
-        });
-      }
-
-      console.log('User profile created successfully:', newUser);
-      userData = newUser;
-    } else if (userError) {
-      console.error('Error fetching user:', userError);
-      throw userError;
-    } else {
-      userData = existingUser;
-    }
-
-    const now = new Date();
-    let dailyUsed = userData.daily_upload_used;
-    let monthlyUsed = userData.monthly_upload_used || 0;
-    let lifetimeUsed = userData.lifetime_upload_used || 0;
-
-    if (userData.subscription_tier === 'pro') {
-      // Pro users: Check monthly limits (100GB/month)
-      const resetDate = userData.monthly_upload_reset_date ? new Date(userData.monthly_upload_reset_date) : null;
-      
-      // If reset date has passed or doesn't exist, reset monthly usage
-      if (!resetDate || resetDate <= now) {
-        monthlyUsed = 0;
-        const nextResetDate = new Date(now);
-        nextResetDate.setMonth(nextResetDate.getMonth() + 1);
-        
-        await supabaseAdmin
-          .from('users')
-          .update({
-            monthly_upload_used: 0,
-            monthly_upload_reset_date: nextResetDate.toISOString()
-          })
-          .eq('id', user_id);
-      }
-
-      // Check monthly limit for Pro users: 100GB
-      const monthlyLimit = 100 * 1024 * 1024 * 1024; // 100GB
-      if (monthlyUsed + file.size > monthlyLimit) {
-        return res.status(403).json({
-          error: 'Monthly upload limit exceeded',
-          limit: monthlyLimit,
-          used: monthlyUsed,
-          fileSize: file.size,
-          resetDate: userData.monthly_upload_reset_date
-        });
-      }
-    } else {
-      // Free users: Check lifetime limits
-      const lifetimeLimit = 1024 * 1024 * 1024; // 1GB
-      if (lifetimeUsed + file.size > lifetimeLimit) {
-        return res.status(403).json({
-          error: 'Lifetime upload limit exceeded',
-          limit: lifetimeLimit,
-          used: lifetimeUsed,
-          fileSize: file.size
-        });
-      }
-    }
-
-    // Check file size limits - Free users can upload any size up to their lifetime limit
-    const maxFileSize = 10 * 1024 * 1024 * 1024; // 10GB per file for all users
+    // Upload limits were enforced while the file was streamed to storage
+    const quota = req.uploadQuota;
+    const filePath = file.path;
 
-    if (file.size > maxFileSize) {
-      return res.status(403).json({
-        error: 'File size exceeds 10GB limit',
-        maxSize: maxFileSize,
-        fileSize: file.size
-      });
+    const quotaViolation = checkUploadQuota(quota, file.size);
+    if (quotaViolation) {
+      await storage.remove([filePath]);
+      return res.status(quotaViolation.status).json(quotaViolation.body);
     }
 
-    // Generate unique file path
-    const fileExt = file.originalname.split('.').pop();
-    const uniqueId = crypto.randomBytes(16).toString('hex');
-    const fileName = `${uniqueId}.${fileExt}`;
-    const filePath = `${user_id}/${fileName}`;
-
-    // Upload to Supabase Storage
-    const { data: uploadData, error: uploadError } = await supabaseAdmin.storage
-      .from('user-files')
-      .upload(filePath, file.buffer, {
-        contentType: file.mimetype,
-        cacheControl: '3600',
-        upsert: false
-      });
-
-    if (uploadError) {
-      console.error('Storage upload error:', uploadError);
-      throw new Error('Failed to upload file to storage');
+    if (is_encrypted === 'true' && !isAllowedOriginalFileType(original_file_type, getUploadTier(req))) {
+      await storage.remove([filePath]);
+      return res.status(415).json({ error: `File type ${original_file_type} is not allowed` });
     }
 
     // Get public URL (will need signed URL for access)
-    const { data: { publicUrl } } = supabaseAdmin.storage
-      .from('user-files')
-      .getPublicUrl(filePath);
+    const { data: { publicUrl } } = storage.getPublicUrl(filePath);
 
     // Calculate expiration time
     // If expires_in_hours is 0, set expiresAt to null (no expiry for Pro users)
@@ -308,32 +165,17 @@ router.post('/upload', uploadLimiter, authMiddleware, upload.single('file'), val
       expiresAt.setHours(expiresAt.getHours() + (hoursToExpire || 24));
     }
 
-    // Generate thumbnail if it's an image
-    let thumbnailUrl = null;
-    // if (supportsThumbnail(file.mimetype)) {
-    //   const thumbnailResult = await generateImageThumbnail(file.buffer, {
-    //     width: 300,
-    //     height: 300,
-    //     fit: 'cover'
-    //   });
-
-    //   if (thumbnailResult.success) {
-    //     const uploadResult = await uploadThumbnail(user_id, uniqueId, thumbnailResult.thumbnail);
-    //     if (uploadResult.success) {
-    //       thumbnailUrl = uploadResult.thumbnailUrl;
-    //     }
-    //   }
-    // }
-
     // Create file record in database
     const { data: fileData, error: fileError } = await supabaseAdmin
       .from('uploaded_files')
       .insert({
         user_id,
+        workspace_id: req.workspace?.id || null,
         filename: is_encrypted === 'true' ? original_filename : file.originalname,
         file_size: file.size,
-        file_type: is_encrypted === 'true' ? original_file_type : file.mimetype,
+        file_type: is_encrypted === 'true' ? original_file_type : file.detectedType,
         file_url: publicUrl,
+        storage_path: filePath,
         expires_at: expiresAt ? expiresAt.toISOString() : null,
         is_encrypted: is_encrypted === 'true',
         encryption_iv: is_encrypted === 'true' ? encryption_iv : null,
@@ -345,48 +187,27 @@ router.post('/upload', uploadLimiter, authMiddleware, upload.single('file'), val
 
     if (fileError) {
       // Rollback: Delete uploaded file from storage
-      await supabaseAdmin.storage
-        .from('user-files')
-        .remove([filePath]);
-      
-      // Also delete thumbnail if it was created
-      if (thumbnailUrl) {
-        const thumbnailPath = `${user_id}/thumbnails/${uniqueId}.jpg`;
-        await supabaseAdmin.storage
-          .from('user-files')
-          .remove([thumbnailPath]);
-      }
-      
+      await storage.remove([filePath]);
       throw fileError;
     }
 
     // Update usage based on subscription tier
-    if (userData.subscription_tier === 'pro') {
-      await supabaseAdmin
-        .from('users')
-        .update({
-          monthly_upload_used: monthlyUsed + file.size
-        })
-        .eq('id', user_id);
-    } else {
-      await supabaseAdmin
-        .from('users')
-        .update({
-          lifetime_upload_used: lifetimeUsed + file.size
-        })
-        .eq('id', user_id);
-    }
+    await recordUploadUsage(quota, file.size);
+
+    // Files can't be shared until the malware scan has passed (which then starts the thumbnail)
+    queueFileScan(fileData);
 
     // Log successful upload
     logFileUpload(user_id, file.originalname, file.size, true);
 
     res.json({ 
-      file: {
-        ...fileData,
-        thumbnail_url: thumbnailUrl
-      },
+      file: fileData,
       message: 'File uploaded successfully',
-      has_thumbnail: !!thumbnailUrl
+      has_thumbnail: false,
+      // Made in the background - see thumbnail_status
+      thumbnail_pending: canGenerateThumbnail(fileData),
+      metadata_stripped: !!file.metadata?.stripped,
+      metadata_removed: file.metadata?.removed || null
     });
   } catch (error) {
     console.error('❌ File upload error:', error);
@@ -414,28 +235,29 @@ router.post('/upload', uploadLimiter, authMiddleware, upload.single('file'), val
 });
 
 // Delete file
-router.delete('/:fileId', authMiddleware, validateUUID, async (req, res) => {
+router.delete('/:fileId', authMiddleware, workspaceContext('member'), requireStepUp(), validateUUID, async (req, res) => {
   try {
     const { fileId } = req.params;
-    const user_id = req.user.id;
 
     // Verify ownership
-    const { data: fileData, error: fetchError } = await supabaseAdmin
-      .from('uploaded_files')
-      .select('*')
-      .eq('id', fileId)
-      .eq('user_id', user_id)
-      .single();
+    const { data: fileData, error: fetchError } = await scopeToOwner(
+      supabaseAdmin
+        .from('uploaded_files')
+        .select('*')
+        .eq('id', fileId),
+      req
+    ).single();
 
     if (fetchError || !fileData) {
       return res.status(404).json({ error: 'File not found' });
     }
 
+    if (!canManageItem(req, fileData)) {
+      return res.status(403).json({ error: 'Only workspace admins can delete files uploaded by other members' });
+    }
+
     // Delete from storage
-    const filePath = fileData.file_url.split('/').pop();
-    await supabaseAdmin.storage
-      .from('user-files')
-      .remove([`${user_id}/${filePath}`]);
+    await storage.remove(getFileStoragePaths(fileData));
 
     // Delete from database
     const { error: deleteError } = await supabaseAdmin
@@ -445,6 +267,25 @@ router.delete('/:fileId', authMiddleware, validateUUID, async (req, res) => {
 
     if (deleteError) throw deleteError;
 
+    // Keep the bundle totals in sync when a single file is removed from it
+    if (fileData.bundle_id) {
+      const { data: bundle } = await supabaseAdmin
+        .from('file_bundles')
+        .select('file_count, total_size')
+        .eq('id', fileData.bundle_id)
+        .single();
+
+      if (bundle) {
+        await supabaseAdmin
+          .from('file_bundles')
+          .update({
+            file_count: Math.max(0, bundle.file_count - 1),
+            total_size: Math.max(0, bundle.total_size - fileData.file_size)
+          })
+          .eq('id', fileData.bundle_id);
+      }
+    }
+
     res.json({ message: 'File deleted successfully' });
   } catch (error) {
     console.error('Error deleting file:', error);
@@ -453,16 +294,17 @@ router.delete('/:fileId', authMiddleware, validateUUID, async (req, res) => {
 });
 
 // Get file by ID
-router.get('/:fileId', authMiddleware, validateUUID, async (req, res) => {
+router.get('/:fileId', allowApiKey('read'), authMiddleware, workspaceContext(), validateUUID, async (req, res) => {
   try {
     const { fileId } = req.params;
 
-    const { data, error } = await supabaseAdmin
-      .from('uploaded_files')
-      .select('*')
-      .eq('id', fileId)
-      .eq('user_id', req.user.id)
-      .single();
+    const { data, error } = await scopeToOwner(
+      supabaseAdmin
+        .from('uploaded_files')
+        .select('*')
+        .eq('id', fileId),
+      req
+    ).single();
 
     if (error) throw error;
 
@@ -473,4 +315,37 @@ router.get('/:fileId', authMiddleware, validateUUID, async (req, res) => {
   }
 });
 
+// Get a file's thumbnail (JPEG). thumbnail_status says whether there is one yet.
+router.get('/:fileId/thumbnail', allowApiKey('read'), authMiddleware, workspaceContext(), validateUUID, async (req, res) => {
+  try {
+    const { fileId } = req.params;
+
+    const { data: file, error } = await scopeToOwner(
+      supabaseAdmin
+        .from('uploaded_files')
+        .select('id, filename, thumbnail_path, thumbnail_status')
+        .eq('id', fileId),
+      req
+    ).maybeSingle();
+
+    if (error) throw error;
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (file.thumbnail_status !== 'ready' || !file.thumbnail_path) {
+      return res.status(404).json({ error: 'Thumbnail not available', thumbnail_status: file.thumbnail_status });
+    }
+
+    await sendThumbnail(req, res, file);
+  } catch (error) {
+    console.error('Error fetching thumbnail:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to fetch thumbnail' });
+    }
+    res.destroy(error);
+  }
+});
+
 export default router;
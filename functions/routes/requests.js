@@ -1,18 +1,30 @@
 import express from 'express';
-import multer from 'multer';
 import { supabaseAdmin } from '../../config/supabase.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { createUpload, discardUploadOnError, handleUploadErrors } from '../middleware/upload.js';
 import { shareLimiter, uploadLimiter } from '../middleware/rateLimiter.js';
 import { sendDocumentRequestEmail, sendRequestFulfilledEmail } from '../utils/email.js';
+import { MAX_FILE_SIZE } from '../utils/quota.js';
+import { storage } from '../storage/index.js';
+import { queueFileScan } from '../utils/scanner.js';
 import crypto from 'crypto';
 import bcrypt from 'bcrypt';
 
 const router = express.Router();
-const upload = multer({ storage: multer.memoryStorage() });
 
 // JSON middleware for routes that need it (non-upload routes)
 const jsonParser = express.json();
 
+// Fulfillment uploads are streamed to storage (anonymous upload - no user_id folder)
+const upload = createUpload({
+  getPath: (req, file) => {
+    const fileExtension = file.originalname.split('.').pop() || '';
+    const uniqueId = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+    return `anonymous-fulfillments/${uniqueId}.${fileExtension}`;
+  },
+  getMaxSize: () => MAX_FILE_SIZE
+});
+
 // Generate unique request token
 const generateRequestToken = () => {
   return crypto.randomBytes(16).toString('hex');
@@ -186,7 +198,7 @@ router.get('/:token', async (req, res) => {
 });
 
 // Fulfill request with file upload (ANONYMOUS - NO AUTH REQUIRED)
-router.post('/fulfill-upload', uploadLimiter, upload.single('file'), async (req, res) => {
+router.post('/fulfill-upload', uploadLimiter, discardUploadOnError, upload.single('file'), handleUploadErrors, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file provided' });
@@ -229,30 +241,11 @@ router.post('/fulfill-upload', uploadLimiter, upload.single('file'), async (req,
       return res.status(410).json({ error: 'Request has expired' });
     }
 
-    // Generate unique file name (anonymous upload - no user_id folder)
-    const fileExtension = file.originalname.split('.').pop() || '';
-    const uniqueId = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
-    const fileName = `${uniqueId}.${fileExtension}`;
-    const filePath = `anonymous-fulfillments/${fileName}`;
-
-    // Upload to Supabase Storage
-    const { data: uploadData, error: uploadError } = await supabaseAdmin.storage
-      .from('user-files')
-      .upload(filePath, file.buffer, {
-        contentType: file.mimetype,
-        cacheControl: '3600',
-        upsert: false
-      });
-
-    if (uploadError) {
-      console.error('Storage upload error:', uploadError);
-      return res.status(500).json({ error: 'Failed to upload file to storage' });
-    }
+    // The file has already been streamed to storage
+    const filePath = file.path;
 
     // Get public URL
-    const { data: { publicUrl } } = supabaseAdmin.storage
-      .from('user-files')
-      .getPublicUrl(filePath);
+    const { data: { publicUrl } } = storage.getPublicUrl(filePath);
 
     // Calculate expiration time
     const hoursToExpire = parseInt(expires_in_hours) || 24;
@@ -272,8 +265,9 @@ router.post('/fulfill-upload', uploadLimiter, upload.single('file'), async (req,
         user_id: null, // Anonymous upload
         filename: file.originalname,
         file_size: file.size,
-        file_type: file.mimetype,
+        file_type: file.detectedType,
         file_url: publicUrl,
+        storage_path: filePath,
         expires_at: expiresAt ? expiresAt.toISOString() : null,
         is_encrypted: false
       })
@@ -282,9 +276,7 @@ router.post('/fulfill-upload', uploadLimiter, upload.single('file'), async (req,
 
     if (fileError) {
       // Rollback: Delete uploaded file from storage
-      await supabaseAdmin.storage
-        .from('user-files')
-        .remove([filePath]);
+      await storage.remove([filePath]);
       console.error('Error creating file record:', fileError);
       return res.status(500).json({ error: 'Failed to create file record' });
     }
@@ -319,11 +311,14 @@ router.post('/fulfill-upload', uploadLimiter, upload.single('file'), async (req,
     if (shareLinkError) {
       // Rollback: Delete file and storage
       await supabaseAdmin.from('uploaded_files').delete().eq('id', fileData.id);
-      await supabaseAdmin.storage.from('user-files').remove([filePath]);
+      await storage.remove([filePath]);
       console.error('Error creating share link:', shareLinkError);
       return res.status(500).json({ error: 'Failed to create share link' });
     }
 
+    // The share link only works once the malware scan has passed
+    queueFileScan(fileData);
+
     // Update request status to fulfilled (no fulfilled_by_user_id for anonymous)
     const { error: updateError } = await supabaseAdmin
       .from('document_requests')
@@ -1,16 +1,50 @@
 import express from 'express';
 import { supabaseAdmin } from '../../config/supabase.js';
-import { authMiddleware } from '../middleware/auth.js';
+import { authMiddleware, allowApiKey } from '../middleware/auth.js';
+import { requireStepUp } from '../middleware/stepUp.js';
+import { workspaceContext } from '../middleware/workspace.js';
 import { shareLimiter, passwordLimiter } from '../middleware/rateLimiter.js';
-import { validateShareLink, validateShareAccess, validatePassword, validateUUID, validateOTP } from '../middleware/validators.js';
+import { validateShareLink, validateShareLinkUpdate, validateShareRecipients, validateShareAccess, validateShareZip, validateDeliveryReport, validateForensicLookup, validatePreview, validatePassword, validateUUID, validateOTP, validateTOTPCode, validateShareTOTPSetup } from '../middleware/validators.js';
 import { sendShareLinkEmail, sendOTPEmail } from '../utils/email.js';
-import { generateOTP, storeOTP, verifyOTP, isOTPVerified, deleteOTP } from '../utils/otp.js';
+import { generateOTP, storeOTP, verifyOTP, deleteOTP } from '../utils/otp.js';
+import { checkShareAccess, recordShareOpen, findArchivedShareLink, getMissingLinkError, getAvailabilityError, verifyShareTOTP, logShareAccess, requiresEmailOTP, hasRecipientAllowList, isRecipientAllowed } from '../utils/shareAccess.js';
+import { streamZip } from '../utils/zipStream.js';
+import { sendStoredFile, sendRenderedFile } from '../utils/proxyDownload.js';
+import { PROXY_DOWNLOADS, getProxiedFileUrl, getDeliveryCallbackUrl, getPreviewUrl, verifyDownloadTicket } from '../utils/downloadTicket.js';
+import { markForDestruction, destroyFile, destroyFiles } from '../utils/burnAfterRead.js';
+import { createShareAccessToken, verifyShareAccessToken, getShareAccessToken } from '../utils/shareAccessToken.js';
+import { createTOTPEnrollment, verifyTOTPCode, omitTOTPSecrets } from '../utils/totp.js';
+import { scopeToOwner, canManageItem } from '../utils/workspaces.js';
+import { recordShareLinkEvent, getShareLinkEvents } from '../utils/shareLinkAudit.js';
+import { createDeliveries, getDelivery, recordDeliveryProgress, getShareLinkDeliveries } from '../utils/deliveries.js';
+import { supportsWatermark, getWatermarkOptions, getRecipientIdentifier, renderWatermarkedFile, watermarkImage, WATERMARK_MAX_BYTES } from '../utils/watermark.js';
+import { createForensicMark, getForensicMark, extractForensicCode } from '../utils/forensicWatermark.js';
+import { inspectionUpload, handleUploadErrors } from '../middleware/upload.js';
+import { sendThumbnail } from '../utils/thumbnails.js';
+import { getPreviewRenderer, renderPreview, sendPreview } from '../utils/previews.js';
 import logger, { logShareLinkCreated, logFileAccess } from '../utils/logger.js';
+import { storage, getFileStoragePath, readStoredFile } from '../storage/index.js';
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
 import QRCode from 'qrcode';
 
 const router = express.Router();
 
+// A scheduled link has to open before it expires - and before the file or bundle behind it expires.
+// Returns an error message, or null when the schedule works.
+const getScheduleError = (availableFrom, expiresAt, contentExpiresAt) => {
+  if (!availableFrom) return null;
+
+  const opensAt = new Date(availableFrom);
+  if (expiresAt && opensAt >= new Date(expiresAt)) {
+    return 'available_from must be before the link expires';
+  }
+  if (contentExpiresAt && opensAt >= new Date(contentExpiresAt)) {
+    return 'available_from must be before the shared file expires';
+  }
+  return null;
+};
+
 // Create anonymous share link (no authentication required)
 router.post('/anonymous', validateShareLink, async (req, res) => {
   try {
@@ -20,9 +54,32 @@ router.post('/anonymous', validateShareLink, async (req, res) => {
       max_opens,
       password,
       require_otp,
-      qr_code_enabled
+      qr_code_enabled,
+      destroy_on_exhaust,
+      allow_preview
     } = req.body;
 
+    // Bundles belong to an account, so anonymous links always point at a single file
+    if (!file_id) {
+      return res.status(400).json({ error: 'File ID is required' });
+    }
+
+    if (req.body.allowed_recipients?.length) {
+      return res.status(400).json({ error: 'Restricting recipients requires an account' });
+    }
+
+    if (req.body.available_from) {
+      return res.status(400).json({ error: 'Scheduling a share link requires an account' });
+    }
+
+    if (String(req.body.notify_on_delivery) === 'true') {
+      return res.status(400).json({ error: 'Delivery notifications require an account' });
+    }
+
+    if (req.body.forensic_watermark) {
+      return res.status(400).json({ error: 'Forensic watermarks require an account' });
+    }
+
     // Verify file exists and is anonymous
     const { data: fileData, error: fileError } = await supabaseAdmin
       .from('uploaded_files')
@@ -59,6 +116,8 @@ router.post('/anonymous', validateShareLink, async (req, res) => {
         password_hash,
         require_otp: require_otp || false,
         qr_code_enabled: qr_code_enabled || false,
+        destroy_on_exhaust: String(destroy_on_exhaust) === 'true',
+        allow_preview: String(allow_preview) !== 'false',
         created_at: new Date().toISOString()
       })
       .select()
@@ -75,26 +134,8 @@ router.post('/anonymous', validateShareLink, async (req, res) => {
     if (qr_code_enabled) {
       try {
         const shareUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/share/${share_token}`;
-        const qrCodeDataURL = await QRCode.toDataURL(shareUrl);
-        
-        // Upload QR code to storage
-        const qrFileName = `qr-codes/${share_token}.png`;
-        const qrBuffer = Buffer.from(qrCodeDataURL.split(',')[1], 'base64');
-        
-        const { error: qrUploadError } = await supabaseAdmin.storage
-          .from('files')
-          .upload(qrFileName, qrBuffer, {
-            contentType: 'image/png',
-            cacheControl: '3600',
-            upsert: true
-          });
-
-        if (!qrUploadError) {
-          const { data: { publicUrl } } = supabaseAdmin.storage
-            .from('files')
-            .getPublicUrl(qrFileName);
-          qr_code_url = publicUrl;
-        }
+        // Return the QR code as a data URL (same as authenticated links) - storage is private
+        qr_code_url = await QRCode.toDataURL(shareUrl);
       } catch (qrError) {
         logger.warn('QR code generation failed:', qrError);
       }
@@ -121,7 +162,7 @@ router.post('/anonymous', validateShareLink, async (req, res) => {
 });
 
 // Create share link - AUTHENTICATED USERS
-router.post('/', authMiddleware, validateShareLink, async (req, res) => {
+router.post('/', allowApiKey('share'), authMiddleware, workspaceContext('member'), validateShareLink, async (req, res) => {
   try {
     console.log('=== SHARE LINK CREATION START ===');
     console.log('Request body:', req.body);
@@ -132,26 +173,60 @@ router.post('/', authMiddleware, validateShareLink, async (req, res) => {
 
     const {
       file_id,
+      bundle_id,
       expires_at,
       max_opens,
       password,
-      require_otp,
       otp_email,
-      qr_code_enabled
+      qr_code_enabled,
+      allowed_recipients,
+      available_from,
+      watermark,
+      forensic_watermark
     } = req.body;
 
+    // A recipient allow-list is enforced through the email OTP
+    const restrictRecipients = allowed_recipients?.length > 0;
+    const require_otp = String(req.body.require_otp) === 'true' || restrictRecipients;
+
     console.log(`🎨 QR code flag received: ${qr_code_enabled} (type: ${typeof qr_code_enabled})`);
 
-    // Verify file ownership
-    const { data: fileData, error: fileError } = await supabaseAdmin
-      .from('uploaded_files')
-      .select('*')
-      .eq('id', file_id)
-      .eq('user_id', req.user.id)
-      .single();
+    // Verify ownership of the file or bundle being shared - in a workspace, any of the workspace's items
+    let sharedName;
+    let sharedExpiresAt;
+    if (bundle_id) {
+      const { data: bundleData, error: bundleError } = await scopeToOwner(
+        supabaseAdmin
+          .from('file_bundles')
+          .select('*')
+          .eq('id', bundle_id),
+        req
+      ).single();
+
+      if (bundleError || !bundleData) {
+        return res.status(404).json({ error: 'Bundle not found' });
+      }
+      sharedName = bundleData.name;
+      sharedExpiresAt = bundleData.expires_at;
+    } else {
+      const { data: fileData, error: fileError } = await scopeToOwner(
+        supabaseAdmin
+          .from('uploaded_files')
+          .select('*')
+          .eq('id', file_id),
+        req
+      ).single();
+
+      if (fileError || !fileData) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      sharedName = fileData.filename;
+      sharedExpiresAt = fileData.expires_at;
+    }
 
-    if (fileError || !fileData) {
-      return res.status(404).json({ error: 'File not found' });
+    const scheduleError = getScheduleError(available_from, expires_at, sharedExpiresAt);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
     }
 
     // Generate unique share token
@@ -186,9 +261,24 @@ router.post('/', authMiddleware, validateShareLink, async (req, res) => {
       });
     }
 
+    // Pro users can watermark a link with their own overlay - free shares always get the default one
+    if (watermark && userData.subscription_tier !== 'pro') {
+      return res.status(403).json({
+        error: 'Custom watermarks are a Pro feature',
+        message: 'Upgrade to Pro to watermark shares with your own text.'
+      });
+    }
+
+    if (forensic_watermark && userData.subscription_tier !== 'pro') {
+      return res.status(403).json({
+        error: 'Forensic watermarks are a Pro feature',
+        message: 'Upgrade to Pro to trace leaked copies back to their recipient.'
+      });
+    }
+
     // Determine if watermark should be applied
-    const shouldApplyWatermark = userData.subscription_tier === 'free' && 
-                                userData.free_uploads_without_watermark <= 0;
+    const shouldApplyWatermark = (userData.subscription_tier === 'free' && 
+                                userData.free_uploads_without_watermark <= 0) || !!watermark;
 
     // Decrement free uploads counter for free users (only if they have remaining free uploads)
     if (userData.subscription_tier === 'free' && userData.free_uploads_without_watermark > 0) {
@@ -201,22 +291,38 @@ router.post('/', authMiddleware, validateShareLink, async (req, res) => {
     }
 
     // Get download_allowed from request body (default to true)
-    const { download_allowed = true } = req.body;
+    const { download_allowed = true, destroy_on_exhaust = false, notify_on_delivery = false, allow_preview = true } = req.body;
 
     const { data, error } = await supabaseAdmin
       .from('share_links')
       .insert({
-        file_id,
+        file_id: bundle_id ? null : file_id,
+        bundle_id: bundle_id || null,
         user_id: req.user.id,
+        workspace_id: req.workspace?.id || null,
         share_token,
-        expires_at: expires_at || (password_hash ? null : new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()), // No expiration if password protected, default 24h otherwise
+        // No expiration if password protected, otherwise 24h after the link becomes available
+        expires_at: expires_at || (password_hash ? null : new Date((available_from ? new Date(available_from).getTime() : Date.now()) + 24 * 60 * 60 * 1000).toISOString()),
+        available_from: available_from ? new Date(available_from).toISOString() : null,
         max_opens,
         password_hash,
         require_otp,
         otp_email,
         qr_code_enabled,
         has_watermark: shouldApplyWatermark,
-        download_allowed
+        // Unset options fall back to the defaults when the file is served
+        watermark_options: watermark ? {
+          text: watermark.text,
+          position: watermark.position,
+          opacity: watermark.opacity !== undefined ? parseFloat(watermark.opacity) : undefined,
+          include_recipient: watermark.include_recipient !== undefined ? String(watermark.include_recipient) === 'true' : undefined
+        } : null,
+        forensic_watermark: forensic_watermark || null,
+        download_allowed,
+        destroy_on_exhaust: String(destroy_on_exhaust) === 'true',
+        notify_on_delivery: String(notify_on_delivery) === 'true',
+        allow_preview: String(allow_preview) !== 'false',
+        allowed_recipients: restrictRecipients ? [...new Set(allowed_recipients)] : null
       })
       .select()
       .single();
@@ -230,9 +336,10 @@ router.post('/', authMiddleware, validateShareLink, async (req, res) => {
     if (recipient_email) {
       const emailData = {
         shareUrl,
-        filename: fileData.filename,
+        filename: sharedName,
         senderName: sender_name || req.user.email,
         expiresAt: expires_at,
+        availableFrom: data.available_from,
         hasPassword: !!password_hash,
         maxOpens: max_opens,
       };
@@ -323,14 +430,16 @@ router.get('/:token', async (req, res) => {
       .from('share_links')
       .select(`
         *,
-        uploaded_files (*)
+        uploaded_files (*),
+        file_bundles (id, name, file_count, total_size, expires_at)
       `)
       .eq('share_token', token)
       .single();
 
     if (error) {
       console.error(`❌ Database error for token ${token}:`, error);
-      return res.status(404).json({ error: 'Share link not found' });
+      const missingLink = await getMissingLinkError(token);
+      return res.status(missingLink.status).json(missingLink.body);
     }
 
     if (!data) {
@@ -345,20 +454,50 @@ router.get('/:token', async (req, res) => {
       return res.status(410).json({ error: 'Share link expired' });
     }
 
+    // Nothing about a scheduled link is revealed before it opens - just the countdown
+    const availabilityError = getAvailabilityError(data);
+    if (availabilityError) {
+      return res.status(availabilityError.status).json(availabilityError.body);
+    }
+
     // Check if max opens reached
     if (data.max_opens && data.current_opens >= data.max_opens) {
       return res.status(410).json({ error: 'Maximum opens reached' });
     }
 
+    // A recipient who already entered the password gets the full file details
+    const session = verifyShareAccessToken(getShareAccessToken(req), data);
+    const hideFileDetails = data.password_hash && !session.factors.includes('password');
+
+    // Bundle links list their contents; download URLs are only handed out by /access
+    let files;
+    if (data.bundle_id) {
+      const { data: bundleFiles, error: filesError } = await supabaseAdmin
+        .from('uploaded_files')
+        .select('id, filename, file_size, file_type, scan_status, thumbnail_status')
+        .eq('bundle_id', data.bundle_id)
+        .order('filename', { ascending: true });
+
+      if (filesError) throw filesError;
+      files = bundleFiles;
+    }
+
     // Don't send password hash to client, but indicate if password is required
     res.json({ 
       share_link: {
-        ...data,
+        ...omitTOTPSecrets(data),
         password_hash: undefined,
         has_password: !!data.password_hash,
+        requires_totp: !!data.totp_mode,
+        require_otp: requiresEmailOTP(data),
+        allowed_recipients: undefined, // Don't reveal who the link is meant for
+        restricted_recipients: !!data.allowed_recipients?.length,
         has_watermark: data.has_watermark || false,
+        forensic_watermark: undefined, // Don't tell recipients whether their copy is traced
         otp_email: data.otp_email,
-        uploaded_files: data.password_hash ? {
+        files,
+        verified_factors: session.factors,
+        uploaded_files: !data.uploaded_files ? null : hideFileDetails ? {
           id: data.uploaded_files.id,
           filename: data.uploaded_files.filename,
           file_size: data.uploaded_files.file_size,
@@ -395,7 +534,7 @@ router.post('/:token/verify-password', passwordLimiter, validatePassword, async
 
     const { data: linkData, error: linkError } = await supabaseAdmin
       .from('share_links')
-      .select('id, password_hash')
+      .select('id, password_hash, require_otp, allowed_recipients, totp_mode, available_from')
       .eq('share_token', token)
       .single();
 
@@ -407,6 +546,12 @@ router.post('/:token/verify-password', passwordLimiter, validatePassword, async
       return res.status(400).json({ error: 'This link is not password protected' });
     }
 
+    // Scheduled links don't take passwords or codes before they open
+    const availabilityError = getAvailabilityError(linkData);
+    if (availabilityError) {
+      return res.status(availabilityError.status).json(availabilityError.body);
+    }
+
     // Verify password
     const isValid = await bcrypt.compare(password, linkData.password_hash);
 
@@ -414,7 +559,19 @@ router.post('/:token/verify-password', passwordLimiter, validatePassword, async
       return res.status(401).json({ error: 'Invalid password' });
     }
 
-    res.json({ success: true, message: 'Password verified' });
+    // The access token stands in for the password from now on
+    const session = createShareAccessToken(linkData, {
+      factors: ['password'],
+      previousToken: getShareAccessToken(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Password verified',
+      ...session,
+      otp_required: requiresEmailOTP(linkData) && !session.factors.includes('otp'),
+      totp_required: !!linkData.totp_mode && !session.factors.includes('totp')
+    });
   } catch (error) {
     console.error('Error verifying password:', error);
     res.status(500).json({ error: 'Failed to verify password' });
@@ -440,7 +597,7 @@ router.post('/:token/request-otp', shareLimiter, async (req, res) => {
     console.log(`🔍 Checking share link for token: ${token}`);
     const { data: linkData, error: linkError } = await supabaseAdmin
       .from('share_links')
-      .select('id, require_otp, expires_at')
+      .select('id, require_otp, allowed_recipients, expires_at, available_from')
       .eq('share_token', token)
       .single();
 
@@ -451,11 +608,18 @@ router.post('/:token/request-otp', shareLimiter, async (req, res) => {
 
     console.log(`✅ Share link found - ID: ${linkData.id}, require_otp: ${linkData.require_otp}, expires_at: ${linkData.expires_at}`);
 
-    if (!linkData.require_otp) {
+    if (!requiresEmailOTP(linkData)) {
       console.log('❌ Share link does not require OTP');
       return res.status(400).json({ error: 'This share link does not require OTP' });
     }
 
+    // Only send codes to the recipients the owner listed
+    if (!isRecipientAllowed(linkData, email)) {
+      console.log(`❌ ${email} is not on the recipient allow-list of share link ${linkData.id}`);
+      await logShareAccess(linkData.id, req.body.ip_address, false, email);
+      return res.status(403).json({ error: 'This email address is not allowed to open this share link' });
+    }
+
     // Check if expired (only if expires_at is set)
     if (linkData.expires_at) {
       const now = new Date();
@@ -470,12 +634,19 @@ router.post('/:token/request-otp', shareLimiter, async (req, res) => {
       console.log('ℹ️ No expiration set for this share link');
     }
 
+    // Don't send a code that would expire long before the link opens
+    const availabilityError = getAvailabilityError(linkData);
+    if (availabilityError) {
+      console.log(`❌ Share link is not available until ${availabilityError.body.available_from}`);
+      return res.status(availabilityError.status).json(availabilityError.body);
+    }
+
     // Generate and store OTP
     const otp = generateOTP();
     const identifier = `${token}:${email}`;
-    storeOTP(identifier, otp);
+    await storeOTP(identifier, otp);
 
-    console.log(`Generated OTP for ${email}: ${otp} (identifier: ${identifier})`);
+    console.log(`Generated OTP for ${email} (identifier: ${identifier})`);
 
     // Increment OTP count in database
     // First, get the current count
@@ -507,32 +678,12 @@ router.post('/:token/request-otp', shareLimiter, async (req, res) => {
     const emailResult = await sendOTPEmail(email, otp);
     console.log(`📧 Email sending result:`, emailResult);
 
+    // The code only ever goes to the recipient's inbox - handing it back here would let anyone
+    // who knows an allowed address open the link
     if (!emailResult.success) {
       console.error('Failed to send OTP email:', emailResult);
-      console.log(`⚠️ Email sending failed but OTP generated: ${otp}`);
-      
-      // Check if email is configured
-      if (!process.env.SENDGRID_API_KEY) {
-        console.error('❌ SENDGRID_API_KEY not configured in environment variables');
-        console.log(`🔑 For testing purposes, OTP is: ${otp}`);
-        
-        // Return success with OTP for testing (remove in production)
-        return res.json({
-          message: 'OTP generated (email not configured)',
-          otp: otp, // Only for testing - remove in production
-          expiresIn: 600,
-          warning: 'Email service not configured'
-        });
-      }
-      
-      // Email is configured but sending failed - still return OTP for testing
-      console.log(`🔑 Email configured but sending failed. OTP is: ${otp}`);
-      return res.json({
-        message: 'OTP generated (email sending failed)',
-        otp: otp, // Only for testing - remove in production
-        expiresIn: 600,
-        warning: 'Email sending failed but OTP is available'
-      });
+      await deleteOTP(identifier);
+      return res.status(503).json({ error: 'The verification code could not be sent. Please try again later.' });
     }
 
     console.log(`✅ OTP sent successfully to ${email}`);
@@ -560,8 +711,23 @@ router.post('/:token/verify-otp', shareLimiter, validateOTP, async (req, res) =>
       return res.status(400).json({ error: 'Email and OTP are required' });
     }
 
+    const { data: linkData, error: linkError } = await supabaseAdmin
+      .from('share_links')
+      .select('id, password_hash, require_otp, available_from')
+      .eq('share_token', token)
+      .single();
+
+    if (linkError || !linkData) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    const availabilityError = getAvailabilityError(linkData);
+    if (availabilityError) {
+      return res.status(availabilityError.status).json(availabilityError.body);
+    }
+
     const identifier = `${token}:${email}`;
-    const verification = verifyOTP(identifier, otp);
+    const verification = await verifyOTP(identifier, otp);
 
     if (!verification.valid) {
       return res.status(401).json({
@@ -570,10 +736,18 @@ router.post('/:token/verify-otp', shareLimiter, validateOTP, async (req, res) =>
       });
     }
 
+    const session = createShareAccessToken(linkData, {
+      factors: ['otp'],
+      email,
+      previousToken: getShareAccessToken(req)
+    });
+
     res.json({
       success: true,
       message: 'OTP verified successfully',
-      verified: true
+      verified: true,
+      ...session,
+      password_required: !!linkData.password_hash && !session.factors.includes('password')
     });
   } catch (error) {
     console.error('Error verifying OTP:', error);
@@ -581,146 +755,170 @@ router.post('/:token/verify-otp', shareLimiter, validateOTP, async (req, res) =>
   }
 });
 
-// Access file via share link (increments counter)
-router.post('/:token/access', shareLimiter, validateShareAccess, async (req, res) => {
+// Verify an authenticator app code for a TOTP-protected share link
+router.post('/:token/verify-totp', passwordLimiter, validateTOTPCode, async (req, res) => {
   try {
     const { token } = req.params;
-    const { ip_address, password, otp, email } = req.body;
+    const { code } = req.body;
 
     const { data: linkData, error: linkError } = await supabaseAdmin
       .from('share_links')
-      .select(`
-        *,
-        uploaded_files (*)
-      `)
+      .select('id, user_id, password_hash, totp_mode, totp_secret, available_from')
       .eq('share_token', token)
       .single();
 
     if (linkError || !linkData) {
-      if (linkData?.id) {
-        await supabaseAdmin
-          .from('access_logs')
-          .insert({
-            share_link_id: linkData.id,
-            ip_address: ip_address || 'unknown',
-            success: false
-          });
-      }
       return res.status(404).json({ error: 'Share link not found' });
     }
 
-    // Check if expired (only if expires_at is set)
-    if (linkData.expires_at && new Date(linkData.expires_at) < new Date()) {
-      await supabaseAdmin
-        .from('access_logs')
-        .insert({
-          share_link_id: linkData.id,
-          ip_address: ip_address || 'unknown',
-          success: false
-        });
-      return res.status(410).json({ error: 'Share link expired' });
+    if (!linkData.totp_mode) {
+      return res.status(400).json({ error: 'This share link does not use an authenticator app' });
     }
 
-    // Check if max opens reached (allow the last access)
-    console.log(`🔢 Open count check - current: ${linkData.current_opens}, max: ${linkData.max_opens}`);
-    if (linkData.max_opens && linkData.current_opens >= linkData.max_opens) {
-      console.log(`❌ Maximum opens reached - current: ${linkData.current_opens}, max: ${linkData.max_opens}`);
-      await supabaseAdmin
-        .from('access_logs')
-        .insert({
-          share_link_id: linkData.id,
-          ip_address: ip_address || 'unknown',
-          success: false
-        });
-      return res.status(410).json({ error: 'Maximum opens reached' });
+    const availabilityError = getAvailabilityError(linkData);
+    if (availabilityError) {
+      return res.status(availabilityError.status).json(availabilityError.body);
     }
 
-    // Verify password if required
-    if (linkData.password_hash) {
-      if (!password) {
-        return res.status(401).json({ error: 'Password required' });
-      }
-
-      const isValid = await bcrypt.compare(password, linkData.password_hash);
-      if (!isValid) {
-        await supabaseAdmin
-          .from('access_logs')
-          .insert({
-            share_link_id: linkData.id,
-            ip_address: ip_address || 'unknown',
-            success: false
-          });
-        return res.status(401).json({ error: 'Invalid password' });
-      }
+    if (!(await verifyShareTOTP(linkData, code))) {
+      return res.status(401).json({ error: 'Invalid authenticator code' });
     }
 
-    // Verify OTP if required
-    if (linkData.require_otp) {
-      if (!otp || !email) {
-        return res.status(401).json({ error: 'OTP and email required' });
-      }
+    const session = createShareAccessToken(linkData, {
+      factors: ['totp'],
+      previousToken: getShareAccessToken(req)
+    });
 
-      const identifier = `${token}:${email}`;
-      
-      // Check if OTP was already verified (from the verify-otp endpoint)
-      const verificationStatus = isOTPVerified(identifier);
-      
-      if (verificationStatus.verified) {
-        // OTP was already verified, allow access and delete the OTP
-        console.log('✅ OTP already verified, allowing access and cleaning up');
-        deleteOTP(identifier);
-      } else {
-        // OTP not verified yet, try to verify it now
-        const verification = verifyOTP(identifier, otp);
-
-        if (!verification.valid) {
-          await supabaseAdmin
-            .from('access_logs')
-            .insert({
-              share_link_id: linkData.id,
-              ip_address: ip_address || 'unknown',
-              success: false
-            });
-          return res.status(401).json({
-            error: verification.error,
-            attemptsLeft: verification.attemptsLeft
-          });
-        }
-        
-        // Delete OTP after successful verification
-        deleteOTP(identifier);
-      }
+    res.json({
+      success: true,
+      message: 'Authenticator code verified',
+      ...session,
+      password_required: !!linkData.password_hash && !session.factors.includes('password')
+    });
+  } catch (error) {
+    console.error('Error verifying authenticator code:', error);
+    res.status(500).json({ error: 'Failed to verify authenticator code' });
+  }
+});
+
+// Download and view URLs for a file behind a share link. Signed storage URLs can be passed around
+// freely, so every link gets URLs that go through the backend when PROXY_DOWNLOADS is on, where each
+// request is checked against the link again. View-only links only get a preview, never the stored file.
+// Set proxyOnly when the backend has to see the download finish (burn-after-read, delivery receipts).
+const usesProxiedUrls = (linkData, { proxyOnly = false } = {}) =>
+  linkData.download_allowed === false || PROXY_DOWNLOADS || proxyOnly;
+
+// Proxied URLs count the bytes they serve against the file's delivery. A signed storage URL comes with
+// a delivery_callback_url the recipient's browser posts to once the download has finished.
+// preview_url is set for files that can be rendered, unless the owner turned previews off.
+const getFileUrls = async (token, linkData, file, { proxyOnly = false, delivery = null } = {}) => {
+  const deliveryId = delivery?.id || null;
+  const previewUrl = linkData.allow_preview !== false && getPreviewRenderer(file)
+    ? getPreviewUrl(token, linkData.id, file.id, deliveryId)
+    : null;
+
+  if (linkData.download_allowed === false) {
+    return { download_url: null, stream_url: null, preview_url: previewUrl, delivery_id: deliveryId };
+  }
+
+  const streamUrl = getProxiedFileUrl(token, linkData.id, file.id, 'inline', deliveryId);
+
+  if (usesProxiedUrls(linkData, { proxyOnly })) {
+    return { download_url: getProxiedFileUrl(token, linkData.id, file.id, 'attachment', deliveryId), stream_url: streamUrl, preview_url: previewUrl, delivery_id: deliveryId };
+  }
+
+  const { data: signedUrlData, error: urlError } = await storage.createSignedUrl(getFileStoragePath(file), 3600); // 1 hour expiry
+  if (urlError) throw urlError;
+
+  return {
+    download_url: signedUrlData.signedUrl,
+    stream_url: streamUrl,
+    preview_url: previewUrl,
+    delivery_id: deliveryId,
+    delivery_callback_url: deliveryId ? getDeliveryCallbackUrl(token, linkData.id, file.id, deliveryId) : null
+  };
+};
+
+// Only an email proven with an OTP is recorded as the recipient of a delivery
+const getVerifiedRecipientEmail = (linkData, session, email) => {
+  if (session.factors.includes('otp')) return session.email;
+  return requiresEmailOTP(linkData) ? email || null : null;
+};
+
+// Forensic watermarks: each open gets a mark tied to its access log entry. Copies served for the
+// open find it again through their delivery's access_id.
+const createOpenMark = async (linkData, open, deliveries, { recipientEmail, ipAddress }) => {
+  const [delivery] = Object.values(deliveries);
+  if (!linkData.forensic_watermark || !delivery) return null;
+
+  return createForensicMark(linkData, {
+    accessId: delivery.access_id,
+    accessLogId: open.access_log_id,
+    recipientEmail,
+    ipAddress
+  });
+};
+
+// Access file via share link (increments counter)
+router.post('/:token/access', shareLimiter, validateShareAccess, async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { ip_address } = req.body;
+
+    const { linkData, files, session, error: accessError } = await checkShareAccess(token, req.body, {
+      accessToken: getShareAccessToken(req)
+    });
+    if (accessError) {
+      return res.status(accessError.status).json(accessError.body);
     }
 
-    // Increment counter
-    console.log(`🔢 Incrementing open count from ${linkData.current_opens} to ${linkData.current_opens + 1}`);
-    const { error: updateError } = await supabaseAdmin
-      .from('share_links')
-      .update({ current_opens: linkData.current_opens + 1 })
-      .eq('id', linkData.id);
+    const recipientEmail = getVerifiedRecipientEmail(linkData, session, req.body.email);
+    const open = await recordShareOpen(linkData, ip_address, recipientEmail);
+    if (!open.consumed) {
+      return res.status(410).json({ error: 'Maximum opens reached' });
+    }
 
-    if (updateError) throw updateError;
+    const downloadAllowed = linkData.download_allowed !== false;
 
-    // Log access
-    await supabaseAdmin
-      .from('access_logs')
-      .insert({
-        share_link_id: linkData.id,
-        ip_address,
-        success: true
-      });
+    // Burn after read: the files are destroyed once the final open has been downloaded
+    const burnAfterRead = open.exhausted && linkData.destroy_on_exhaust;
+    if (burnAfterRead) {
+      await markForDestruction(files);
+    }
+
+    // Delivery receipts need the backend to see the download finish as well, and watermarks are
+    // stamped while the file is served
+    const proxyOnly = burnAfterRead || !!linkData.notify_on_delivery || !!linkData.has_watermark || !!linkData.forensic_watermark;
+    const deliveries = await createDeliveries(linkData, files.filter(file => file.scan_status === 'clean'), {
+      tracking: usesProxiedUrls(linkData, { proxyOnly }) ? 'proxy' : 'callback',
+      ipAddress: ip_address,
+      recipientEmail
+    });
+    await createOpenMark(linkData, open, deliveries, { recipientEmail, ipAddress: ip_address });
+
+    // One open covers every file in the bundle; each one gets its own URLs
+    if (linkData.bundle_id) {
+      const bundleFiles = await Promise.all(files.map(async (file) => {
+        if (file.scan_status !== 'clean') {
+          return { ...file, download_url: null, stream_url: null };
+        }
 
-    // Generate signed URL for file download
-    const filePath = linkData.uploaded_files.file_url.split('/').slice(-2).join('/');
-    const { data: signedUrlData, error: urlError } = await supabaseAdmin.storage
-      .from('user-files')
-      .createSignedUrl(filePath, 3600); // 1 hour expiry
+        return { ...file, ...(await getFileUrls(token, linkData, file, { proxyOnly, delivery: deliveries[file.id] })) };
+      }));
 
-    if (urlError) throw urlError;
+      return res.json({
+        bundle: linkData.file_bundles,
+        files: bundleFiles,
+        download_allowed: downloadAllowed,
+        destroy_pending: burnAfterRead
+      });
+    }
 
     res.json({
       file: linkData.uploaded_files,
-      download_url: signedUrlData.signedUrl
+      ...(await getFileUrls(token, linkData, linkData.uploaded_files, { proxyOnly, delivery: deliveries[linkData.uploaded_files.id] })),
+      download_allowed: downloadAllowed,
+      destroy_pending: burnAfterRead
     });
   } catch (error) {
     console.error('Error accessing file:', error);
@@ -728,144 +926,942 @@ router.post('/:token/access', shareLimiter, validateShareAccess, async (req, res
   }
 });
 
-// Get user's share links
-router.get('/user/links', authMiddleware, async (req, res) => {
+// The link a download ticket was issued for. The final open moves the link to history -
+// tickets it handed out stay valid until they expire.
+const findTicketLink = async (token) => {
+  const { data: linkData } = await supabaseAdmin
+    .from('share_links')
+    .select('id, file_id, bundle_id, expires_at, download_allowed, has_watermark, watermark_options, allow_preview')
+    .eq('share_token', token)
+    .maybeSingle();
+
+  if (linkData) return linkData;
+
+  const archived = await findArchivedShareLink(token);
+  if (archived?.status !== 'max_opens_reached') return null;
+
+  return {
+    id: archived.original_share_link_id,
+    file_id: archived.file_id,
+    bundle_id: archived.bundle_id,
+    expires_at: null,
+    download_allowed: archived.download_allowed,
+    has_watermark: archived.had_watermark,
+    watermark_options: archived.watermark_options,
+    allow_preview: archived.allow_preview
+  };
+};
+
+// Stream a file behind a share link through the backend, with Range and conditional request support.
+// Needs a ticket from /access; the link is checked again on every request (expiry, view-only, malware scan)
+// but opens are only counted by /access, so seeking in a video doesn't use up max_opens.
+router.get('/:token/files/:fileId/content', validateUUID, async (req, res) => {
   try {
-    const { data, error } = await supabaseAdmin
-      .from('share_links')
-      .select(`
-        *,
-        uploaded_files (filename, file_size)
-      `)
-      .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false });
-
-    if (error) throw error;
-
-    res.json({ share_links: data });
-  } catch (error) {
-    console.error('Error fetching share links:', error);
-    res.status(500).json({ error: 'Failed to fetch share links' });
-  }
-});
+    const { token, fileId } = req.params;
 
-// Get user's share link history
-router.get('/user/history', authMiddleware, async (req, res) => {
-  try {
-    const { data, error } = await supabaseAdmin
-      .from('share_link_history')
-      .select('*')
-      .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false });
+    const linkData = await findTicketLink(token);
+    if (!linkData) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
 
-    if (error) throw error;
+    const ticket = verifyDownloadTicket(req.query.ticket, { linkId: linkData.id, fileId });
+    if (!ticket.valid) {
+      return res.status(403).json({ error: 'Invalid or expired download link' });
+    }
 
-    res.json({ history: data });
-  } catch (error) {
-    console.error('Error fetching share link history:', error);
-    res.status(500).json({ error: 'Failed to fetch share link history' });
-  }
-});
+    if (linkData.expires_at && new Date(linkData.expires_at) < new Date()) {
+      return res.status(410).json({ error: 'Share link expired' });
+    }
 
-// Delete share link
-router.delete('/:linkId', authMiddleware, validateUUID, async (req, res) => {
-  try {
-    const { linkId } = req.params;
+    // View-only links are only ever previewed - streaming the file inline would hand it out as well
+    if (linkData.download_allowed === false) {
+      return res.status(403).json({ error: 'This share link is view-only' });
+    }
 
-    // Verify ownership
-    const { data: linkData, error: fetchError } = await supabaseAdmin
-      .from('share_links')
+    const { data: file, error: fileError } = await supabaseAdmin
+      .from('uploaded_files')
       .select('*')
-      .eq('id', linkId)
-      .eq('user_id', req.user.id)
+      .eq('id', fileId)
       .single();
 
-    if (fetchError || !linkData) {
-      return res.status(404).json({ error: 'Share link not found' });
+    const isLinkedFile = file && (file.id === linkData.file_id || (linkData.bundle_id && file.bundle_id === linkData.bundle_id));
+    if (fileError || !isLinkedFile) {
+      return res.status(404).json({ error: 'File not found' });
     }
 
-    const { error } = await supabaseAdmin
-      .from('share_links')
-      .delete()
-      .eq('id', linkId);
+    if (file.scan_status !== 'clean') {
+      return res.status(403).json({ error: 'This file is not available for download', scan_status: file.scan_status });
+    }
 
-    if (error) throw error;
+    // Watermarked links stamp images and PDFs for the recipient, whether they are viewed or downloaded.
+    // Forensic marks are looked up through the delivery, so copies of a link's final open are marked too.
+    let watermarked = null;
+    if (supportsWatermark(file) && (linkData.has_watermark || ticket.deliveryId)) {
+      const delivery = ticket.deliveryId ? await getDelivery(ticket.deliveryId) : null;
+      const mark = delivery ? await getForensicMark(delivery.access_id) : null;
+      if (linkData.has_watermark || mark) {
+        watermarked = await renderWatermarkedFile(file, getWatermarkOptions(linkData, { recipient: getRecipientIdentifier(delivery), mark }));
+      }
+    }
 
-    res.json({ message: 'Share link deleted successfully' });
+    const { completed, bytesSent, reachedEnd } = watermarked
+      ? await sendRenderedFile(req, res, file, watermarked, { disposition: ticket.disposition })
+      : await sendStoredFile(req, res, file, { disposition: ticket.disposition });
+
+    if (ticket.deliveryId && (bytesSent > 0 || reachedEnd)) {
+      recordDeliveryProgress(ticket.deliveryId, { bytes: bytesSent, reachedEnd }).catch(error => {
+        logger.error(`Failed to record delivery ${ticket.deliveryId}:`, error);
+      });
+    }
+
+    // Burn after read: the final open's download is done
+    if (completed && file.destroy_after) {
+      destroyFile(file).catch(error => {
+        logger.error(`Failed to destroy file ${file.id} after download:`, error);
+      });
+    }
   } catch (error) {
-    console.error('Error deleting share link:', error);
-    res.status(500).json({ error: 'Failed to delete share link' });
+    console.error('Error streaming shared file:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to download file' });
+    }
+    res.destroy(error);
   }
 });
 
-// Get QR code for a share link
-router.get('/:linkId/qrcode', authMiddleware, validateUUID, async (req, res) => {
+// Thumbnail (JPEG) of a file behind a share link, unless the owner turned previews off (allow_preview).
+// Needs the same verification as /access - send the access token from the verify endpoints - but
+// doesn't use an open. Watermarked links get it stamped with the link's watermark; links with a
+// forensic watermark have no thumbnails, as the mark belongs to an open.
+router.get('/:token/files/:fileId/thumbnail', validateUUID, async (req, res) => {
   try {
-    const { linkId } = req.params;
+    const { token, fileId } = req.params;
 
-    // Verify ownership
-    const { data: linkData, error: linkError } = await supabaseAdmin
-      .from('share_links')
-      .select('share_token, qr_code_enabled')
-      .eq('id', linkId)
-      .eq('user_id', req.user.id)
-      .single();
+    const { linkData, files, error: accessError } = await checkShareAccess(token, { ip_address: req.ip }, {
+      accessToken: getShareAccessToken(req)
+    });
+    if (accessError) {
+      return res.status(accessError.status).json(accessError.body);
+    }
 
-    if (linkError || !linkData) {
-      return res.status(404).json({ error: 'Share link not found' });
+    if (linkData.allow_preview === false) {
+      return res.status(403).json({ error: 'Previews are disabled for this share link' });
     }
 
-    const shareUrl = `${process.env.FRONTEND_URL}/share/${linkData.share_token}`;
+    const file = files.find(item => item.id === fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
 
-    // Generate QR code
-    try {
-      const qrCodeDataURL = await QRCode.toDataURL(shareUrl, {
-        errorCorrectionLevel: 'H',
-        type: 'image/png',
-        quality: 0.92,
-        margin: 1,
-        color: {
-          dark: '#000000',
-          light: '#FFFFFF'
-        },
-        width: 300
-      });
+    if (file.scan_status !== 'clean' || file.thumbnail_status !== 'ready' || !file.thumbnail_path) {
+      return res.status(404).json({ error: 'Thumbnail not available', thumbnail_status: file.thumbnail_status });
+    }
 
-      res.json({ 
-        qr_code: qrCodeDataURL,
-        url: shareUrl
-      });
-    } catch (qrError) {
-      console.error('Failed to generate QR code:', qrError);
-      throw new Error('QR code generation failed');
+    if (linkData.forensic_watermark) {
+      return res.status(404).json({ error: 'Thumbnail not available' });
+    }
+
+    // No open, so no recipient to name - just the link's watermark
+    if (linkData.has_watermark) {
+      const thumbnail = await readStoredFile({ storage_path: file.thumbnail_path });
+      const body = await watermarkImage(thumbnail, { id: file.id, file_type: 'image/jpeg' }, getWatermarkOptions(linkData));
+      return sendPreview(res, { contentType: 'image/jpeg', body });
     }
+
+    await sendThumbnail(req, res, file);
   } catch (error) {
-    console.error('Error generating QR code:', error);
-    res.status(500).json({ error: 'Failed to generate QR code' });
+    console.error('Error fetching shared thumbnail:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to fetch thumbnail' });
+    }
+    res.destroy(error);
   }
 });
 
-// Get access logs for a share link
-router.get('/:linkId/logs', authMiddleware, validateUUID, async (req, res) => {
+// Rendered preview of a file behind a share link, with the preview_url from /access: an image as WebP,
+// a PDF page as PNG (?page=N, the page count is in X-Preview-Pages), a video's poster frame as JPEG, or
+// text, code and CSV as HTML. The stored bytes are never sent, so view-only links can be looked at
+// without handing out the file. Doesn't use an open or count towards the delivery.
+router.get('/:token/files/:fileId/preview', validateUUID, validatePreview, async (req, res) => {
   try {
-    const { linkId } = req.params;
-
-    // Verify ownership
-    const { data: linkData, error: linkError } = await supabaseAdmin
-      .from('share_links')
-      .select('*')
-      .eq('id', linkId)
-      .eq('user_id', req.user.id)
-      .single();
+    const { token, fileId } = req.params;
 
-    if (linkError || !linkData) {
+    const linkData = await findTicketLink(token);
+    if (!linkData) {
       return res.status(404).json({ error: 'Share link not found' });
     }
 
-    const { data, error } = await supabaseAdmin
-      .from('access_logs')
+    // Only preview tickets - they can't be used to get the stored file from /content
+    const ticket = verifyDownloadTicket(req.query.ticket, { linkId: linkData.id, fileId, dispositions: ['preview'] });
+    if (!ticket.valid) {
+      return res.status(403).json({ error: 'Invalid or expired preview link' });
+    }
+
+    if (linkData.expires_at && new Date(linkData.expires_at) < new Date()) {
+      return res.status(410).json({ error: 'Share link expired' });
+    }
+
+    if (linkData.allow_preview === false) {
+      return res.status(403).json({ error: 'Previews are disabled for this share link' });
+    }
+
+    const { data: file, error: fileError } = await supabaseAdmin
+      .from('uploaded_files')
       .select('*')
-      .eq('share_link_id', linkId)
+      .eq('id', fileId)
+      .single();
+
+    const isLinkedFile = file && (file.id === linkData.file_id || (linkData.bundle_id && file.bundle_id === linkData.bundle_id));
+    if (fileError || !isLinkedFile) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (file.scan_status !== 'clean') {
+      return res.status(403).json({ error: 'This file is not available for preview', scan_status: file.scan_status });
+    }
+
+    const preview = await renderPreview(file, { page: req.query.page || 1 });
+    if (preview.error) {
+      return res.status(preview.error.status).json(preview.error.body);
+    }
+
+    // Rendered images carry the same watermark and forensic mark as the file itself would
+    if (preview.contentType.startsWith('image/') && (linkData.has_watermark || ticket.deliveryId)) {
+      const delivery = ticket.deliveryId ? await getDelivery(ticket.deliveryId) : null;
+      const mark = delivery ? await getForensicMark(delivery.access_id) : null;
+      if (linkData.has_watermark || mark) {
+        const options = getWatermarkOptions(linkData, { recipient: getRecipientIdentifier(delivery), mark });
+        preview.body = await watermarkImage(preview.body, { id: file.id, file_type: preview.contentType }, options);
+      }
+    }
+
+    sendPreview(res, preview);
+  } catch (error) {
+    console.error('Error rendering shared file preview:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to render preview' });
+    }
+    res.destroy(error);
+  }
+});
+
+// Report a finished download from a signed storage URL, with the delivery_callback_url from /access.
+// Downloads through the backend are tracked by the backend itself and can't be reported.
+router.post('/:token/files/:fileId/delivered', shareLimiter, validateUUID, validateDeliveryReport, async (req, res) => {
+  try {
+    const { token, fileId } = req.params;
+    const { bytes_received } = req.body;
+
+    const linkData = await findTicketLink(token);
+    if (!linkData) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    const ticket = verifyDownloadTicket(req.query.ticket, { linkId: linkData.id, fileId });
+    if (!ticket.valid || !ticket.deliveryId) {
+      return res.status(403).json({ error: 'Invalid or expired delivery link' });
+    }
+
+    const delivery = await getDelivery(ticket.deliveryId);
+    if (!delivery || delivery.file_id !== fileId) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    if (delivery.tracking !== 'callback') {
+      return res.status(400).json({ error: 'This download is tracked by the server' });
+    }
+
+    if (delivery.status === 'completed') {
+      return res.json({ delivery_id: delivery.id, status: delivery.status });
+    }
+
+    const bytesReceived = parseInt(bytes_received);
+    const status = await recordDeliveryProgress(delivery.id, {
+      bytes: Math.min(bytesReceived, delivery.file_size),
+      reachedEnd: bytesReceived >= delivery.file_size
+    });
+
+    res.json({ delivery_id: delivery.id, status });
+  } catch (error) {
+    console.error('Error recording delivery:', error);
+    res.status(500).json({ error: 'Failed to record delivery' });
+  }
+});
+
+// Download the files behind a share link as one ZIP, streamed as it is built (counts as one open).
+// Pass file_ids to only include some of the files.
+router.post('/:token/zip', shareLimiter, validateShareZip, async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { ip_address, file_ids } = req.body;
+
+    const { linkData, files, session, error: accessError } = await checkShareAccess(token, req.body, {
+      requireDownload: true,
+      accessToken: getShareAccessToken(req)
+    });
+    if (accessError) {
+      return res.status(accessError.status).json(accessError.body);
+    }
+
+    let selectedFiles = files;
+    if (file_ids?.length) {
+      const unknownId = file_ids.find(id => !files.some(file => file.id === id));
+      if (unknownId) {
+        return res.status(404).json({ error: `File ${unknownId} is not part of this share link` });
+      }
+      selectedFiles = files.filter(file => file_ids.includes(file.id));
+    }
+
+    // Only files that passed the malware scan go into the archive
+    selectedFiles = selectedFiles.filter(file => file.scan_status === 'clean');
+    if (selectedFiles.length === 0) {
+      return res.status(409).json({ error: 'None of the selected files are available for download yet' });
+    }
+
+    // E2EE files can only be decrypted by the recipient's browser, one at a time
+    if (selectedFiles.some(file => file.is_encrypted)) {
+      return res.status(400).json({ error: 'Encrypted files must be downloaded individually' });
+    }
+
+    const recipientEmail = getVerifiedRecipientEmail(linkData, session, req.body.email);
+    const open = await recordShareOpen(linkData, ip_address, recipientEmail);
+    if (!open.consumed) {
+      return res.status(410).json({ error: 'Maximum opens reached' });
+    }
+
+    // Burn after read: everything behind the link goes once the final ZIP has been downloaded
+    const burnAfterRead = open.exhausted && linkData.destroy_on_exhaust;
+    if (burnAfterRead) {
+      await markForDestruction(files);
+    }
+
+    const deliveries = await createDeliveries(linkData, selectedFiles, {
+      tracking: 'zip',
+      ipAddress: ip_address,
+      recipientEmail
+    });
+    const mark = await createOpenMark(linkData, open, deliveries, { recipientEmail, ipAddress: ip_address });
+
+    const archiveName = linkData.file_bundles?.name || linkData.uploaded_files?.filename || 'files';
+    console.log(`📦 Streaming ZIP of ${selectedFiles.length} files for share link ${linkData.id}`);
+
+    const completed = await streamZip(res, `${archiveName}.zip`, selectedFiles, {
+      renderFile: linkData.has_watermark || mark
+        ? file => renderWatermarkedFile(file, getWatermarkOptions(linkData, { recipient: getRecipientIdentifier(deliveries[file.id]), mark }))
+        : null
+    });
+
+    // Every file in a finished archive has been delivered in full
+    if (completed) {
+      Promise.all(selectedFiles.map(file =>
+        recordDeliveryProgress(deliveries[file.id].id, { bytes: file.file_size || 0, reachedEnd: true })
+      )).catch(error => {
+        logger.error(`Failed to record ZIP delivery for share link ${linkData.id}:`, error);
+      });
+    }
+
+    if (completed && burnAfterRead) {
+      destroyFiles(files).catch(error => {
+        logger.error(`Failed to destroy files of share link ${linkData.id} after ZIP download:`, error);
+      });
+    }
+  } catch (error) {
+    console.error('Error creating ZIP download:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to create ZIP download' });
+    }
+    // The archive is already partly sent - cut the connection so the client sees an incomplete download
+    res.destroy(error);
+  }
+});
+
+// Get user's (or the workspace's) share links
+router.get('/user/links', allowApiKey('read'), authMiddleware, workspaceContext(), async (req, res) => {
+  try {
+    const { data, error } = await scopeToOwner(
+      supabaseAdmin
+        .from('share_links')
+        .select(`
+          *,
+          uploaded_files (filename, file_size),
+          file_bundles (name, file_count, total_size)
+        `),
+      req
+    ).order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ share_links: data.map(omitTOTPSecrets) });
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    res.status(500).json({ error: 'Failed to fetch share links' });
+  }
+});
+
+// Get user's share link history
+router.get('/user/history', allowApiKey('read'), authMiddleware, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('share_link_history')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ history: data });
+  } catch (error) {
+    console.error('Error fetching share link history:', error);
+    res.status(500).json({ error: 'Failed to fetch share link history' });
+  }
+});
+
+// Trace a leaked copy back to the open it was served for. Send the copy itself as "file" (invisible marks
+// in images and PDFs) or the ID printed on a visibly marked copy as "code".
+router.post('/forensic/lookup', authMiddleware, workspaceContext(), inspectionUpload('file', WATERMARK_MAX_BYTES), handleUploadErrors, validateForensicLookup, async (req, res) => {
+  try {
+    const code = req.body.code || await extractForensicCode(req.file.buffer, req.file.mimetype);
+    if (!code) {
+      return res.status(422).json({ error: 'No forensic mark found in this file' });
+    }
+
+    const { data: mark, error } = await scopeToOwner(
+      supabaseAdmin
+        .from('share_forensic_marks')
+        .select('*')
+        .eq('code', code),
+      req
+    ).maybeSingle();
+
+    if (error) throw error;
+
+    if (!mark) {
+      return res.status(404).json({ error: 'This mark does not belong to any of your share links', code });
+    }
+
+    // Access logs are kept when the link is archived, and the ones marks lead to aren't cleaned up
+    const { data: accessLog } = mark.access_log_id
+      ? await supabaseAdmin
+        .from('access_logs')
+        .select('*')
+        .eq('id', mark.access_log_id)
+        .maybeSingle()
+      : { data: null };
+
+    console.log(`🔎 Forensic mark ${code} traced to share link ${mark.share_link_id} by user ${req.user.id}`);
+
+    res.json({
+      code,
+      mark,
+      access_log: accessLog || null
+    });
+  } catch (error) {
+    console.error('Error looking up forensic mark:', error);
+    res.status(500).json({ error: 'Failed to look up forensic mark' });
+  }
+});
+
+// Delete share link
+router.delete('/:linkId', authMiddleware, workspaceContext('member'), requireStepUp(), validateUUID, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+
+    // Verify ownership
+    const { data: linkData, error: fetchError } = await scopeToOwner(
+      supabaseAdmin
+        .from('share_links')
+        .select('*')
+        .eq('id', linkId),
+      req
+    ).single();
+
+    if (fetchError || !linkData) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    if (!canManageItem(req, linkData)) {
+      return res.status(403).json({ error: 'Only workspace admins can manage share links created by other members' });
+    }
+
+    // Moved to history rather than deleted, so its access logs, deliveries and audit trail stay readable
+    const { error } = await supabaseAdmin.rpc('archive_share_link', {
+      p_share_link_id: linkId,
+      p_status: 'deleted'
+    });
+
+    if (error) throw error;
+
+    await recordShareLinkEvent(req, linkData, 'deleted');
+
+    res.json({ message: 'Share link deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting share link:', error);
+    res.status(500).json({ error: 'Failed to delete share link' });
+  }
+});
+
+// Change a share link: extend or shorten its expiry, change max_opens, allow or block downloads,
+// set or clear the password, toggle email OTP, or rotate the token to invalidate a leaked URL
+router.patch('/:linkId', authMiddleware, workspaceContext('member'), validateUUID, validateShareLinkUpdate, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+    const { expires_at, available_from, max_opens, download_allowed, notify_on_delivery, allow_preview, password, require_otp, rotate_token } = req.body;
+
+    const { data: linkData, error: linkError } = await scopeToOwner(
+      supabaseAdmin
+        .from('share_links')
+        .select('*, uploaded_files (expires_at), file_bundles (expires_at)')
+        .eq('id', linkId),
+      req
+    ).single();
+
+    if (linkError || !linkData) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    if (!canManageItem(req, linkData)) {
+      return res.status(403).json({ error: 'Only workspace admins can manage share links created by other members' });
+    }
+
+    const updates = {};
+    const changes = {};
+    const setField = (field, value) => {
+      if (linkData[field] === value) return;
+      updates[field] = value;
+      changes[field] = { from: linkData[field], to: value };
+    };
+
+    if (expires_at !== undefined) {
+      setField('expires_at', expires_at === null ? null : new Date(expires_at).toISOString());
+    }
+
+    // Moving available_from postpones (or brings forward) when the link opens, null opens it right away
+    if (available_from !== undefined) {
+      setField('available_from', available_from === null ? null : new Date(available_from).toISOString());
+    }
+
+    if ('expires_at' in updates || 'available_from' in updates) {
+      const scheduleError = getScheduleError(
+        'available_from' in updates ? updates.available_from : linkData.available_from,
+        'expires_at' in updates ? updates.expires_at : linkData.expires_at,
+        (linkData.file_bundles || linkData.uploaded_files)?.expires_at
+      );
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+    }
+
+    if (max_opens !== undefined) {
+      const maxOpens = max_opens === null ? null : parseInt(max_opens);
+
+      if (maxOpens === null && linkData.destroy_on_exhaust) {
+        return res.status(400).json({ error: 'Burn-after-read links need max_opens' });
+      }
+
+      if (maxOpens !== null && maxOpens <= linkData.current_opens) {
+        return res.status(400).json({ error: `max_opens must be more than the ${linkData.current_opens} opens already used` });
+      }
+
+      setField('max_opens', maxOpens);
+    }
+
+    if (download_allowed !== undefined) {
+      setField('download_allowed', String(download_allowed) === 'true');
+    }
+
+    // Only applies to opens from now on
+    if (notify_on_delivery !== undefined) {
+      setField('notify_on_delivery', String(notify_on_delivery) === 'true');
+    }
+
+    if (allow_preview !== undefined) {
+      setField('allow_preview', String(allow_preview) === 'true');
+    }
+
+    if (require_otp !== undefined) {
+      const requireOtp = String(require_otp) === 'true';
+
+      if (!requireOtp && hasRecipientAllowList(linkData)) {
+        return res.status(400).json({ error: 'Links with allowed recipients always require an email OTP' });
+      }
+
+      if (requireOtp && linkData.totp_mode) {
+        return res.status(400).json({ error: 'Remove authenticator app protection before requiring email OTP' });
+      }
+
+      setField('require_otp', requireOtp);
+    }
+
+    // A new hash also invalidates access tokens issued for the old password
+    if (password !== undefined) {
+      updates.password_hash = password ? await bcrypt.hash(password, 10) : null;
+      changes.password = { from: linkData.password_hash ? 'set' : 'none', to: password ? 'set' : 'none' };
+    }
+
+    // Like at creation, only password protected links may stay open without an expiry
+    const expiresAt = 'expires_at' in updates ? updates.expires_at : linkData.expires_at;
+    const passwordHash = 'password_hash' in updates ? updates.password_hash : linkData.password_hash;
+    if (!expiresAt && !passwordHash && ('expires_at' in updates || 'password_hash' in updates)) {
+      return res.status(400).json({ error: 'Links without a password need an expiration date' });
+    }
+
+    // The old URL stops working immediately, pending email codes included
+    if (String(rotate_token) === 'true') {
+      updates.share_token = crypto.randomBytes(18).toString('base64url');
+      changes.share_token = { rotated: true };
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to change' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('share_links')
+      .update(updates)
+      .eq('id', linkId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordShareLinkEvent(req, linkData, 'updated', changes);
+
+    res.json({
+      share_link: {
+        ...omitTOTPSecrets(data),
+        password_hash: undefined, // Don't send hash to client
+        has_password: !!data.password_hash
+      },
+      url: `${process.env.FRONTEND_URL}/share/${data.share_token}`,
+      changes
+    });
+  } catch (error) {
+    console.error('Error updating share link:', error);
+    res.status(500).json({ error: 'Failed to update share link' });
+  }
+});
+
+// Replace a share link's recipient allow-list. Listed recipients prove their email with an OTP,
+// so a non-empty list also turns on require_otp. An empty list removes the restriction.
+router.put('/:linkId/recipients', authMiddleware, workspaceContext('member'), validateUUID, validateShareRecipients, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+    const allowedRecipients = [...new Set(req.body.allowed_recipients)];
+
+    const { data: linkData, error: linkError } = await scopeToOwner(
+      supabaseAdmin
+        .from('share_links')
+        .select('id, user_id, workspace_id, totp_mode, allowed_recipients')
+        .eq('id', linkId),
+      req
+    ).single();
+
+    if (linkError || !linkData) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    if (!canManageItem(req, linkData)) {
+      return res.status(403).json({ error: 'Only workspace admins can manage share links created by other members' });
+    }
+
+    if (allowedRecipients.length > 0 && linkData.totp_mode) {
+      return res.status(400).json({ error: 'Remove authenticator app protection before restricting recipients' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('share_links')
+      .update({
+        allowed_recipients: allowedRecipients.length > 0 ? allowedRecipients : null,
+        ...(allowedRecipients.length > 0 && { require_otp: true })
+      })
+      .eq('id', linkId)
+      .select('id, allowed_recipients, require_otp')
+      .single();
+
+    if (error) throw error;
+
+    await recordShareLinkEvent(req, linkData, 'recipients_updated', {
+      allowed_recipients: { from: linkData.allowed_recipients, to: data.allowed_recipients }
+    });
+
+    console.log(`👥 Recipient allow-list of share link ${linkId} updated (${allowedRecipients.length} entries)`);
+    res.json({ share_link: data });
+  } catch (error) {
+    console.error('Error updating share link recipients:', error);
+    res.status(500).json({ error: 'Failed to update allowed recipients' });
+  }
+});
+
+// Protect a share link with an authenticator app instead of email OTP (Pro).
+// mode "link" creates a new secret for the link - the owner shares its QR code with the recipients and
+// confirms it with a code. mode "account" uses the owner's own account authenticator, effective immediately.
+router.post('/:linkId/totp', authMiddleware, workspaceContext('member'), validateUUID, validateShareTOTPSetup, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+    const { mode = 'link' } = req.body;
+
+    const { data: linkData, error: linkError } = await scopeToOwner(
+      supabaseAdmin
+        .from('share_links')
+        .select('id, user_id, workspace_id, require_otp, allowed_recipients, totp_mode')
+        .eq('id', linkId),
+      req
+    ).single();
+
+    if (linkError || !linkData) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    if (!canManageItem(req, linkData)) {
+      return res.status(403).json({ error: 'Only workspace admins can manage share links created by other members' });
+    }
+
+    const { data: userData, error: userError } = await supabaseAdmin
+      .from('users')
+      .select('email, subscription_tier, totp_enabled_at')
+      .eq('id', req.user.id)
+      .single();
+
+    if (userError) throw userError;
+
+    if (userData.subscription_tier !== 'pro') {
+      return res.status(403).json({
+        error: 'Pro feature',
+        message: 'Authenticator app protection for share links is available on the Pro plan.'
+      });
+    }
+
+    if (requiresEmailOTP(linkData)) {
+      return res.status(400).json({ error: 'This share link already uses email OTP' });
+    }
+
+    if (mode === 'account') {
+      // Recipients are checked against the authenticator of the member who created the link
+      if (linkData.user_id !== req.user.id) {
+        return res.status(400).json({ error: 'Only the member who created this link can use their account authenticator for it' });
+      }
+
+      if (!userData.totp_enabled_at) {
+        return res.status(400).json({ error: 'Set up an authenticator app for your account first' });
+      }
+
+      const { error: updateError } = await supabaseAdmin
+        .from('share_links')
+        .update({ totp_mode: 'account', totp_secret: null, totp_pending_secret: null })
+        .eq('id', linkId);
+
+      if (updateError) throw updateError;
+
+      await recordShareLinkEvent(req, linkData, 'totp_enabled', { totp_mode: { from: linkData.totp_mode, to: 'account' } });
+
+      console.log(`🔐 Share link ${linkId} now uses the owner's account authenticator`);
+      return res.json({ message: 'Recipients now need a code from your authenticator app', totp_mode: 'account' });
+    }
+
+    // The link stays unprotected by TOTP until the owner confirms the new secret
+    const enrollment = await createTOTPEnrollment(`${userData.email} (link ${linkId.slice(0, 8)})`);
+
+    const { error: updateError } = await supabaseAdmin
+      .from('share_links')
+      .update({ totp_pending_secret: enrollment.encrypted_secret })
+      .eq('id', linkId);
+
+    if (updateError) throw updateError;
+
+    res.json({
+      message: 'Scan the QR code with an authenticator app, then confirm with a code from the app',
+      secret: enrollment.secret,
+      otpauth_url: enrollment.otpauth_url,
+      qr_code: enrollment.qr_code
+    });
+  } catch (error) {
+    console.error('Error setting up share link TOTP:', error);
+    res.status(500).json({ error: 'Failed to set up authenticator app' });
+  }
+});
+
+// Confirm a share link's new TOTP secret with a code from the app
+router.post('/:linkId/totp/confirm', authMiddleware, workspaceContext('member'), validateUUID, validateTOTPCode, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+    const { code } = req.body;
+
+    const { data: linkData, error: linkError } = await scopeToOwner(
+      supabaseAdmin
+        .from('share_links')
+        .select('id, user_id, workspace_id, totp_mode, totp_pending_secret')
+        .eq('id', linkId),
+      req
+    ).single();
+
+    if (linkError || !linkData) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    if (!canManageItem(req, linkData)) {
+      return res.status(403).json({ error: 'Only workspace admins can manage share links created by other members' });
+    }
+
+    if (!linkData.totp_pending_secret) {
+      return res.status(400).json({ error: 'No authenticator app setup in progress for this share link' });
+    }
+
+    if (!verifyTOTPCode(linkData.totp_pending_secret, code)) {
+      return res.status(401).json({ error: 'Invalid authenticator code' });
+    }
+
+    const { error: updateError } = await supabaseAdmin
+      .from('share_links')
+      .update({
+        totp_mode: 'link',
+        totp_secret: linkData.totp_pending_secret,
+        totp_pending_secret: null
+      })
+      .eq('id', linkId);
+
+    if (updateError) throw updateError;
+
+    await recordShareLinkEvent(req, linkData, 'totp_enabled', { totp_mode: { from: linkData.totp_mode, to: 'link' } });
+
+    console.log(`🔐 Authenticator app protection enabled for share link ${linkId}`);
+    res.json({ message: 'Authenticator app protection enabled', totp_mode: 'link' });
+  } catch (error) {
+    console.error('Error confirming share link TOTP:', error);
+    res.status(500).json({ error: 'Failed to confirm authenticator app' });
+  }
+});
+
+// Remove authenticator app protection from a share link
+router.delete('/:linkId/totp', authMiddleware, workspaceContext('member'), validateUUID, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+
+    const { data: linkData, error: linkError } = await scopeToOwner(
+      supabaseAdmin
+        .from('share_links')
+        .select('id, user_id, workspace_id, totp_mode')
+        .eq('id', linkId),
+      req
+    ).single();
+
+    if (linkError || !linkData) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    if (!canManageItem(req, linkData)) {
+      return res.status(403).json({ error: 'Only workspace admins can manage share links created by other members' });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('share_links')
+      .update({ totp_mode: null, totp_secret: null, totp_pending_secret: null })
+      .eq('id', linkId);
+
+    if (error) throw error;
+
+    if (linkData.totp_mode) {
+      await recordShareLinkEvent(req, linkData, 'totp_disabled', { totp_mode: { from: linkData.totp_mode, to: null } });
+    }
+
+    res.json({ message: 'Authenticator app protection removed' });
+  } catch (error) {
+    console.error('Error removing share link TOTP:', error);
+    res.status(500).json({ error: 'Failed to remove authenticator app protection' });
+  }
+});
+
+// Get QR code for a share link
+router.get('/:linkId/qrcode', authMiddleware, workspaceContext(), validateUUID, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+
+    // Verify ownership
+    const { data: linkData, error: linkError } = await scopeToOwner(
+      supabaseAdmin
+        .from('share_links')
+        .select('share_token, qr_code_enabled')
+        .eq('id', linkId),
+      req
+    ).single();
+
+    if (linkError || !linkData) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    const shareUrl = `${process.env.FRONTEND_URL}/share/${linkData.share_token}`;
+
+    // Generate QR code
+    try {
+      const qrCodeDataURL = await QRCode.toDataURL(shareUrl, {
+        errorCorrectionLevel: 'H',
+        type: 'image/png',
+        quality: 0.92,
+        margin: 1,
+        color: {
+          dark: '#000000',
+          light: '#FFFFFF'
+        },
+        width: 300
+      });
+
+      res.json({ 
+        qr_code: qrCodeDataURL,
+        url: shareUrl
+      });
+    } catch (qrError) {
+      console.error('Failed to generate QR code:', qrError);
+      throw new Error('QR code generation failed');
+    }
+  } catch (error) {
+    console.error('Error generating QR code:', error);
+    res.status(500).json({ error: 'Failed to generate QR code' });
+  }
+});
+
+// The owner's share link, or its share_link_history row once it has been archived (used up or expired).
+// Returns { id, archived }, or null when the link isn't the owner's.
+const findOwnedShareLink = async (req, linkId) => {
+  const { data: linkData, error: linkError } = await scopeToOwner(
+    supabaseAdmin
+      .from('share_links')
+      .select('id')
+      .eq('id', linkId),
+    req
+  ).maybeSingle();
+
+  if (linkError) throw linkError;
+  if (linkData) return { id: linkData.id, archived: false };
+
+  const { data: archived, error: archivedError } = await scopeToOwner(
+    supabaseAdmin
+      .from('share_link_history')
+      .select('id')
+      .eq('original_share_link_id', linkId),
+    req
+  )
+    .order('archived_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (archivedError) throw archivedError;
+  return archived ? { id: archived.id, archived: true } : null;
+};
+
+// Get access logs for a share link - archived links keep theirs
+router.get('/:linkId/logs', authMiddleware, workspaceContext(), validateUUID, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+
+    // Verify ownership
+    const link = await findOwnedShareLink(req, linkId);
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('access_logs')
+      .select('*')
+      .eq(link.archived ? 'share_link_history_id' : 'share_link_id', link.id)
       .order('accessed_at', { ascending: false });
 
     if (error) throw error;
@@ -877,4 +1873,40 @@ router.get('/:linkId/logs', authMiddleware, validateUUID, async (req, res) => {
   }
 });
 
+// Get the deliveries of a share link: what each open was handed, how much of it was served
+// and whether the download completed. Archived links (used up or expired) keep theirs.
+router.get('/:linkId/deliveries', authMiddleware, workspaceContext(), validateUUID, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+
+    // Verify ownership - deliveries keep the original link ID after it is archived
+    if (!(await findOwnedShareLink(req, linkId))) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    res.json({ deliveries: await getShareLinkDeliveries(linkId) });
+  } catch (error) {
+    console.error('Error fetching share link deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+// Get the audit trail of changes made to a share link
+router.get('/:linkId/audit', authMiddleware, workspaceContext(), validateUUID, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+
+    // Verify ownership - events are kept under the original link ID after the link is archived
+    const link = await findOwnedShareLink(req, linkId);
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    res.json({ events: await getShareLinkEvents(linkId) });
+  } catch (error) {
+    console.error('Error fetching share link audit events:', error);
+    res.status(500).json({ error: 'Failed to fetch audit events' });
+  }
+});
+
 export default router;
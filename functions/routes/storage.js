@@ -0,0 +1,45 @@
+import express from 'express';
+import { storage } from '../storage/index.js';
+
+const router = express.Router();
+
+// Serve signed URLs issued by the local filesystem storage driver.
+// Other drivers hand out URLs on their own hosts, so this route only exists for "local".
+router.get('/*', async (req, res) => {
+  if (storage.driver !== 'local') {
+    return res.status(404).json({ error: 'Not Found' });
+  }
+
+  try {
+    const filePath = req.params[0];
+    const { expires, signature, download } = req.query;
+
+    if (!storage.verifySignedUrl(filePath, expires, signature, download || '')) {
+      return res.status(403).json({ error: 'Invalid or expired signature' });
+    }
+
+    const { data: info, error } = await storage.stat(filePath);
+    if (error || !info) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (info.contentType) {
+      res.type(info.contentType);
+    }
+    if (download) {
+      res.attachment(download);
+    }
+
+    // sendFile handles Range, ETag and Last-Modified
+    res.sendFile(storage.resolvePath(filePath), { dotfiles: 'deny' }, (sendError) => {
+      if (sendError && !res.headersSent) {
+        res.status(sendError.status || 500).json({ error: 'Failed to read file' });
+      }
+    });
+  } catch (error) {
+    console.error('Error serving stored file:', error);
+    res.status(500).json({ error: 'Failed to read file' });
+  }
+});
+
+export default router;
@@ -0,0 +1,474 @@
+import express from 'express';
+import { supabaseAdmin } from '../../config/supabase.js';
+import { authMiddleware, allowApiKey } from '../middleware/auth.js';
+import { uploadLimiter, chunkUploadLimiter } from '../middleware/rateLimiter.js';
+import { validateUploadSessionInit, validateUploadSessionId, validateUploadChunk, validateUploadComplete } from '../middleware/validators.js';
+import { workspaceContext } from '../middleware/workspace.js';
+import { getUploadQuota, checkUploadQuota, recordUploadUsage } from '../utils/quota.js';
+import { getWorkspaceMembership, hasWorkspaceRole } from '../utils/workspaces.js';
+import { isAllowedFileType, isAllowedOriginalFileType, verifyFileType, SNIFF_BYTES } from '../utils/fileType.js';
+import { storage } from '../storage/index.js';
+import { queueFileScan } from '../utils/scanner.js';
+import { canGenerateThumbnail } from '../utils/thumbnails.js';
+import { supportsMetadataStripping, shouldStripMetadata, stripUploadedImage } from '../utils/imageMetadata.js';
+import {
+  writeChunk,
+  listChunks,
+  getMissingChunks,
+  getExpectedChunkSize,
+  createAssembledStream,
+  readHead,
+  removeChunks,
+  DEFAULT_CHUNK_SIZE
+} from '../utils/chunkStore.js';
+import logger, { logFileUpload, logError } from '../utils/logger.js';
+import crypto from 'crypto';
+
+const router = express.Router();
+
+// JSON middleware for routes that need it (chunk uploads are raw bodies)
+const jsonParser = express.json();
+
+// Upload sessions stay resumable for 24 hours after the last chunk was received
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+
+// Load an upload session owned by the current user
+const getSession = async (uploadId, userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('upload_sessions')
+    .select('*')
+    .eq('id', uploadId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !data) return null;
+  return data;
+};
+
+// Session summary returned to the client
+const formatSession = (session, receivedChunks) => ({
+  upload_id: session.id,
+  status: session.status,
+  filename: session.filename,
+  file_size: session.file_size,
+  chunk_size: session.chunk_size,
+  total_chunks: session.total_chunks,
+  received_chunks: receivedChunks,
+  missing_chunks: getMissingChunks(session, receivedChunks),
+  bytes_received: receivedChunks.reduce((sum, index) => sum + getExpectedChunkSize(session, index), 0),
+  file_id: session.file_id,
+  expires_at: session.expires_at
+});
+
+// Start a resumable upload session
+router.post('/', uploadLimiter, jsonParser, allowApiKey('upload'), authMiddleware, workspaceContext('member'), validateUploadSessionInit, async (req, res) => {
+  try {
+    const {
+      filename,
+      file_type,
+      expires_in_hours,
+      encryption_iv,
+      original_filename,
+      original_file_type
+    } = req.body;
+    const fileSize = parseInt(req.body.file_size);
+    const chunkSize = parseInt(req.body.chunk_size) || DEFAULT_CHUNK_SIZE;
+    const isEncrypted = String(req.body.is_encrypted) === 'true';
+
+    // Check upload limits up front so the client doesn't upload gigabytes just to be rejected
+    let quota;
+    try {
+      quota = await getUploadQuota(req.user, req.workspace);
+    } catch (quotaError) {
+      if (quotaError.isProfileCreationError) {
+        return res.status(500).json({
+          error: 'Failed to create user profile',
+          details: quotaError.message,
+          code: quotaError.code
+        });
+      }
+      throw quotaError;
+    }
+
+    const tier = quota.tier === 'pro' ? 'pro' : 'free';
+    if (!isAllowedFileType(file_type, filename, isEncrypted, tier)) {
+      return res.status(415).json({ error: `File type ${file_type} is not allowed` });
+    }
+    if (isEncrypted && !isAllowedOriginalFileType(original_file_type, tier)) {
+      return res.status(415).json({ error: `File type ${original_file_type} is not allowed` });
+    }
+
+    const quotaViolation = checkUploadQuota(quota, fileSize);
+    if (quotaViolation) {
+      return res.status(quotaViolation.status).json(quotaViolation.body);
+    }
+
+    const { data: session, error } = await supabaseAdmin
+      .from('upload_sessions')
+      .insert({
+        user_id: req.user.id,
+        workspace_id: req.workspace?.id || null,
+        filename,
+        file_type,
+        file_size: fileSize,
+        chunk_size: chunkSize,
+        total_chunks: Math.ceil(fileSize / chunkSize),
+        expires_in_hours: expires_in_hours !== undefined ? parseFloat(expires_in_hours) : null,
+        is_encrypted: isEncrypted,
+        encryption_iv: isEncrypted ? encryption_iv : null,
+        original_filename: isEncrypted ? original_filename : null,
+        original_file_type: isEncrypted ? original_file_type : null,
+        status: 'uploading',
+        expires_at: new Date(Date.now() + SESSION_TTL).toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Resumable upload started: ${session.id} (${filename}, ${fileSize} bytes, ${session.total_chunks} chunks)`);
+
+    res.status(201).json({ upload: formatSession(session, []) });
+  } catch (error) {
+    console.error('Error starting resumable upload:', error);
+    res.status(500).json({ error: 'Failed to start upload' });
+  }
+});
+
+// Get upload session status (used by clients to resume after a dropped connection)
+router.get('/:uploadId', allowApiKey('upload'), authMiddleware, validateUploadSessionId, async (req, res) => {
+  try {
+    const session = await getSession(req.params.uploadId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const receivedChunks = await listChunks(session.id);
+
+    res.json({ upload: formatSession(session, receivedChunks) });
+  } catch (error) {
+    console.error('Error fetching upload status:', error);
+    res.status(500).json({ error: 'Failed to fetch upload status' });
+  }
+});
+
+// Upload a single chunk (raw request body). Re-sending a chunk overwrites it.
+router.put('/:uploadId/chunks/:index', chunkUploadLimiter, allowApiKey('upload'), authMiddleware, validateUploadChunk, async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const index = parseInt(req.params.index);
+
+    const session = await getSession(uploadId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    if (session.status !== 'uploading') {
+      return res.status(409).json({ error: `Upload is ${session.status}` });
+    }
+
+    if (index >= session.total_chunks) {
+      return res.status(400).json({
+        error: 'Chunk index out of range',
+        total_chunks: session.total_chunks
+      });
+    }
+
+    const expectedSize = getExpectedChunkSize(session, index);
+    const declaredLength = parseInt(req.headers['content-length']);
+    if (!isNaN(declaredLength) && declaredLength !== expectedSize) {
+      return res.status(400).json({
+        error: 'Chunk size mismatch',
+        expected: expectedSize,
+        received: declaredLength
+      });
+    }
+
+    try {
+      await writeChunk(uploadId, index, req, {
+        expectedSize,
+        sha256: req.headers['x-chunk-sha256']
+      });
+    } catch (chunkError) {
+      if (chunkError.code && chunkError.code.startsWith('CHUNK_')) {
+        return res.status(400).json({ error: chunkError.message, code: chunkError.code });
+      }
+      throw chunkError;
+    }
+
+    // Keep the session alive while chunks keep arriving
+    await supabaseAdmin
+      .from('upload_sessions')
+      .update({
+        expires_at: new Date(Date.now() + SESSION_TTL).toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', uploadId);
+
+    const receivedChunks = await listChunks(uploadId);
+
+    res.json({
+      chunk: index,
+      received_chunks: receivedChunks.length,
+      total_chunks: session.total_chunks,
+      missing_chunks: getMissingChunks(session, receivedChunks)
+    });
+  } catch (error) {
+    console.error('Error receiving chunk:', error);
+    res.status(500).json({ error: 'Failed to store chunk' });
+  }
+});
+
+// Complete the upload: assemble chunks into storage, create the file record and update quotas
+router.post('/:uploadId/complete', jsonParser, allowApiKey('upload'), authMiddleware, validateUploadComplete, async (req, res) => {
+  const { uploadId } = req.params;
+  let claimed = false;
+
+  try {
+    const session = await getSession(uploadId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    if (session.status === 'completed') {
+      return res.status(409).json({ error: 'Upload already completed', file_id: session.file_id });
+    }
+
+    if (session.status !== 'uploading') {
+      return res.status(409).json({ error: `Upload is ${session.status}` });
+    }
+
+    const receivedChunks = await listChunks(uploadId);
+    const missingChunks = getMissingChunks(session, receivedChunks);
+    if (missingChunks.length > 0) {
+      return res.status(400).json({
+        error: 'Upload incomplete',
+        missing_chunks: missingChunks
+      });
+    }
+
+    // Uploads started in a workspace finish there, as long as the user may still upload to it
+    let workspace = null;
+    if (session.workspace_id) {
+      workspace = await getWorkspaceMembership(session.workspace_id, req.user.id);
+
+      if (!workspace || !hasWorkspaceRole(workspace.role, 'member')) {
+        return res.status(403).json({ error: 'You can no longer upload to this workspace' });
+      }
+    }
+
+    // Claim the session so concurrent complete calls can't create duplicate files
+    const { data: claimedSession } = await supabaseAdmin
+      .from('upload_sessions')
+      .update({
+        status: 'completing',
+        expires_at: new Date(Date.now() + SESSION_TTL).toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', uploadId)
+      .eq('status', 'uploading')
+      .select()
+      .single();
+
+    if (!claimedSession) {
+      return res.status(409).json({ error: 'Upload is already being completed' });
+    }
+    claimed = true;
+
+    const user_id = req.user.id;
+
+    // Re-check limits - usage may have changed since the session was started
+    const quota = await getUploadQuota(req.user, workspace);
+    const quotaViolation = checkUploadQuota(quota, session.file_size);
+    if (quotaViolation) {
+      await supabaseAdmin
+        .from('upload_sessions')
+        .update({ status: 'uploading' })
+        .eq('id', uploadId);
+      claimed = false;
+      return res.status(quotaViolation.status).json(quotaViolation.body);
+    }
+
+    // Check the real file type now that the content is known
+    let fileType;
+    try {
+      fileType = await verifyFileType(await readHead(uploadId, SNIFF_BYTES), {
+        claimedType: session.file_type,
+        filename: session.filename,
+        isEncrypted: session.is_encrypted,
+        tier: quota.tier === 'pro' ? 'pro' : 'free'
+      });
+    } catch (typeError) {
+      if (!typeError.isFileTypeError) throw typeError;
+
+      await supabaseAdmin
+        .from('upload_sessions')
+        .update({ status: 'aborted', updated_at: new Date().toISOString() })
+        .eq('id', uploadId);
+      claimed = false;
+      await removeChunks(uploadId);
+      return res.status(415).json({ error: typeError.message });
+    }
+
+    // Generate unique file path
+    const fileExt = session.filename.split('.').pop();
+    const uniqueId = crypto.randomBytes(16).toString('hex');
+    const fileName = `${uniqueId}.${fileExt}`;
+    const filePath = `${user_id}/${fileName}`;
+
+    // Photos are stripped like direct uploads (strip_metadata, or the user's default) - in memory, so
+    // only up to METADATA_STRIP_MAX_MB. The session is released so the upload can be completed without it.
+    let processed = null;
+    if (!session.is_encrypted && supportsMetadataStripping(fileType) && await shouldStripMetadata(req)) {
+      try {
+        processed = await stripUploadedImage(createAssembledStream(uploadId, session.total_chunks), fileType);
+      } catch (metadataError) {
+        if (!metadataError.isMetadataError) throw metadataError;
+
+        await supabaseAdmin
+          .from('upload_sessions')
+          .update({ status: 'uploading' })
+          .eq('id', uploadId);
+        claimed = false;
+        return res.status(metadataError.status).json({ error: metadataError.message });
+      }
+    }
+    const fileSize = processed ? processed.body.length : session.file_size;
+
+    // Stream the assembled chunks to storage
+    const { error: uploadError } = await storage.upload(filePath, processed ? processed.body : createAssembledStream(uploadId, session.total_chunks), {
+      contentType: fileType,
+      cacheControl: '3600',
+      upsert: false
+    });
+
+    if (uploadError) {
+      console.error('Storage upload error:', uploadError);
+      throw new Error('Failed to upload file to storage');
+    }
+
+    const { data: { publicUrl } } = storage.getPublicUrl(filePath);
+
+    // Calculate expiration time
+    // If expires_in_hours is 0, set expiresAt to null (no expiry for Pro users)
+    const hoursToExpire = parseInt(session.expires_in_hours);
+    let expiresAt = null;
+
+    if (hoursToExpire === 0) {
+      expiresAt = null;
+    } else {
+      expiresAt = new Date();
+      expiresAt.setHours(expiresAt.getHours() + (hoursToExpire || 24));
+    }
+
+    const { data: fileData, error: fileError } = await supabaseAdmin
+      .from('uploaded_files')
+      .insert({
+        user_id,
+        workspace_id: session.workspace_id,
+        filename: session.is_encrypted ? session.original_filename : session.filename,
+        file_size: fileSize,
+        file_type: session.is_encrypted ? session.original_file_type : fileType,
+        file_url: publicUrl,
+        storage_path: filePath,
+        expires_at: expiresAt ? expiresAt.toISOString() : null,
+        is_encrypted: session.is_encrypted,
+        encryption_iv: session.encryption_iv,
+        original_filename: session.original_filename,
+        original_file_type: session.original_file_type
+      })
+      .select()
+      .single();
+
+    if (fileError) {
+      // Rollback: Delete uploaded file from storage
+      await storage.remove([filePath]);
+      throw fileError;
+    }
+
+    await recordUploadUsage(quota, fileSize);
+
+    // Files can't be shared until the malware scan has passed
+    queueFileScan(fileData);
+
+    await supabaseAdmin
+      .from('upload_sessions')
+      .update({
+        status: 'completed',
+        file_id: fileData.id,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', uploadId);
+    claimed = false;
+
+    // The file is stored - leftover chunks are removed with the session by the cleanup job
+    await removeChunks(uploadId).catch(error => logger.warn(`⚠️ Could not remove chunks of upload ${uploadId}: ${error.message}`));
+
+    logFileUpload(user_id, session.filename, fileSize, true);
+
+    res.json({
+      file: fileData,
+      message: 'File uploaded successfully',
+      has_thumbnail: false,
+      // Made in the background - see thumbnail_status
+      thumbnail_pending: canGenerateThumbnail(fileData),
+      metadata_stripped: !!processed?.info.stripped,
+      metadata_removed: processed?.info.removed || null
+    });
+  } catch (error) {
+    console.error('❌ Resumable upload completion error:', error);
+
+    // Release the session so the client can retry completion
+    if (claimed) {
+      await supabaseAdmin
+        .from('upload_sessions')
+        .update({ status: 'uploading' })
+        .eq('id', uploadId);
+    }
+
+    logError(error, {
+      context: 'resumable_upload_complete',
+      userId: req.user?.id,
+      uploadId
+    });
+
+    res.status(500).json({
+      error: 'Failed to complete upload',
+      message: error.message
+    });
+  }
+});
+
+// Abort an upload and discard its chunks
+router.delete('/:uploadId', allowApiKey('upload'), authMiddleware, validateUploadSessionId, async (req, res) => {
+  try {
+    const session = await getSession(req.params.uploadId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    if (session.status === 'completed' || session.status === 'completing') {
+      return res.status(409).json({ error: `Upload is ${session.status}` });
+    }
+
+    await removeChunks(session.id);
+
+    const { error } = await supabaseAdmin
+      .from('upload_sessions')
+      .update({ status: 'aborted', updated_at: new Date().toISOString() })
+      .eq('id', session.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Upload aborted' });
+  } catch (error) {
+    console.error('Error aborting upload:', error);
+    res.status(500).json({ error: 'Failed to abort upload' });
+  }
+});
+
+export default router;
@@ -1,7 +1,13 @@
 import express from 'express';
 import { supabaseAdmin } from '../../config/supabase.js';
-import { authMiddleware } from '../middleware/auth.js';
-import { validateSubscriptionUpdate } from '../middleware/validators.js';
+import { authMiddleware, allowApiKey } from '../middleware/auth.js';
+import { authLimiter } from '../middleware/rateLimiter.js';
+import { requireStepUp } from '../middleware/stepUp.js';
+import { workspaceContext } from '../middleware/workspace.js';
+import { validateSubscriptionUpdate, validateUserPreferences, validateTOTPCode, validateSecondFactor } from '../middleware/validators.js';
+import { createTOTPEnrollment, matchTOTPStep, omitTOTPSecrets } from '../utils/totp.js';
+import { replaceRecoveryCodes, deleteRecoveryCodes, verifySecondFactor, recordStepUp } from '../utils/twoFactor.js';
+import { getWorkspaceStorageUsed } from '../utils/workspaces.js';
 
 const router = express.Router();
 
@@ -16,7 +22,7 @@ router.get('/profile', authMiddleware, async (req, res) => {
 
     if (error) throw error;
 
-    res.json({ user: data });
+    res.json({ user: { ...omitTOTPSecrets(data), totp_enabled: !!data.totp_enabled_at } });
   } catch (error) {
     console.error('Error fetching profile:', error);
     res.status(500).json({ error: 'Failed to fetch profile' });
@@ -46,7 +52,7 @@ router.get('/subscription', authMiddleware, async (req, res) => {
 });
 
 // Update subscription tier
-router.patch('/subscription', authMiddleware, validateSubscriptionUpdate, async (req, res) => {
+router.patch('/subscription', authMiddleware, requireStepUp(), validateSubscriptionUpdate, async (req, res) => {
   try {
     const { subscription_tier, dodo_session_id } = req.body;
 
@@ -85,6 +91,26 @@ router.patch('/subscription', authMiddleware, validateSubscriptionUpdate, async
   }
 });
 
+// Update account preferences - strip_image_metadata: remove EXIF/GPS metadata from uploaded photos
+// unless an upload says otherwise
+router.patch('/preferences', authMiddleware, validateUserPreferences, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .update({ strip_image_metadata: req.body.strip_image_metadata })
+      .eq('id', req.user.id)
+      .select('strip_image_metadata')
+      .single();
+
+    if (error) throw error;
+
+    res.json({ preferences: data });
+  } catch (error) {
+    console.error('Error updating preferences:', error);
+    res.status(500).json({ error: 'Failed to update preferences' });
+  }
+});
+
 // Start trial
 router.post('/trial', authMiddleware, async (req, res) => {
   try {
@@ -124,10 +150,19 @@ router.post('/trial', authMiddleware, async (req, res) => {
 });
 
 // Get user upload usage
-router.get('/usage', authMiddleware, async (req, res) => {
+router.get('/usage', allowApiKey('read'), authMiddleware, workspaceContext(), async (req, res) => {
   try {
     const userId = req.user.id;
 
+    // In a workspace, usage is the workspace's pooled storage
+    if (req.workspace) {
+      return res.json({
+        usage: await getWorkspaceStorageUsed(req.workspace.id),
+        limit: Number(req.workspace.storage_quota_bytes),
+        workspace_id: req.workspace.id
+      });
+    }
+
     // Get user's subscription tier
     const { data: userData, error: userError } = await supabaseAdmin
       .from('users')
@@ -137,11 +172,12 @@ router.get('/usage', authMiddleware, async (req, res) => {
 
     if (userError) throw userError;
 
-    // Get all uploaded files
+    // Get all uploaded files (workspace uploads count against the workspace instead)
     const { data: files, error: filesError } = await supabaseAdmin
       .from('uploaded_files')
       .select('file_size, created_at')
-      .eq('user_id', userId);
+      .eq('user_id', userId)
+      .is('workspace_id', null);
 
     if (filesError) throw filesError;
 
@@ -244,7 +280,7 @@ router.post('/reset-daily-limit', authMiddleware, async (req, res) => {
 
       if (error) throw error;
 
-      return res.json({ user: data, reset: true });
+      return res.json({ user: omitTOTPSecrets(data), reset: true });
     }
 
     res.json({ user: userData, reset: false });
@@ -254,4 +290,226 @@ router.post('/reset-daily-limit', authMiddleware, async (req, res) => {
   }
 });
 
+// Get authenticator app (TOTP) status
+router.get('/totp', authMiddleware, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .select('totp_enabled_at, step_up_at')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error) throw error;
+
+    const { count: recoveryCodesLeft } = await supabaseAdmin
+      .from('user_recovery_codes')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', req.user.id)
+      .is('used_at', null);
+
+    res.json({
+      enabled: !!data.totp_enabled_at,
+      enabled_at: data.totp_enabled_at,
+      last_verified_at: data.step_up_at,
+      recovery_codes_left: recoveryCodesLeft || 0
+    });
+  } catch (error) {
+    console.error('Error fetching TOTP status:', error);
+    res.status(500).json({ error: 'Failed to fetch authenticator app status' });
+  }
+});
+
+// Start setting up an authenticator app - returns the secret and a QR code to scan
+router.post('/totp/setup', authMiddleware, async (req, res) => {
+  try {
+    const { data: userData, error: userError } = await supabaseAdmin
+      .from('users')
+      .select('email, totp_enabled_at')
+      .eq('id', req.user.id)
+      .single();
+
+    if (userError) throw userError;
+
+    if (userData.totp_enabled_at) {
+      return res.status(400).json({ error: 'An authenticator app is already set up for this account' });
+    }
+
+    const enrollment = await createTOTPEnrollment(userData.email || req.user.email);
+
+    const { error: updateError } = await supabaseAdmin
+      .from('users')
+      .update({ totp_pending_secret: enrollment.encrypted_secret })
+      .eq('id', req.user.id);
+
+    if (updateError) throw updateError;
+
+    res.json({
+      message: 'Scan the QR code with an authenticator app, then confirm with a code from the app',
+      secret: enrollment.secret,
+      otpauth_url: enrollment.otpauth_url,
+      qr_code: enrollment.qr_code
+    });
+  } catch (error) {
+    console.error('Error setting up TOTP:', error);
+    res.status(500).json({ error: 'Failed to set up authenticator app' });
+  }
+});
+
+// Finish setting up the authenticator app with a code from it
+router.post('/totp/enable', authMiddleware, authLimiter, validateTOTPCode, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const { data: userData, error: userError } = await supabaseAdmin
+      .from('users')
+      .select('totp_pending_secret, totp_enabled_at')
+      .eq('id', req.user.id)
+      .single();
+
+    if (userError) throw userError;
+
+    if (userData.totp_enabled_at) {
+      return res.status(400).json({ error: 'An authenticator app is already set up for this account' });
+    }
+
+    if (!userData.totp_pending_secret) {
+      return res.status(400).json({ error: 'Start the authenticator app setup first' });
+    }
+
+    const step = matchTOTPStep(userData.totp_pending_secret, code);
+    if (step === null) {
+      return res.status(401).json({ error: 'Invalid authenticator code' });
+    }
+
+    const { error: updateError } = await supabaseAdmin
+      .from('users')
+      .update({
+        totp_secret: userData.totp_pending_secret,
+        totp_pending_secret: null,
+        totp_enabled_at: new Date().toISOString(),
+        totp_last_step: step
+      })
+      .eq('id', req.user.id);
+
+    if (updateError) throw updateError;
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+
+    // The code just entered counts as a step-up for this session
+    await recordStepUp(req.user.id, req.authSessionId);
+
+    console.log(`🔐 Authenticator app enabled for user ${req.user.id}`);
+    res.json({
+      message: 'Authenticator app enabled. Store the recovery codes somewhere safe - they are only shown once.',
+      enabled: true,
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error enabling TOTP:', error);
+    res.status(500).json({ error: 'Failed to enable authenticator app' });
+  }
+});
+
+// Remove the authenticator app (needs a current code or a recovery code)
+router.delete('/totp', authMiddleware, authLimiter, validateSecondFactor, async (req, res) => {
+  try {
+    const { data: userData, error: userError } = await supabaseAdmin
+      .from('users')
+      .select('totp_enabled_at')
+      .eq('id', req.user.id)
+      .single();
+
+    if (userError) throw userError;
+
+    if (!userData.totp_enabled_at) {
+      return res.status(400).json({ error: 'No authenticator app is set up for this account' });
+    }
+
+    // Share links protected with the account's authenticator would become impossible to open
+    const { count: linkCount, error: countError } = await supabaseAdmin
+      .from('share_links')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', req.user.id)
+      .eq('totp_mode', 'account');
+
+    if (countError) throw countError;
+
+    if (linkCount > 0) {
+      return res.status(409).json({
+        error: 'Authenticator app is in use',
+        message: `${linkCount} share link(s) require a code from this authenticator app. Remove the protection from them first.`
+      });
+    }
+
+    const verification = await verifySecondFactor(req.user.id, req.body);
+    if (!verification.valid) {
+      return res.status(401).json({ error: 'Invalid authenticator or recovery code' });
+    }
+
+    const { error: updateError } = await supabaseAdmin
+      .from('users')
+      .update({
+        totp_secret: null,
+        totp_pending_secret: null,
+        totp_enabled_at: null,
+        totp_last_step: null,
+        step_up_at: null,
+        step_up_session_id: null
+      })
+      .eq('id', req.user.id);
+
+    if (updateError) throw updateError;
+
+    await deleteRecoveryCodes(req.user.id);
+
+    console.log(`🔓 Authenticator app removed for user ${req.user.id}`);
+    res.json({ message: 'Authenticator app removed', enabled: false });
+  } catch (error) {
+    console.error('Error disabling TOTP:', error);
+    res.status(500).json({ error: 'Failed to remove authenticator app' });
+  }
+});
+
+// Step-up: confirm a code from the authenticator app (or a recovery code) before sensitive actions.
+// Routes protected with requireStepUp accept the session for STEP_UP_MAX_AGE_MINUTES afterwards.
+router.post('/totp/verify', authMiddleware, authLimiter, validateSecondFactor, async (req, res) => {
+  try {
+    const verification = await verifySecondFactor(req.user.id, req.body);
+
+    if (!verification.valid) {
+      console.log(`❌ Step-up failed for user ${req.user.id}`);
+      return res.status(401).json({ error: 'Invalid authenticator or recovery code' });
+    }
+
+    await recordStepUp(req.user.id, req.authSessionId);
+
+    console.log(`✅ Step-up verified for user ${req.user.id} (${verification.method})`);
+    res.json({
+      message: 'Two-factor authentication verified',
+      verified: true,
+      method: verification.method,
+      ...(verification.method === 'recovery_code' && { recovery_codes_left: verification.recoveryCodesLeft })
+    });
+  } catch (error) {
+    console.error('Error verifying second factor:', error);
+    res.status(500).json({ error: 'Failed to verify two-factor authentication' });
+  }
+});
+
+// Replace the recovery codes - the old ones stop working
+router.post('/totp/recovery-codes', authMiddleware, requireStepUp({ requireEnrollment: true }), async (req, res) => {
+  try {
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+
+    console.log(`🔑 Recovery codes regenerated for user ${req.user.id}`);
+    res.json({
+      message: 'New recovery codes generated. The old ones no longer work.',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ error: 'Failed to generate recovery codes' });
+  }
+});
+
 export default router;
@@ -0,0 +1,511 @@
+import express from 'express';
+import { supabaseAdmin } from '../../config/supabase.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { requireStepUp } from '../middleware/stepUp.js';
+import { workspaceContext } from '../middleware/workspace.js';
+import { shareLimiter } from '../middleware/rateLimiter.js';
+import {
+  validateUUID,
+  validateWorkspace,
+  validateWorkspaceInvite,
+  validateWorkspaceRole,
+  validateWorkspaceTransfer,
+  validateInvitationToken
+} from '../middleware/validators.js';
+import {
+  MAX_WORKSPACE_MEMBERS,
+  WORKSPACE_INVITATION_TTL,
+  getWorkspaceStorageUsed,
+  generateInvitationToken,
+  hashInvitationToken
+} from '../utils/workspaces.js';
+import { sendWorkspaceInvitationEmail } from '../utils/email.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Fields of an invitation returned to workspace admins - never the token hash
+const INVITATION_FIELDS = 'id, email, role, invited_by, created_at, expires_at';
+
+// Get the workspaces the user belongs to
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('workspace_members')
+      .select('role, joined_at, workspaces (id, name, owner_id, storage_quota_bytes, created_at)')
+      .eq('user_id', req.user.id)
+      .order('joined_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      workspaces: data.map(membership => ({
+        ...membership.workspaces,
+        role: membership.role,
+        joined_at: membership.joined_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching workspaces:', error);
+    res.status(500).json({ error: 'Failed to fetch workspaces' });
+  }
+});
+
+// Create a workspace (Pro). The creator becomes its owner.
+router.post('/', authMiddleware, validateWorkspace, async (req, res) => {
+  try {
+    const { data: userData, error: userError } = await supabaseAdmin
+      .from('users')
+      .select('subscription_tier')
+      .eq('id', req.user.id)
+      .single();
+
+    if (userError) throw userError;
+
+    if (userData.subscription_tier !== 'pro') {
+      return res.status(403).json({
+        error: 'Pro feature',
+        message: 'Team workspaces are available on the Pro plan.'
+      });
+    }
+
+    const { data: workspace, error } = await supabaseAdmin
+      .from('workspaces')
+      .insert({ name: req.body.name, owner_id: req.user.id })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: memberError } = await supabaseAdmin
+      .from('workspace_members')
+      .insert({ workspace_id: workspace.id, user_id: req.user.id, role: 'owner' });
+
+    if (memberError) {
+      // Rollback: a workspace without its owner can't be managed
+      await supabaseAdmin.from('workspaces').delete().eq('id', workspace.id);
+      throw memberError;
+    }
+
+    logger.info(`👥 Workspace ${workspace.id} created by user ${req.user.id}`);
+    res.status(201).json({ workspace: { ...workspace, role: 'owner' } });
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    res.status(500).json({ error: 'Failed to create workspace' });
+  }
+});
+
+// Accept an invitation from the email link. The signed-in user must own the invited address.
+router.post('/invitations/accept', authMiddleware, shareLimiter, validateInvitationToken, async (req, res) => {
+  try {
+    const { data: invitation, error } = await supabaseAdmin
+      .from('workspace_invitations')
+      .select('*, workspaces (id, name)')
+      .eq('token_hash', hashInvitationToken(req.body.token))
+      .is('accepted_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found or already used' });
+    }
+
+    if (new Date(invitation.expires_at) < new Date()) {
+      return res.status(410).json({ error: 'Invitation has expired' });
+    }
+
+    if (invitation.email !== req.user.email?.toLowerCase()) {
+      return res.status(403).json({ error: `This invitation was sent to ${invitation.email}. Sign in with that address to accept it.` });
+    }
+
+    const { data: existingMember } = await supabaseAdmin
+      .from('workspace_members')
+      .select('role')
+      .eq('workspace_id', invitation.workspace_id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (existingMember) {
+      return res.status(409).json({ error: 'You are already a member of this workspace', role: existingMember.role });
+    }
+
+    // Claim the invitation so it can only be used once
+    const { data: claimed, error: claimError } = await supabaseAdmin
+      .from('workspace_invitations')
+      .update({ accepted_at: new Date().toISOString() })
+      .eq('id', invitation.id)
+      .is('accepted_at', null)
+      .select('id');
+
+    if (claimError) throw claimError;
+
+    if (claimed.length === 0) {
+      return res.status(404).json({ error: 'Invitation not found or already used' });
+    }
+
+    const { error: memberError } = await supabaseAdmin
+      .from('workspace_members')
+      .insert({
+        workspace_id: invitation.workspace_id,
+        user_id: req.user.id,
+        role: invitation.role,
+        invited_by: invitation.invited_by
+      });
+
+    if (memberError) throw memberError;
+
+    logger.info(`👥 User ${req.user.id} joined workspace ${invitation.workspace_id} as ${invitation.role}`);
+    res.json({
+      message: `You joined "${invitation.workspaces.name}"`,
+      workspace: { ...invitation.workspaces, role: invitation.role }
+    });
+  } catch (error) {
+    console.error('Error accepting workspace invitation:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// Get a workspace with its members and storage usage
+router.get('/:workspaceId', authMiddleware, validateUUID, workspaceContext(), async (req, res) => {
+  try {
+    const { data: members, error } = await supabaseAdmin
+      .from('workspace_members')
+      .select('user_id, role, joined_at, users!workspace_members_user_id_fkey (email)')
+      .eq('workspace_id', req.workspace.id)
+      .order('joined_at', { ascending: true });
+
+    if (error) throw error;
+
+    const storageUsed = await getWorkspaceStorageUsed(req.workspace.id);
+    const storageLimit = Number(req.workspace.storage_quota_bytes);
+
+    res.json({
+      workspace: req.workspace,
+      members: members.map(({ users, ...member }) => ({ ...member, email: users?.email || null })),
+      storage: {
+        used: storageUsed,
+        limit: storageLimit,
+        remaining: Math.max(0, storageLimit - storageUsed)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching workspace:', error);
+    res.status(500).json({ error: 'Failed to fetch workspace' });
+  }
+});
+
+// Rename a workspace
+router.patch('/:workspaceId', authMiddleware, validateUUID, workspaceContext('admin'), validateWorkspace, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('workspaces')
+      .update({ name: req.body.name, updated_at: new Date().toISOString() })
+      .eq('id', req.workspace.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ workspace: { ...data, role: req.workspace.role } });
+  } catch (error) {
+    console.error('Error updating workspace:', error);
+    res.status(500).json({ error: 'Failed to update workspace' });
+  }
+});
+
+// Delete a workspace. Its files, bundles and share links go back to the members who created them.
+router.delete('/:workspaceId', authMiddleware, validateUUID, workspaceContext('owner'), requireStepUp(), async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('workspaces')
+      .delete()
+      .eq('id', req.workspace.id);
+
+    if (error) throw error;
+
+    logger.info(`👥 Workspace ${req.workspace.id} deleted by user ${req.user.id}`);
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting workspace:', error);
+    res.status(500).json({ error: 'Failed to delete workspace' });
+  }
+});
+
+// Get pending invitations
+router.get('/:workspaceId/invitations', authMiddleware, validateUUID, workspaceContext('admin'), async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('workspace_invitations')
+      .select(INVITATION_FIELDS)
+      .eq('workspace_id', req.workspace.id)
+      .is('accepted_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ invitations: data });
+  } catch (error) {
+    console.error('Error fetching workspace invitations:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Invite someone by email. Inviting the same address again replaces the pending invitation.
+router.post('/:workspaceId/invitations', authMiddleware, shareLimiter, validateUUID, workspaceContext('admin'), validateWorkspaceInvite, async (req, res) => {
+  try {
+    const { email, role = 'member' } = req.body;
+
+    const { data: invitedUser } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (invitedUser) {
+      const { data: existingMember } = await supabaseAdmin
+        .from('workspace_members')
+        .select('role')
+        .eq('workspace_id', req.workspace.id)
+        .eq('user_id', invitedUser.id)
+        .maybeSingle();
+
+      if (existingMember) {
+        return res.status(409).json({ error: `${email} is already a member of this workspace` });
+      }
+    }
+
+    const { error: deleteError } = await supabaseAdmin
+      .from('workspace_invitations')
+      .delete()
+      .eq('workspace_id', req.workspace.id)
+      .eq('email', email)
+      .is('accepted_at', null);
+
+    if (deleteError) throw deleteError;
+
+    // Pending invitations hold a seat so the workspace can't be over-invited
+    const now = new Date().toISOString();
+    const [{ count: memberCount }, { count: invitationCount }] = await Promise.all([
+      supabaseAdmin
+        .from('workspace_members')
+        .select('*', { count: 'exact', head: true })
+        .eq('workspace_id', req.workspace.id),
+      supabaseAdmin
+        .from('workspace_invitations')
+        .select('*', { count: 'exact', head: true })
+        .eq('workspace_id', req.workspace.id)
+        .is('accepted_at', null)
+        .gt('expires_at', now)
+    ]);
+
+    if ((memberCount || 0) + (invitationCount || 0) >= MAX_WORKSPACE_MEMBERS) {
+      return res.status(400).json({ error: `A workspace can have at most ${MAX_WORKSPACE_MEMBERS} members` });
+    }
+
+    const { token, tokenHash } = generateInvitationToken();
+    const expiresAt = new Date(Date.now() + WORKSPACE_INVITATION_TTL).toISOString();
+
+    const { data: invitation, error } = await supabaseAdmin
+      .from('workspace_invitations')
+      .insert({
+        workspace_id: req.workspace.id,
+        email,
+        role,
+        token_hash: tokenHash,
+        invited_by: req.user.id,
+        expires_at: expiresAt
+      })
+      .select(INVITATION_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    const emailResult = await sendWorkspaceInvitationEmail(email, {
+      workspaceName: req.workspace.name,
+      inviterEmail: req.user.email,
+      role,
+      token,
+      expiresAt
+    });
+
+    if (!emailResult.success) {
+      console.error('Failed to send workspace invitation email:', emailResult.error || emailResult.message);
+    }
+
+    logger.info(`👥 ${email} invited to workspace ${req.workspace.id} as ${role} by user ${req.user.id}`);
+    res.status(201).json({ invitation, email_sent: emailResult.success });
+  } catch (error) {
+    console.error('Error inviting workspace member:', error);
+    res.status(500).json({ error: 'Failed to send invitation' });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/:workspaceId/invitations/:invitationId', authMiddleware, validateUUID, workspaceContext('admin'), async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('workspace_invitations')
+      .delete()
+      .eq('id', req.params.invitationId)
+      .eq('workspace_id', req.workspace.id)
+      .is('accepted_at', null)
+      .select('id');
+
+    if (error) throw error;
+
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Error revoking workspace invitation:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+// Change a member's role. Only the owner can grant or take away the admin role.
+router.patch('/:workspaceId/members/:memberId', authMiddleware, validateUUID, workspaceContext('admin'), validateWorkspaceRole, async (req, res) => {
+  try {
+    const { memberId } = req.params;
+    const { role } = req.body;
+
+    if (memberId === req.user.id) {
+      return res.status(400).json({ error: 'You can\'t change your own role' });
+    }
+
+    const { data: member, error: memberError } = await supabaseAdmin
+      .from('workspace_members')
+      .select('role')
+      .eq('workspace_id', req.workspace.id)
+      .eq('user_id', memberId)
+      .maybeSingle();
+
+    if (memberError) throw memberError;
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(403).json({ error: 'The owner\'s role can only change by transferring ownership' });
+    }
+
+    if (req.workspace.role !== 'owner' && (member.role === 'admin' || role === 'admin')) {
+      return res.status(403).json({ error: 'Only the workspace owner can manage admins' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('workspace_members')
+      .update({ role })
+      .eq('workspace_id', req.workspace.id)
+      .eq('user_id', memberId)
+      .select('user_id, role, joined_at')
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`👥 Member ${memberId} of workspace ${req.workspace.id} is now ${role}`);
+    res.json({ member: data });
+  } catch (error) {
+    console.error('Error updating workspace member:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// Remove a member, or leave the workspace (memberId = your own user ID).
+// Files and links they created stay in the workspace.
+router.delete('/:workspaceId/members/:memberId', authMiddleware, validateUUID, workspaceContext(), async (req, res) => {
+  try {
+    const { memberId } = req.params;
+    const isSelf = memberId === req.user.id;
+
+    if (isSelf && req.workspace.role === 'owner') {
+      return res.status(400).json({ error: 'Transfer ownership or delete the workspace before leaving it' });
+    }
+
+    if (!isSelf && !['owner', 'admin'].includes(req.workspace.role)) {
+      return res.status(403).json({ error: 'Only workspace admins can remove members' });
+    }
+
+    const { data: member, error: memberError } = await supabaseAdmin
+      .from('workspace_members')
+      .select('role')
+      .eq('workspace_id', req.workspace.id)
+      .eq('user_id', memberId)
+      .maybeSingle();
+
+    if (memberError) throw memberError;
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (!isSelf && (member.role === 'owner' || (member.role === 'admin' && req.workspace.role !== 'owner'))) {
+      return res.status(403).json({ error: 'Only the workspace owner can remove admins' });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('workspace_members')
+      .delete()
+      .eq('workspace_id', req.workspace.id)
+      .eq('user_id', memberId);
+
+    if (error) throw error;
+
+    logger.info(`👥 User ${memberId} ${isSelf ? 'left' : 'was removed from'} workspace ${req.workspace.id}`);
+    res.json({ message: isSelf ? 'You left the workspace' : 'Member removed' });
+  } catch (error) {
+    console.error('Error removing workspace member:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Transfer ownership to another member. The previous owner stays on as an admin.
+router.post('/:workspaceId/transfer', authMiddleware, validateUUID, workspaceContext('owner'), requireStepUp(), validateWorkspaceTransfer, async (req, res) => {
+  try {
+    const { user_id: newOwnerId } = req.body;
+
+    if (newOwnerId === req.user.id) {
+      return res.status(400).json({ error: 'You already own this workspace' });
+    }
+
+    const { data: member, error: memberError } = await supabaseAdmin
+      .from('workspace_members')
+      .update({ role: 'owner' })
+      .eq('workspace_id', req.workspace.id)
+      .eq('user_id', newOwnerId)
+      .select('user_id');
+
+    if (memberError) throw memberError;
+
+    if (member.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const { error: ownerError } = await supabaseAdmin
+      .from('workspaces')
+      .update({ owner_id: newOwnerId, updated_at: new Date().toISOString() })
+      .eq('id', req.workspace.id);
+
+    if (ownerError) throw ownerError;
+
+    const { error: demoteError } = await supabaseAdmin
+      .from('workspace_members')
+      .update({ role: 'admin' })
+      .eq('workspace_id', req.workspace.id)
+      .eq('user_id', req.user.id);
+
+    if (demoteError) throw demoteError;
+
+    logger.info(`👥 Ownership of workspace ${req.workspace.id} transferred from ${req.user.id} to ${newOwnerId}`);
+    res.json({ message: 'Ownership transferred', owner_id: newOwnerId });
+  } catch (error) {
+    console.error('Error transferring workspace ownership:', error);
+    res.status(500).json({ error: 'Failed to transfer ownership' });
+  }
+});
+
+export default router;
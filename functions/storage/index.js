@@ -0,0 +1,84 @@
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { createSupabaseStorage } from './supabase.js';
+import { createS3Storage } from './s3.js';
+import { createLocalStorage } from './local.js';
+
+// Storage backend is picked with STORAGE_DRIVER: supabase (default), s3 or local.
+// Every backend exposes the same interface and returns { data, error } like the Supabase client:
+//   upload(path, body, { contentType, cacheControl, upsert })
+//   remove(paths)
+//   move(fromPath, toPath)
+//   createReadStream(path, { start, end })  -> readable stream of the object (or a byte range)
+//   createSignedUrl(path, expiresIn, { download })
+//   stat(path)  -> { path, size, contentType, etag, lastModified }
+//   list(prefix, { limit, offset })
+//   getPublicUrl(path)
+export const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'supabase').toLowerCase();
+export const STORAGE_BUCKET = process.env.STORAGE_BUCKET || 'user-files';
+
+const createStorage = () => {
+  switch (STORAGE_DRIVER) {
+    case 'supabase':
+      return createSupabaseStorage({ bucket: STORAGE_BUCKET });
+
+    case 's3':
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET || STORAGE_BUCKET,
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      });
+
+    case 'local': {
+      let signingSecret = process.env.STORAGE_SIGNING_SECRET;
+      if (!signingSecret) {
+        logger.warn('⚠️  STORAGE_SIGNING_SECRET not set - signed storage URLs will stop working after a restart');
+        signingSecret = crypto.randomBytes(32).toString('hex');
+      }
+
+      return createLocalStorage({
+        root: process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'storage'),
+        baseUrl: (process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, ''),
+        signingSecret
+      });
+    }
+
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${STORAGE_DRIVER}`);
+  }
+};
+
+export const storage = createStorage();
+
+// Storage path of an uploaded file. Older rows have no storage_path, so it is
+// recovered from the Supabase public URL that was saved as file_url. Rows from the
+// "files" bucket are backfilled by MASTER-SETUP.sql with their storage_bucket.
+export const getFileStoragePath = (file) => {
+  if (file.storage_path) return file.storage_path;
+
+  const match = file.file_url?.match(/\/object\/public\/[^/]+\/(.+)$/);
+  if (match) return decodeURIComponent(match[1].split('?')[0]);
+
+  return file.file_url?.split('/').slice(-2).join('/') || null;
+};
+
+// Everything stored for an uploaded file - the file and its thumbnail
+export const getFileStoragePaths = (file) => [getFileStoragePath(file), file.thumbnail_path].filter(Boolean);
+
+// Read a whole stored file into memory - only for files of a bounded size
+export const readStoredFile = async (file) => {
+  const { data: stream, error } = await storage.createReadStream(getFileStoragePath(file));
+  if (error) throw new Error(`Failed to read file from storage: ${error.message}`);
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+export default storage;
@@ -0,0 +1,194 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+
+// Metadata (content type, cache control) is kept in a sidecar tree next to the objects
+const META_DIR = '.meta';
+
+const notFound = () => ({ message: 'Object not found', statusCode: '404' });
+
+// Local filesystem backend for development, tests and self-hosted installs.
+// Signed URLs point at /api/storage on this server and are verified with an HMAC.
+export const createLocalStorage = ({ root, baseUrl, signingSecret }) => {
+  const rootDir = path.resolve(root);
+
+  // Resolve an object path inside the storage root, rejecting anything that escapes it
+  const resolvePath = (filePath) => {
+    const fullPath = path.resolve(rootDir, filePath);
+    if (!fullPath.startsWith(rootDir + path.sep) || filePath.split('/').includes(META_DIR)) {
+      throw Object.assign(new Error('Invalid storage path'), { statusCode: '400' });
+    }
+    return fullPath;
+  };
+
+  const metaPath = (filePath) => path.join(rootDir, META_DIR, `${filePath}.json`);
+
+  const sign = (filePath, expires, download = '') => crypto
+    .createHmac('sha256', signingSecret)
+    .update(`${filePath}\n${expires}\n${download}`)
+    .digest('hex');
+
+  const readMetadata = async (filePath) => {
+    try {
+      return JSON.parse(await fsp.readFile(metaPath(filePath), 'utf8'));
+    } catch {
+      return {};
+    }
+  };
+
+  return {
+    driver: 'local',
+
+    // body can be a Buffer or a readable stream
+    async upload(filePath, body, { contentType, cacheControl = '3600', upsert = false } = {}) {
+      try {
+        const fullPath = resolvePath(filePath);
+        await fsp.mkdir(path.dirname(fullPath), { recursive: true });
+
+        if (!upsert && fs.existsSync(fullPath)) {
+          return { data: null, error: { message: 'The resource already exists', statusCode: '409' } };
+        }
+
+        // Write to a temp file first so readers never see a partial object
+        const tempPath = `${fullPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        try {
+          if (Buffer.isBuffer(body)) {
+            await fsp.writeFile(tempPath, body);
+          } else {
+            await pipeline(body, fs.createWriteStream(tempPath));
+          }
+          await fsp.rename(tempPath, fullPath);
+        } catch (error) {
+          await fsp.rm(tempPath, { force: true });
+          throw error;
+        }
+
+        await fsp.mkdir(path.dirname(metaPath(filePath)), { recursive: true });
+        await fsp.writeFile(metaPath(filePath), JSON.stringify({ contentType, cacheControl }));
+
+        return { data: { path: filePath }, error: null };
+      } catch (error) {
+        return { data: null, error: { message: error.message, statusCode: error.statusCode || '500' } };
+      }
+    },
+
+    async remove(paths) {
+      try {
+        for (const filePath of paths) {
+          await fsp.rm(resolvePath(filePath), { force: true });
+          await fsp.rm(metaPath(filePath), { force: true });
+        }
+        return { error: null };
+      } catch (error) {
+        return { error: { message: error.message, statusCode: error.statusCode || '500' } };
+      }
+    },
+
+    async move(fromPath, toPath) {
+      try {
+        const targetPath = resolvePath(toPath);
+        await fsp.mkdir(path.dirname(targetPath), { recursive: true });
+        await fsp.rename(resolvePath(fromPath), targetPath);
+
+        await fsp.mkdir(path.dirname(metaPath(toPath)), { recursive: true });
+        await fsp.rename(metaPath(fromPath), metaPath(toPath)).catch(() => {});
+        return { error: null };
+      } catch (error) {
+        if (error.code === 'ENOENT') return { error: notFound() };
+        return { error: { message: error.message, statusCode: error.statusCode || '500' } };
+      }
+    },
+
+    async createReadStream(filePath, { start, end } = {}) {
+      try {
+        const fullPath = resolvePath(filePath);
+        await fsp.access(fullPath);
+        return { data: fs.createReadStream(fullPath, { start, end }), error: null };
+      } catch (error) {
+        if (error.code === 'ENOENT') return { data: null, error: notFound() };
+        return { data: null, error: { message: error.message, statusCode: error.statusCode || '500' } };
+      }
+    },
+
+    async createSignedUrl(filePath, expiresIn, { download } = {}) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const params = new URLSearchParams({ expires: String(expires), signature: sign(filePath, expires, download || '') });
+      if (download) params.set('download', download);
+
+      const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+      return { data: { signedUrl: `${baseUrl}/api/storage/${encodedPath}?${params}` }, error: null };
+    },
+
+    async stat(filePath) {
+      try {
+        const stats = await fsp.stat(resolvePath(filePath));
+        if (!stats.isFile()) return { data: null, error: notFound() };
+
+        const metadata = await readMetadata(filePath);
+        return {
+          data: {
+            path: filePath,
+            size: stats.size,
+            contentType: metadata.contentType || null,
+            etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+            lastModified: stats.mtime.toISOString()
+          },
+          error: null
+        };
+      } catch (error) {
+        if (error.code === 'ENOENT') return { data: null, error: notFound() };
+        return { data: null, error: { message: error.message, statusCode: error.statusCode || '500' } };
+      }
+    },
+
+    async list(prefix = '', { limit = 100, offset = 0 } = {}) {
+      try {
+        const dir = prefix ? resolvePath(prefix) : rootDir;
+        const entries = await fsp.readdir(dir, { withFileTypes: true });
+        const files = entries
+          .filter(entry => entry.isFile() && !entry.name.endsWith('.tmp'))
+          .map(entry => entry.name)
+          .sort()
+          .slice(offset, offset + limit);
+
+        const data = [];
+        for (const name of files) {
+          const stats = await fsp.stat(path.join(dir, name));
+          data.push({
+            name,
+            path: prefix ? `${prefix}/${name}` : name,
+            size: stats.size,
+            lastModified: stats.mtime.toISOString()
+          });
+        }
+        return { data, error: null };
+      } catch (error) {
+        if (error.code === 'ENOENT') return { data: [], error: null };
+        return { data: null, error: { message: error.message, statusCode: error.statusCode || '500' } };
+      }
+    },
+
+    // Files are never served without a signature - the public URL only identifies the object
+    getPublicUrl(filePath) {
+      const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+      return { data: { publicUrl: `${baseUrl}/api/storage/${encodedPath}` } };
+    },
+
+    // Used by the /api/storage route to serve signed URLs
+    verifySignedUrl(filePath, expires, signature, download = '') {
+      if (!expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+        return false;
+      }
+      const expected = Buffer.from(sign(filePath, Number(expires), download));
+      const received = Buffer.from(String(signature));
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    },
+
+    resolvePath,
+    readMetadata
+  };
+};
+
+export default createLocalStorage;
@@ -0,0 +1,177 @@
+import {
+  S3Client,
+  CopyObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// Turn an SDK exception into the { message, statusCode } shape the Supabase client returns
+const toStorageError = (error) => ({
+  message: error.message,
+  statusCode: String(error.$metadata?.httpStatusCode || 500),
+  name: error.name
+});
+
+// S3-compatible backend (AWS S3, MinIO, Cloudflare R2, ...)
+export const createS3Storage = ({ bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: !!forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    driver: 's3',
+
+    // body can be a Buffer or a readable stream; streams are sent as a multipart upload.
+    // Object paths are always randomised by the callers, so upsert is not enforced here.
+    async upload(filePath, body, { contentType, cacheControl = '3600' } = {}) {
+      try {
+        const upload = new Upload({
+          client,
+          params: {
+            Bucket: bucket,
+            Key: filePath,
+            Body: body,
+            ContentType: contentType,
+            // Seconds like Supabase's cacheControl, anything else (e.g. 'no-store') as given
+            CacheControl: /^\d+$/.test(String(cacheControl)) ? `max-age=${cacheControl}` : cacheControl
+          }
+        });
+        await upload.done();
+        return { data: { path: filePath }, error: null };
+      } catch (error) {
+        return { data: null, error: toStorageError(error) };
+      }
+    },
+
+    async remove(paths) {
+      if (!paths.length) return { error: null };
+
+      try {
+        const result = await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: paths.map(Key => ({ Key })), Quiet: true }
+        }));
+
+        if (result.Errors?.length) {
+          return { error: { message: result.Errors[0].Message, statusCode: '500' } };
+        }
+        return { error: null };
+      } catch (error) {
+        return { error: toStorageError(error) };
+      }
+    },
+
+    // S3 has no rename - copy, then delete the original
+    async move(fromPath, toPath) {
+      try {
+        await client.send(new CopyObjectCommand({
+          Bucket: bucket,
+          Key: toPath,
+          CopySource: `${bucket}/${fromPath.split('/').map(encodeURIComponent).join('/')}`
+        }));
+        await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: [{ Key: fromPath }], Quiet: true }
+        }));
+        return { error: null };
+      } catch (error) {
+        return { error: toStorageError(error) };
+      }
+    },
+
+    async createReadStream(filePath, { start, end } = {}) {
+      try {
+        const result = await client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: filePath,
+          Range: start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined
+        }));
+        return { data: result.Body, error: null };
+      } catch (error) {
+        return { data: null, error: toStorageError(error) };
+      }
+    },
+
+    async createSignedUrl(filePath, expiresIn, { download } = {}) {
+      try {
+        const command = new GetObjectCommand({
+          Bucket: bucket,
+          Key: filePath,
+          ...(download && {
+            ResponseContentDisposition: `attachment; filename="${String(download).replace(/"/g, '')}"`
+          })
+        });
+        const signedUrl = await getSignedUrl(client, command, { expiresIn });
+        return { data: { signedUrl }, error: null };
+      } catch (error) {
+        return { data: null, error: toStorageError(error) };
+      }
+    },
+
+    async stat(filePath) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: filePath }));
+        return {
+          data: {
+            path: filePath,
+            size: head.ContentLength ?? null,
+            contentType: head.ContentType || null,
+            etag: head.ETag || null,
+            lastModified: head.LastModified ? head.LastModified.toISOString() : null
+          },
+          error: null
+        };
+      } catch (error) {
+        return { data: null, error: toStorageError(error) };
+      }
+    },
+
+    // S3 has no offset, so the listing is paged through until offset + limit objects are seen
+    async list(prefix = '', { limit = 100, offset = 0 } = {}) {
+      try {
+        const objects = [];
+        let continuationToken;
+
+        do {
+          const page = await client.send(new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix ? `${prefix}/` : undefined,
+            Delimiter: '/',
+            ContinuationToken: continuationToken
+          }));
+          objects.push(...(page.Contents || []));
+          continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (continuationToken && objects.length < offset + limit);
+
+        return {
+          data: objects.slice(offset, offset + limit).map(object => ({
+            name: object.Key.split('/').pop(),
+            path: object.Key,
+            size: object.Size ?? null,
+            lastModified: object.LastModified ? object.LastModified.toISOString() : null
+          })),
+          error: null
+        };
+      } catch (error) {
+        return { data: null, error: toStorageError(error) };
+      }
+    },
+
+    // Buckets are private - the public URL only identifies the object, access goes through signed URLs
+    getPublicUrl(filePath) {
+      const base = endpoint
+        ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+        : `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com`;
+      return { data: { publicUrl: `${base}/${filePath.split('/').map(encodeURIComponent).join('/')}` } };
+    }
+  };
+};
+
+export default createS3Storage;
@@ -0,0 +1,104 @@
+import path from 'path';
+import { Readable } from 'stream';
+import { supabaseAdmin } from '../../config/supabase.js';
+
+// Supabase Storage backend - files live in a single (private) bucket
+export const createSupabaseStorage = ({ bucket }) => {
+  const from = () => supabaseAdmin.storage.from(bucket);
+
+  return {
+    driver: 'supabase',
+
+    // body can be a Buffer or a readable stream
+    async upload(filePath, body, { contentType, cacheControl = '3600', upsert = false } = {}) {
+      const isStream = typeof body?.pipe === 'function';
+      const { error } = await from().upload(filePath, body, {
+        contentType,
+        cacheControl,
+        upsert,
+        ...(isStream && { duplex: 'half' })
+      });
+
+      return error ? { data: null, error } : { data: { path: filePath }, error: null };
+    },
+
+    async remove(paths) {
+      const { error } = await from().remove(paths);
+      return { error };
+    },
+
+    async move(fromPath, toPath) {
+      const { error } = await from().move(fromPath, toPath);
+      return { error };
+    },
+
+    // The client's download() buffers the whole object, so stream it through a signed URL instead
+    async createReadStream(filePath, { start, end } = {}) {
+      const { data, error } = await from().createSignedUrl(filePath, 60);
+      if (error) return { data: null, error };
+
+      const headers = start !== undefined ? { Range: `bytes=${start}-${end ?? ''}` } : {};
+      const response = await fetch(data.signedUrl, { headers });
+      if (!response.ok) {
+        return { data: null, error: { message: `Download failed with status ${response.status}`, statusCode: String(response.status) } };
+      }
+
+      return { data: Readable.fromWeb(response.body), error: null };
+    },
+
+    async createSignedUrl(filePath, expiresIn, { download } = {}) {
+      const { data, error } = await from().createSignedUrl(filePath, expiresIn, download ? { download } : undefined);
+      return error ? { data: null, error } : { data: { signedUrl: data.signedUrl }, error: null };
+    },
+
+    async stat(filePath) {
+      const folder = path.posix.dirname(filePath);
+      const name = path.posix.basename(filePath);
+      const { data, error } = await from().list(folder === '.' ? '' : folder, { search: name, limit: 100 });
+
+      if (error) return { data: null, error };
+
+      // search is a prefix match, so pick the exact name
+      const entry = data.find(item => item.name === name && item.id);
+      if (!entry) {
+        return { data: null, error: { message: 'Object not found', statusCode: '404' } };
+      }
+
+      return {
+        data: {
+          path: filePath,
+          size: entry.metadata?.size ?? null,
+          contentType: entry.metadata?.mimetype || null,
+          etag: entry.metadata?.eTag || null,
+          lastModified: entry.metadata?.lastModified || entry.updated_at || null
+        },
+        error: null
+      };
+    },
+
+    async list(prefix = '', { limit = 100, offset = 0 } = {}) {
+      const { data, error } = await from().list(prefix, { limit, offset, sortBy: { column: 'name', order: 'asc' } });
+
+      if (error) return { data: null, error };
+
+      // Folders come back without an id - only return objects
+      return {
+        data: data
+          .filter(item => item.id)
+          .map(item => ({
+            name: item.name,
+            path: prefix ? `${prefix}/${item.name}` : item.name,
+            size: item.metadata?.size ?? null,
+            lastModified: item.metadata?.lastModified || item.updated_at || null
+          })),
+        error: null
+      };
+    },
+
+    getPublicUrl(filePath) {
+      return from().getPublicUrl(filePath);
+    }
+  };
+};
+
+export default createSupabaseStorage;
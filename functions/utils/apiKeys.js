@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../../config/supabase.js';
+
+// Personal API keys let scripts and CI jobs call the API without a Supabase session.
+// Keys look like vd_<40 random characters>; only a SHA-256 hash is stored.
+export const API_KEY_PREFIX = 'vd_';
+
+// upload: files, resumable uploads and bundles - share: create share links - read: list files, bundles and links
+export const API_KEY_SCOPES = ['upload', 'share', 'read'];
+
+export const MAX_API_KEYS_PER_USER = 20;
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Returns { key, keyPrefix, keyHash }. The key itself is shown to the user once and never stored.
+export const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+  return { key, keyPrefix: key.slice(0, 12), keyHash: hashApiKey(key) };
+};
+
+export const isApiKey = (token) => token.startsWith(API_KEY_PREFIX);
+
+// Look up an active key. Returns { apiKey, user } or null if the key is unknown, revoked or expired.
+export const authenticateApiKey = async (key) => {
+  const { data: apiKey, error } = await supabaseAdmin
+    .from('api_keys')
+    .select('id, user_id, key_prefix, scopes, expires_at')
+    .eq('key_hash', hashApiKey(key))
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!apiKey) return null;
+
+  if (apiKey.expires_at && new Date(apiKey.expires_at) < new Date()) {
+    return null;
+  }
+
+  const { data: { user }, error: userError } = await supabaseAdmin.auth.admin.getUserById(apiKey.user_id);
+  if (userError || !user) return null;
+
+  return { apiKey, user };
+};
+
+export const recordApiKeyUse = async (keyId, ipAddress) => {
+  const { error } = await supabaseAdmin
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString(), last_used_ip: ipAddress || null })
+    .eq('id', keyId);
+
+  if (error) throw error;
+};
+
+export default {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  MAX_API_KEYS_PER_USER,
+  hashApiKey,
+  generateApiKey,
+  isApiKey,
+  authenticateApiKey,
+  recordApiKeyUse
+};
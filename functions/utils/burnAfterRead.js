@@ -0,0 +1,114 @@
+import { supabaseAdmin } from '../../config/supabase.js';
+import { storage, getFileStoragePaths } from '../storage/index.js';
+import { sendFileDestroyedEmail } from './email.js';
+import { DOWNLOAD_TICKET_TTL } from './downloadTicket.js';
+import logger from './logger.js';
+
+// Files of a destroy_on_exhaust link are kept after its final open only until the recipient's
+// download completes, or until the download tickets expire - whichever comes first.
+export const markForDestruction = async (files) => {
+  if (files.length === 0) return;
+
+  const destroyAfter = new Date(Date.now() + DOWNLOAD_TICKET_TTL * 1000).toISOString();
+  const { error } = await supabaseAdmin
+    .from('uploaded_files')
+    .update({ destroy_after: destroyAfter })
+    .in('id', files.map(file => file.id));
+
+  if (error) throw error;
+};
+
+const sendReceipt = async (userId, details) => {
+  // Anonymous uploads have nobody to notify
+  if (!userId) return;
+
+  const { data: owner } = await supabaseAdmin
+    .from('users')
+    .select('email')
+    .eq('id', userId)
+    .single();
+
+  if (owner?.email) {
+    await sendFileDestroyedEmail(owner.email, { ...details, destroyedAt: new Date().toISOString() });
+  }
+};
+
+const deleteStoredFile = async (file) => {
+  const { error: storageError } = await storage.remove(getFileStoragePaths(file));
+  if (storageError) throw storageError;
+
+  const { error: deleteError } = await supabaseAdmin
+    .from('uploaded_files')
+    .delete()
+    .eq('id', file.id);
+
+  if (deleteError) throw deleteError;
+};
+
+// Delete a bundle once its last file marked for destruction is gone
+const destroyBundle = async (bundleId) => {
+  const { data: bundle } = await supabaseAdmin
+    .from('file_bundles')
+    .select('*')
+    .eq('id', bundleId)
+    .single();
+
+  if (!bundle) return;
+
+  const { data: leftovers } = await supabaseAdmin
+    .from('uploaded_files')
+    .select('storage_path, file_url, thumbnail_path')
+    .eq('bundle_id', bundleId);
+
+  if (leftovers?.length) {
+    const { error: storageError } = await storage.remove(leftovers.flatMap(getFileStoragePaths));
+    if (storageError) throw storageError;
+  }
+
+  // Cascade removes any remaining file rows
+  const { error: deleteError } = await supabaseAdmin
+    .from('file_bundles')
+    .delete()
+    .eq('id', bundleId);
+
+  if (deleteError) throw deleteError;
+
+  logger.info(`🔥 Bundle destroyed after its final open: ${bundleId}`);
+  await sendReceipt(bundle.user_id, { name: bundle.name, fileCount: bundle.file_count });
+};
+
+// Permanently delete a file after the final open of its link. Bundle files are deleted one by one
+// as their downloads complete; the bundle itself (and the owner's receipt) goes with the last one.
+export const destroyFile = async (file) => {
+  await deleteStoredFile(file);
+  logger.info(`🔥 File destroyed after its final open: ${file.id}`);
+
+  if (!file.bundle_id) {
+    await sendReceipt(file.user_id, { name: file.filename, fileCount: 1 });
+    return;
+  }
+
+  const { data: pending, error } = await supabaseAdmin
+    .from('uploaded_files')
+    .select('id')
+    .eq('bundle_id', file.bundle_id)
+    .not('destroy_after', 'is', null);
+
+  if (error) throw error;
+
+  if (pending.length === 0) {
+    await destroyBundle(file.bundle_id);
+  }
+};
+
+export const destroyFiles = async (files) => {
+  for (const file of files) {
+    await destroyFile(file);
+  }
+};
+
+export default {
+  markForDestruction,
+  destroyFile,
+  destroyFiles
+};
@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { storage } from '../storage/index.js';
+
+// Partial chunks of resumable uploads are kept in the storage backend (STORAGE_DRIVER) under
+// CHUNK_PREFIX until the upload is completed, so any instance can take the next chunk or the
+// completion, and chunks survive restarts.
+const CHUNK_PREFIX = 'upload-chunks';
+
+// Chunk size configuration
+export const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024; // 8MB
+export const MIN_CHUNK_SIZE = 1024 * 1024; // 1MB
+export const MAX_CHUNK_SIZE = 64 * 1024 * 1024; // 64MB
+
+// Objects listed per request when reading a session's chunks
+const LIST_PAGE_SIZE = 1000;
+
+const sessionPrefix = (uploadId) => `${CHUNK_PREFIX}/${uploadId}`;
+const chunkPath = (uploadId, index) => `${sessionPrefix(uploadId)}/${index}.part`;
+
+const chunkError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const storageError = (message, error) => new Error(`${message}: ${error.message}`);
+
+// Expected byte length of a chunk (the last chunk holds the remainder)
+export const getExpectedChunkSize = (session, index) => {
+  if (index < session.total_chunks - 1) {
+    return session.chunk_size;
+  }
+  return session.file_size - session.chunk_size * (session.total_chunks - 1);
+};
+
+// Receive a chunk and store it. The chunk (at most MAX_CHUNK_SIZE) is held in memory and only
+// stored once its size (and optional SHA-256 checksum) match, so a dropped connection never
+// leaves a truncated chunk behind. A chunk that is sent again replaces the stored one.
+export const writeChunk = async (uploadId, index, source, { expectedSize, sha256 } = {}) => {
+  const hash = crypto.createHash('sha256');
+  const parts = [];
+  let received = 0;
+
+  for await (const data of source) {
+    received += data.length;
+    if (received > expectedSize) {
+      throw chunkError(`Chunk exceeds expected size of ${expectedSize} bytes`, 'CHUNK_TOO_LARGE');
+    }
+    hash.update(data);
+    parts.push(data);
+  }
+
+  if (received !== expectedSize) {
+    throw chunkError(`Chunk size mismatch: expected ${expectedSize} bytes, received ${received}`, 'CHUNK_SIZE_MISMATCH');
+  }
+
+  const digest = hash.digest('hex');
+  if (sha256 && sha256.toLowerCase() !== digest) {
+    throw chunkError('Chunk checksum mismatch', 'CHUNK_CHECKSUM_MISMATCH');
+  }
+
+  const { error } = await storage.upload(chunkPath(uploadId, index), Buffer.concat(parts, received), {
+    contentType: 'application/octet-stream',
+    cacheControl: 'no-store',
+    upsert: true
+  });
+  if (error) throw storageError('Failed to store chunk', error);
+
+  return { size: received, sha256: digest };
+};
+
+// Paths of every object stored for an upload session
+const listSessionObjects = async (uploadId) => {
+  const objects = [];
+  for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+    const { data, error } = await storage.list(sessionPrefix(uploadId), { limit: LIST_PAGE_SIZE, offset });
+    if (error) throw storageError('Failed to list chunks', error);
+
+    objects.push(...data);
+    if (data.length < LIST_PAGE_SIZE) return objects;
+  }
+};
+
+// List indices of chunks that have been fully received
+export const listChunks = async (uploadId) => {
+  const objects = await listSessionObjects(uploadId);
+  return objects
+    .filter(object => /^\d+\.part$/.test(object.name))
+    .map(object => parseInt(object.name, 10))
+    .sort((a, b) => a - b);
+};
+
+// Indices that still need to be uploaded
+export const getMissingChunks = (session, receivedChunks) => {
+  const received = new Set(receivedChunks);
+  const missing = [];
+  for (let i = 0; i < session.total_chunks; i++) {
+    if (!received.has(i)) missing.push(i);
+  }
+  return missing;
+};
+
+// Readable stream of all chunks in order, read from storage one at a time
+export const createAssembledStream = (uploadId, totalChunks) => {
+  return Readable.from((async function* () {
+    for (let i = 0; i < totalChunks; i++) {
+      const { data: stream, error } = await storage.createReadStream(chunkPath(uploadId, i));
+      if (error) throw storageError(`Failed to read chunk ${i}`, error);
+      yield* stream;
+    }
+  })());
+};
+
+// First bytes of the assembled file (chunks are at least 1MB, so the first chunk is enough)
+export const readHead = async (uploadId, length) => {
+  const { data: stream, error } = await storage.createReadStream(chunkPath(uploadId, 0), { start: 0, end: length - 1 });
+  if (error) throw storageError('Failed to read chunk 0', error);
+
+  const parts = [];
+  for await (const data of stream) {
+    parts.push(data);
+  }
+  return Buffer.concat(parts).subarray(0, length);
+};
+
+// Delete all chunks of an upload session
+export const removeChunks = async (uploadId) => {
+  const objects = await listSessionObjects(uploadId);
+  if (objects.length === 0) return;
+
+  for (let i = 0; i < objects.length; i += LIST_PAGE_SIZE) {
+    const { error } = await storage.remove(objects.slice(i, i + LIST_PAGE_SIZE).map(object => object.path));
+    if (error) throw storageError('Failed to remove chunks', error);
+  }
+};
+
+export default {
+  writeChunk,
+  listChunks,
+  getMissingChunks,
+  getExpectedChunkSize,
+  createAssembledStream,
+  readHead,
+  removeChunks,
+  DEFAULT_CHUNK_SIZE,
+  MIN_CHUNK_SIZE,
+  MAX_CHUNK_SIZE
+};
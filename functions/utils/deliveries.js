@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../../config/supabase.js';
+import { sendDeliveryReceiptEmail } from './email.js';
+import logger from './logger.js';
+
+// Every file handed out by /access or /zip gets a delivery that records how much of it was actually
+// served and whether the download completed. How completion is seen depends on the URL the recipient got:
+//   proxy    - downloads through the backend count the bytes themselves
+//   callback - the recipient's browser reports a finished download from a signed storage URL
+//   zip      - the streamed ZIP completed
+export const DELIVERY_FIELDS = 'id, access_id, file_id, file_name, file_size, tracking, recipient_email, ip_address, bytes_served, status, created_at, completed_at, notified_at';
+
+// Create the deliveries of one open. Returns them keyed by file ID.
+export const createDeliveries = async (linkData, files, { tracking, ipAddress, recipientEmail = null }) => {
+  if (files.length === 0) return {};
+
+  const accessId = crypto.randomUUID();
+  const { data, error } = await supabaseAdmin
+    .from('share_deliveries')
+    .insert(files.map(file => ({
+      access_id: accessId,
+      share_link_id: linkData.id,
+      user_id: linkData.user_id || null,
+      file_id: file.id,
+      file_name: file.filename,
+      file_size: file.file_size || 0,
+      tracking: typeof tracking === 'function' ? tracking(file) : tracking,
+      recipient_email: recipientEmail,
+      ip_address: ipAddress || null,
+      // Anonymous links have nobody to notify
+      notify_owner: !!linkData.notify_on_delivery && !!linkData.user_id
+    })))
+    .select('id, file_id, access_id, recipient_email');
+
+  if (error) throw error;
+
+  return Object.fromEntries(data.map(delivery => [delivery.file_id, delivery]));
+};
+
+export const getDelivery = async (deliveryId) => {
+  const { data, error } = await supabaseAdmin
+    .from('share_deliveries')
+    .select(`${DELIVERY_FIELDS}, share_link_id, user_id`)
+    .eq('id', deliveryId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Tell the owner that a recipient has finished downloading everything they opened
+const sendDeliveryReceipt = async (delivery) => {
+  const [{ data: owner }, { data: files, error }] = await Promise.all([
+    supabaseAdmin
+      .from('users')
+      .select('email')
+      .eq('id', delivery.user_id)
+      .single(),
+    supabaseAdmin
+      .from('share_deliveries')
+      .select('file_name')
+      .eq('access_id', delivery.access_id)
+  ]);
+
+  if (error) throw error;
+  if (!owner?.email) return;
+
+  await sendDeliveryReceiptEmail(owner.email, {
+    fileNames: files.map(file => file.file_name),
+    recipientEmail: delivery.recipient_email,
+    ipAddress: delivery.ip_address,
+    // The call that sends the receipt is the one that completed the last file
+    deliveredAt: delivery.completed_at
+  });
+
+  logger.info(`📬 Delivery receipt sent for share link ${delivery.share_link_id} (access ${delivery.access_id})`);
+};
+
+// Add served bytes to a delivery; reachedEnd when the response went up to the end of the file.
+// Sends the owner's receipt once every file of the open has been delivered. Returns the delivery's status.
+export const recordDeliveryProgress = async (deliveryId, { bytes = 0, reachedEnd = false }) => {
+  const { data, error } = await supabaseAdmin
+    .rpc('record_share_delivery', {
+      p_delivery_id: deliveryId,
+      p_bytes: bytes,
+      p_reached_end: reachedEnd
+    })
+    .single();
+
+  if (error) throw error;
+
+  if (data.delivery_status === 'completed') {
+    console.log(`📦 Delivery ${deliveryId} completed`);
+  }
+
+  if (data.notify) {
+    const delivery = await getDelivery(deliveryId);
+    if (delivery?.user_id) {
+      sendDeliveryReceipt(delivery).catch(receiptError => {
+        logger.error(`Failed to send delivery receipt for delivery ${deliveryId}:`, receiptError);
+      });
+    }
+  }
+
+  return data.delivery_status;
+};
+
+export const getShareLinkDeliveries = async (linkId) => {
+  const { data, error } = await supabaseAdmin
+    .from('share_deliveries')
+    .select(DELIVERY_FIELDS)
+    .eq('share_link_id', linkId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data;
+};
+
+export default {
+  DELIVERY_FIELDS,
+  createDeliveries,
+  getDelivery,
+  recordDeliveryProgress,
+  getShareLinkDeliveries
+};
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+
+// Proxied downloads are authorised with short-lived tickets handed out by /api/share/:token/access.
+// A ticket is bound to one share link, one file and one disposition (inline = view, attachment = download,
+// preview = the rendered preview only), and to the delivery its bytes are counted against, if any.
+export const DOWNLOAD_TICKET_TTL = 60 * 60; // 1 hour, same as the signed storage URLs
+
+// When true, /access hands out proxied URLs instead of signed storage URLs for every link
+export const PROXY_DOWNLOADS = process.env.PROXY_DOWNLOADS === 'true';
+
+const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+let ticketSecret = process.env.DOWNLOAD_TICKET_SECRET;
+if (!ticketSecret) {
+  logger.warn('⚠️  DOWNLOAD_TICKET_SECRET not set - proxied download URLs will stop working after a restart');
+  ticketSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const sign = (linkId, fileId, expires, disposition, deliveryId) => crypto
+  .createHmac('sha256', ticketSecret)
+  .update(`${linkId}\n${fileId}\n${expires}\n${disposition}${deliveryId ? `\n${deliveryId}` : ''}`)
+  .digest('base64url');
+
+// Ticket format: <expires>.<disposition>.<signature>[.<deliveryId>]
+export const createDownloadTicket = ({ linkId, fileId, disposition = 'attachment', deliveryId = null, expiresIn = DOWNLOAD_TICKET_TTL }) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const ticket = `${expires}.${disposition}.${sign(linkId, fileId, expires, disposition, deliveryId)}`;
+  return deliveryId ? `${ticket}.${deliveryId}` : ticket;
+};
+
+// Dispositions that get the stored file. Preview tickets are only accepted by the preview endpoint.
+const FILE_DISPOSITIONS = ['inline', 'attachment'];
+
+// Returns { valid, disposition, deliveryId }. Only tickets for one of `dispositions` are valid.
+export const verifyDownloadTicket = (ticket, { linkId, fileId, dispositions = FILE_DISPOSITIONS }) => {
+  const [expires, disposition, signature, deliveryId = null] = String(ticket || '').split('.');
+
+  if (!expires || !signature || !dispositions.includes(disposition)) {
+    return { valid: false };
+  }
+  if (parseInt(expires) < Math.floor(Date.now() / 1000)) {
+    return { valid: false };
+  }
+
+  const expected = Buffer.from(sign(linkId, fileId, expires, disposition, deliveryId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false };
+  }
+
+  return { valid: true, disposition, deliveryId };
+};
+
+// URL of the proxied download endpoint for a file behind a share link
+export const getProxiedFileUrl = (token, linkId, fileId, disposition = 'attachment', deliveryId = null) => {
+  const ticket = createDownloadTicket({ linkId, fileId, disposition, deliveryId });
+  return `${API_URL}/api/share/${encodeURIComponent(token)}/files/${fileId}/content?ticket=${ticket}`;
+};
+
+// URL the recipient's browser reports a finished download from a signed storage URL to
+export const getDeliveryCallbackUrl = (token, linkId, fileId, deliveryId) => {
+  const ticket = createDownloadTicket({ linkId, fileId, deliveryId });
+  return `${API_URL}/api/share/${encodeURIComponent(token)}/files/${fileId}/delivered?ticket=${ticket}`;
+};
+
+// URL of the rendered preview of a file behind a share link - the stored bytes are never sent
+export const getPreviewUrl = (token, linkId, fileId, deliveryId = null) => {
+  const ticket = createDownloadTicket({ linkId, fileId, disposition: 'preview', deliveryId });
+  return `${API_URL}/api/share/${encodeURIComponent(token)}/files/${fileId}/preview?ticket=${ticket}`;
+};
+
+export default {
+  DOWNLOAD_TICKET_TTL,
+  PROXY_DOWNLOADS,
+  createDownloadTicket,
+  verifyDownloadTicket,
+  getProxiedFileUrl,
+  getDeliveryCallbackUrl,
+  getPreviewUrl
+};
@@ -40,6 +40,8 @@ export const sendShareLinkEmail = async (recipientEmail, data) => {
     const expiresAt = new Date(data.expiresAt).toLocaleString();
     const hasPassword = data.hasPassword || false;
     const maxOpens = data.maxOpens || 'Unlimited';
+    // Scheduled links are sent ahead of time but only open from this date
+    const availableFrom = data.availableFrom ? new Date(data.availableFrom).toLocaleString() : null;
 
     const htmlContent = `
       <!DOCTYPE html>
@@ -77,6 +79,7 @@ export const sendShareLinkEmail = async (recipientEmail, data) => {
             
             <div class="file-info">
               <p><strong>📁 File:</strong> ${filename}</p>
+              ${availableFrom ? `<p><strong>🗓️ Available From:</strong> ${availableFrom}</p>` : ''}
               <p><strong>⏰ Expires:</strong> ${expiresAt}</p>
               <p><strong>🔄 Max Opens:</strong> ${maxOpens}</p>
               ${hasPassword ? '<p><strong>🔒 Password Protected:</strong> Yes (Contact sender for password)</p>' : ''}
@@ -124,7 +127,7 @@ export const sendShareLinkEmail = async (recipientEmail, data) => {
       from: process.env.EMAIL_FROM || 'noreply@vanishdrop.com',
       subject: `📁 ${senderName} shared "${filename}" with you`,
       html: htmlContent,
-      text: `${senderName} shared a file with you via VanishDrop.\n\nFile: ${filename}\nExpires: ${expiresAt}\n${hasPassword ? 'Password Protected: Yes\n' : ''}\n\nDownload link: ${shareUrl}\n\nThis link will expire on ${expiresAt}.`,
+      text: `${senderName} shared a file with you via VanishDrop.\n\nFile: ${filename}\n${availableFrom ? `Available from: ${availableFrom}\n` : ''}Expires: ${expiresAt}\n${hasPassword ? 'Password Protected: Yes\n' : ''}\n\nDownload link: ${shareUrl}\n\nThis link will expire on ${expiresAt}.`,
     };
 
     const response = await sgMail.send(msg);
@@ -463,11 +466,269 @@ VanishDrop Team
   }
 };
 
+// Notify a file owner that an upload was flagged by the malware scanner
+export const sendMalwareDetectedEmail = async (recipientEmail, data) => {
+  if (!sendGridAvailable) {
+    console.warn('SendGrid package not available. Skipping email notification.');
+    return { success: false, message: 'SendGrid package not installed' };
+  }
+  
+  if (!process.env.SENDGRID_API_KEY) {
+    return { success: false, message: 'SendGrid API key not configured' };
+  }
+
+  try {
+    const filename = data.filename;
+    const signature = data.signature || 'Unknown threat';
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #dc3545; color: white; padding: 20px; text-align: center; border-radius: 5px; }
+          .content { padding: 20px; background: #f8f9fa; margin-top: 20px; border-radius: 5px; }
+          .warning { background: #f8d7da; border-left: 4px solid #dc3545; padding: 15px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🛡️ Malware Detected</h1>
+          </div>
+          <div class="content">
+            <p>Our malware scanner flagged your file <strong>"${filename}"</strong> and it has been quarantined.</p>
+            <div class="warning">
+              <strong>Detected:</strong> ${signature}<br>
+              Share links for this file no longer work and the file can't be downloaded.
+            </div>
+            <p>If you believe this is a mistake, please contact support.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const msg = {
+      to: recipientEmail,
+      from: process.env.EMAIL_FROM || 'noreply@vanishdrop.com',
+      subject: `🛡️ Your file "${filename}" was quarantined`,
+      html: htmlContent,
+      text: `Our malware scanner flagged your file "${filename}" (${signature}) and it has been quarantined. Share links for this file no longer work.`,
+    };
+
+    const response = await sgMail.send(msg);
+    return { success: true, messageId: response[0].headers['x-message-id'] };
+  } catch (error) {
+    console.error('Error sending malware notification via SendGrid:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Receipt for the owner of a burn-after-read link once its files have been destroyed
+export const sendFileDestroyedEmail = async (recipientEmail, data) => {
+  if (!sendGridAvailable) {
+    console.warn('SendGrid package not available. Skipping email notification.');
+    return { success: false, message: 'SendGrid package not installed' };
+  }
+  
+  if (!process.env.SENDGRID_API_KEY) {
+    return { success: false, message: 'SendGrid API key not configured' };
+  }
+
+  try {
+    const name = data.name;
+    const description = data.fileCount > 1 ? `bundle <strong>"${name}"</strong> (${data.fileCount} files)` : `file <strong>"${name}"</strong>`;
+    const destroyedAt = new Date(data.destroyedAt || Date.now()).toUTCString();
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #667eea; color: white; padding: 20px; text-align: center; border-radius: 5px; }
+          .content { padding: 20px; background: #f8f9fa; margin-top: 20px; border-radius: 5px; }
+          .info { background: #e7f3ff; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔥 File Destroyed</h1>
+          </div>
+          <div class="content">
+            <p>The final open of your burn-after-read share link has been used, and your ${description} has been permanently deleted.</p>
+            <div class="info">
+              <strong>Destroyed at:</strong> ${destroyedAt}<br>
+              The file has been removed from storage and can't be recovered.
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const msg = {
+      to: recipientEmail,
+      from: process.env.EMAIL_FROM || 'noreply@vanishdrop.com',
+      subject: `🔥 "${name}" has been destroyed`,
+      html: htmlContent,
+      text: `The final open of your burn-after-read share link has been used, and "${name}" was permanently deleted at ${destroyedAt}.`,
+    };
+
+    const response = await sgMail.send(msg);
+    return { success: true, messageId: response[0].headers['x-message-id'] };
+  } catch (error) {
+    console.error('Error sending destruction receipt via SendGrid:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell the owner of a share link that a recipient has finished downloading
+export const sendDeliveryReceiptEmail = async (recipientEmail, data) => {
+  if (!sendGridAvailable) {
+    console.warn('SendGrid package not available. Skipping email notification.');
+    return { success: false, message: 'SendGrid package not installed' };
+  }
+  
+  if (!process.env.SENDGRID_API_KEY) {
+    return { success: false, message: 'SendGrid API key not configured' };
+  }
+
+  try {
+    const fileNames = data.fileNames || [];
+    const name = fileNames.length === 1 ? `"${fileNames[0]}"` : `${fileNames.length} files`;
+    const recipient = data.recipientEmail || 'A recipient';
+    const deliveredAt = new Date(data.deliveredAt || Date.now()).toUTCString();
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #667eea; color: white; padding: 20px; text-align: center; border-radius: 5px; }
+          .content { padding: 20px; background: #f8f9fa; margin-top: 20px; border-radius: 5px; }
+          .info { background: #e7f3ff; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📬 Delivered</h1>
+          </div>
+          <div class="content">
+            <p><strong>${recipient}</strong> finished downloading ${name} from your share link.</p>
+            <div class="info">
+              ${fileNames.length > 1 ? `<strong>Files:</strong> ${fileNames.join(', ')}<br>` : ''}
+              <strong>Delivered at:</strong> ${deliveredAt}<br>
+              ${data.ipAddress ? `<strong>IP address:</strong> ${data.ipAddress}` : ''}
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const msg = {
+      to: recipientEmail,
+      from: process.env.EMAIL_FROM || 'noreply@vanishdrop.com',
+      subject: `📬 ${name} has been delivered`,
+      html: htmlContent,
+      text: `${recipient} finished downloading ${name} from your share link at ${deliveredAt}.${fileNames.length > 1 ? `\n\nFiles: ${fileNames.join(', ')}` : ''}`,
+    };
+
+    const response = await sgMail.send(msg);
+    return { success: true, messageId: response[0].headers['x-message-id'] };
+  } catch (error) {
+    console.error('Error sending delivery receipt via SendGrid:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Invite someone to join a team workspace
+export const sendWorkspaceInvitationEmail = async (recipientEmail, data) => {
+  if (!sendGridAvailable) {
+    console.warn('SendGrid package not available. Skipping email notification.');
+    return { success: false, message: 'SendGrid package not installed' };
+  }
+  
+  if (!process.env.SENDGRID_API_KEY) {
+    return { success: false, message: 'SendGrid API key not configured' };
+  }
+
+  try {
+    const workspaceName = data.workspaceName;
+    const inviter = data.inviterEmail || 'A VanishDrop user';
+    const inviteUrl = `${process.env.FRONTEND_URL || 'https://vanishdrop.com'}/invite/${data.token}`;
+    const expiresAt = new Date(data.expiresAt).toUTCString();
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #667eea; color: white; padding: 20px; text-align: center; border-radius: 5px; }
+          .content { padding: 20px; background: #f8f9fa; margin-top: 20px; border-radius: 5px; }
+          .info { background: #e7f3ff; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0; }
+          .cta-button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>👥 Workspace Invitation</h1>
+          </div>
+          <div class="content">
+            <p>${inviter} invited you to join the workspace <strong>"${workspaceName}"</strong> on VanishDrop as <strong>${data.role}</strong>.</p>
+            <p style="text-align: center;">
+              <a href="${inviteUrl}" class="cta-button">Accept Invitation</a>
+            </p>
+            <div class="info">
+              Sign in with ${recipientEmail} to accept. The invitation expires on ${expiresAt}.
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const msg = {
+      to: recipientEmail,
+      from: process.env.EMAIL_FROM || 'noreply@vanishdrop.com',
+      subject: `👥 You're invited to join "${workspaceName}" on VanishDrop`,
+      html: htmlContent,
+      text: `${inviter} invited you to join the workspace "${workspaceName}" on VanishDrop as ${data.role}. Accept the invitation: ${inviteUrl} (sign in with ${recipientEmail}; expires ${expiresAt}).`,
+    };
+
+    const response = await sgMail.send(msg);
+    return { success: true, messageId: response[0].headers['x-message-id'] };
+  } catch (error) {
+    console.error('Error sending workspace invitation via SendGrid:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 export default {
   sendShareLinkEmail,
   sendExpirationReminder,
   sendOTPEmail,
   sendDocumentRequestEmail,
   sendRequestFulfilledEmail,
+  sendMalwareDetectedEmail,
+  sendFileDestroyedEmail,
+  sendDeliveryReceiptEmail,
+  sendWorkspaceInvitationEmail,
 };
 
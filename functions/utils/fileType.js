@@ -0,0 +1,235 @@
+import { fileTypeFromBuffer } from 'file-type';
+
+// Number of leading bytes inspected to detect the real file type
+export const SNIFF_BYTES = 64 * 1024;
+
+// List of allowed MIME types
+export const ALLOWED_FILE_TYPES = [
+  // Documents
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/plain',
+  'text/csv',
+  // Images
+  'image/jpeg',
+  'image/jpg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'image/svg+xml',
+  'image/heic',
+  'image/heif',
+  // Videos
+  'video/mp4',
+  'video/mpeg',
+  'video/quicktime',
+  'video/x-msvideo',
+  'video/webm',
+  // Audio
+  'audio/mpeg',
+  'audio/wav',
+  'audio/ogg',
+  'audio/webm',
+  // Archives
+  'application/zip',
+  'application/x-rar-compressed',
+  'application/x-7z-compressed',
+  'application/x-tar',
+  'application/gzip',
+  // Code files
+  'application/json',
+  'application/javascript',
+  'text/html',
+  'text/css',
+  'application/xml',
+  // Encrypted files (E2EE)
+  'application/octet-stream',
+];
+
+const ARCHIVE_TYPES = [
+  'application/zip',
+  'application/x-rar-compressed',
+  'application/x-7z-compressed',
+  'application/x-tar',
+  'application/gzip',
+];
+
+// Types a browser would render or execute if opened from a share link
+const ACTIVE_CONTENT_TYPES = [
+  'text/html',
+  'application/javascript',
+  'image/svg+xml',
+];
+
+// Allowed types per upload tier
+const TIER_FILE_TYPES = {
+  pro: ALLOWED_FILE_TYPES,
+  free: ALLOWED_FILE_TYPES.filter(type => !ACTIVE_CONTENT_TYPES.includes(type)),
+  anonymous: ALLOWED_FILE_TYPES.filter(type => !ACTIVE_CONTENT_TYPES.includes(type) && !ARCHIVE_TYPES.includes(type)),
+};
+
+// Types that are plain text and cannot be told apart by their bytes
+const TEXT_TYPES = [
+  'text/plain',
+  'text/csv',
+  'text/html',
+  'text/css',
+  'application/json',
+  'application/javascript',
+  'application/xml',
+  'image/svg+xml',
+];
+
+// Pre-2007 Office documents are all Compound File Binary containers
+const LEGACY_OFFICE_TYPES = [
+  'application/msword',
+  'application/vnd.ms-excel',
+  'application/vnd.ms-powerpoint',
+];
+
+// Office Open XML documents are ZIP files; if the part that identifies them is past
+// the sniffed bytes, detection falls back to plain ZIP
+const OOXML_TYPES = [
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+];
+
+// Never accepted, not even as "encrypted" uploads
+const EXECUTABLE_TYPES = [
+  'application/x-msdownload',
+  'application/x-elf',
+  'application/x-mach-binary',
+  'application/x-sharedlib',
+  'application/vnd.microsoft.portable-executable',
+];
+
+// Different names for the same format - the first entry is the canonical one
+const EQUIVALENT_TYPES = [
+  ['image/jpeg', 'image/jpg', 'image/pjpeg'],
+  ['image/heic', 'image/heif'],
+  ['application/xml', 'text/xml'],
+  ['video/webm', 'audio/webm'],
+  ['audio/ogg', 'video/ogg', 'application/ogg', 'audio/opus'],
+  ['video/mp4', 'video/quicktime', 'video/x-m4v', 'audio/mp4', 'audio/x-m4a'],
+  ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+  ['video/x-msvideo', 'video/vnd.avi', 'video/avi', 'video/msvideo'],
+  ['video/mpeg', 'video/MP1S', 'video/MP2P', 'video/mp2t'],
+  ['application/x-rar-compressed', 'application/vnd.rar'],
+  ['application/gzip', 'application/x-gzip'],
+];
+
+const canonicalType = (mimetype) => {
+  const group = EQUIVALENT_TYPES.find(types => types.includes(mimetype));
+  return group ? group[0] : mimetype;
+};
+
+// Valid UTF-8 without NUL bytes is treated as text
+const looksLikeText = (head) => {
+  if (head.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// SVG can carry scripts, so it is never passed off as plain XML or text
+const isSvg = (head) => /<svg[\s>]/i.test(head.toString('utf8'));
+
+const fileTypeError = (message, detectedType) => {
+  const error = new Error(message);
+  error.isFileTypeError = true;
+  error.detectedType = detectedType;
+  return error;
+};
+
+export const getAllowedFileTypes = (tier) => TIER_FILE_TYPES[tier] || TIER_FILE_TYPES.anonymous;
+
+// Check a declared type against the tier's allow-list (encrypted E2EE uploads are always accepted)
+export const isAllowedFileType = (mimetype, filename, isEncrypted = false, tier = 'pro') => {
+  return getAllowedFileTypes(tier).includes(mimetype) || isEncrypted || filename.endsWith('.encrypted');
+};
+
+// Encrypted files are stored with the type the client says they decrypt to (original_file_type),
+// so that type has to be on the tier's allow-list as well
+export const isAllowedOriginalFileType = (originalType, tier = 'pro') => {
+  return !originalType || getAllowedFileTypes(tier).includes(originalType);
+};
+
+// Detect the real type from the first bytes of a file.
+// Returns the MIME type, or application/octet-stream when the format is unknown.
+export const detectFileType = async (head, claimedType) => {
+  const result = await fileTypeFromBuffer(head);
+
+  if (result) {
+    const mimetype = result.mime.split(';')[0];
+
+    if (mimetype === 'application/xml' && isSvg(head)) {
+      return 'image/svg+xml';
+    }
+
+    if (mimetype === 'application/x-cfb' && LEGACY_OFFICE_TYPES.includes(claimedType)) {
+      return claimedType;
+    }
+    if (mimetype === 'application/zip' && OOXML_TYPES.includes(claimedType)) {
+      return claimedType;
+    }
+    return mimetype;
+  }
+
+  if (looksLikeText(head)) {
+    if (isSvg(head)) return 'image/svg+xml';
+    return TEXT_TYPES.includes(claimedType) ? claimedType : 'text/plain';
+  }
+
+  return 'application/octet-stream';
+};
+
+// Sniff the file and check the result against the tier's allow-list and the declared type.
+// Returns the type to store; throws an error with isFileTypeError when the file is rejected.
+export const verifyFileType = async (head, { claimedType, filename, isEncrypted = false, tier }) => {
+  const detectedType = await detectFileType(head, claimedType);
+
+  if (EXECUTABLE_TYPES.includes(detectedType)) {
+    throw fileTypeError(`File type ${detectedType} is not allowed`, detectedType);
+  }
+
+  // Ciphertext is stored as opaque bytes - its original_file_type is checked against the allow-list
+  // instead. Random bytes often start with a short signature (e.g. an MP3 frame), so only
+  // executables, refused above, are told apart from it.
+  if (isEncrypted || filename.endsWith('.encrypted')) {
+    return 'application/octet-stream';
+  }
+
+  const declared = !claimedType || claimedType === 'application/octet-stream' ? null : claimedType;
+
+  if (declared && canonicalType(declared) !== canonicalType(detectedType)) {
+    throw fileTypeError(`File content (${detectedType}) does not match declared type ${declared}`, detectedType);
+  }
+
+  // Keep the declared name when it is an alias of the detected format (e.g. audio/webm)
+  const fileType = declared || canonicalType(detectedType);
+
+  if (!getAllowedFileTypes(tier).includes(fileType)) {
+    throw fileTypeError(`File type ${fileType} is not allowed`, detectedType);
+  }
+
+  return fileType;
+};
+
+export default {
+  ALLOWED_FILE_TYPES,
+  SNIFF_BYTES,
+  getAllowedFileTypes,
+  isAllowedFileType,
+  isAllowedOriginalFileType,
+  detectFileType,
+  verifyFileType
+};
@@ -0,0 +1,223 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { PDFDocument } from 'pdf-lib';
+import { supabaseAdmin } from '../../config/supabase.js';
+import logger from './logger.js';
+
+// Forensic watermarks tie each recipient's copy of an image or PDF to their open of the link, so a
+// leaked copy can be traced back to the access log entry (email, IP and time) it came from.
+//   visible   - the recipient's details and the mark's code are printed on the copy
+//   invisible - the code is hidden in the image's pixels or the PDF's metadata
+export const FORENSIC_MODES = ['visible', 'invisible'];
+
+// Codes are 8 random bytes, written as 16 hex characters
+export const FORENSIC_CODE_PATTERN = /^[0-9a-f]{16}$/;
+
+export const createForensicMark = async (linkData, { accessId, accessLogId, recipientEmail, ipAddress }) => {
+  const { data, error } = await supabaseAdmin
+    .from('share_forensic_marks')
+    .insert({
+      code: crypto.randomBytes(8).toString('hex'),
+      share_link_id: linkData.id,
+      access_id: accessId,
+      access_log_id: accessLogId || null,
+      mode: linkData.forensic_watermark,
+      user_id: linkData.user_id,
+      workspace_id: linkData.workspace_id || null,
+      recipient_email: recipientEmail || null,
+      ip_address: ipAddress || null
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// The mark of an open (deliveries of one open share its access_id)
+export const getForensicMark = async (accessId) => {
+  const { data, error } = await supabaseAdmin
+    .from('share_forensic_marks')
+    .select('*')
+    .eq('access_id', accessId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Lines printed on a copy with a visible mark
+export const getForensicLines = (mark) => [
+  `${mark.recipient_email || 'Unverified recipient'} · ${mark.ip_address || 'unknown IP'}`,
+  `${new Date(mark.created_at).toISOString().slice(0, 19).replace('T', ' ')} UTC · ID ${mark.code}`
+];
+
+// Invisible image marks: the image is split into a GRID x GRID grid of cells, and every cell carries
+// one bit of the code (plus a CRC-16) in its mean brightness, quantised to an even or odd multiple of
+// STEP / 2. Each bit is repeated in several cells. Cells are measured on a thumbnail of a fixed size,
+// so marks survive re-encoding and resizing, but not cropping.
+const GRID = 16;
+const STEP = 8;
+const PAYLOAD_BITS = 80;
+const SAMPLE_SIZE = GRID * 8;
+// Only the inner part of a cell is measured, so its neighbours don't bleed in
+const CELL_INSET = 0.25;
+export const MIN_MARK_SIZE = 128;
+
+// Lossy formats are written at a high quality so the mark survives
+const OUTPUT_OPTIONS = {
+  jpeg: { quality: 92 },
+  webp: { quality: 92 },
+  avif: { quality: 80 }
+};
+
+const crc16 = (bytes) => {
+  let crc = 0xffff;
+  for (const byte of bytes) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+};
+
+const codeToBits = (code) => {
+  const bytes = Buffer.from(code, 'hex');
+  const crc = crc16(bytes);
+  const payload = Buffer.concat([bytes, Buffer.from([crc >> 8, crc & 0xff])]);
+  return Array.from({ length: PAYLOAD_BITS }, (_, i) => (payload[i >> 3] >> (7 - (i & 7))) & 1);
+};
+
+// Returns the code, or null when the CRC doesn't match
+const bitsToCode = (bits) => {
+  const payload = Buffer.alloc(PAYLOAD_BITS / 8);
+  bits.forEach((bit, i) => { payload[i >> 3] |= bit << (7 - (i & 7)); });
+
+  const bytes = payload.subarray(0, 8);
+  return crc16(bytes) === payload.readUInt16BE(8) ? bytes.toString('hex') : null;
+};
+
+const getCell = (index, { width, height }, inset = 0) => {
+  const column = index % GRID;
+  const row = Math.floor(index / GRID);
+  const x0 = Math.floor(column * width / GRID);
+  const x1 = Math.floor((column + 1) * width / GRID);
+  const y0 = Math.floor(row * height / GRID);
+  const y1 = Math.floor((row + 1) * height / GRID);
+  const dx = Math.floor((x1 - x0) * inset);
+  const dy = Math.floor((y1 - y0) * inset);
+  return { x0: x0 + dx, x1: x1 - dx, y0: y0 + dy, y1: y1 - dy };
+};
+
+// Colour channels of raw pixels - alpha is left alone
+const colorChannels = ({ channels }) => (channels >= 3 ? 3 : 1);
+
+const forEachSample = (info, cell, callback) => {
+  const colors = colorChannels(info);
+  for (let y = cell.y0; y < cell.y1; y++) {
+    for (let x = cell.x0; x < cell.x1; x++) {
+      const offset = (y * info.width + x) * info.channels;
+      for (let c = 0; c < colors; c++) callback(offset + c);
+    }
+  }
+};
+
+const cellMean = (data, info, cell) => {
+  let sum = 0;
+  let count = 0;
+  forEachSample(info, cell, (i) => { sum += data[i]; count++; });
+  return count ? sum / count : 0;
+};
+
+// Mean brightness of every cell of an image, from its decoded pixels (JPEGs would otherwise be
+// shrunk while decoding, which measures differently)
+const measureCells = async (pixels, raw) => {
+  const { data, info } = await sharp(pixels, { raw })
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'fill', kernel: 'cubic' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return Array.from({ length: GRID * GRID }, (_, index) => cellMean(data, info, getCell(index, info, CELL_INSET)));
+};
+
+// Hide a code in an image. Takes a sharp pipeline and returns the encoded image, or null when the
+// image is too small or its format can't carry the mark (GIF palettes destroy it).
+export const embedImageMark = async (image, format, code) => {
+  if (format === 'gif') return null;
+
+  const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+  if (info.width < MIN_MARK_SIZE || info.height < MIN_MARK_SIZE) return null;
+
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+  const means = await measureCells(data, raw);
+  const bits = codeToBits(code);
+
+  for (let index = 0; index < GRID * GRID; index++) {
+    const bit = bits[index % PAYLOAD_BITS];
+    const mean = means[index];
+    const target = Math.round((mean - bit * STEP / 2) / STEP) * STEP + bit * STEP / 2;
+    const shift = target - mean;
+
+    forEachSample(info, getCell(index, info), (i) => {
+      data[i] = Math.min(255, Math.max(0, Math.round(data[i] + shift)));
+    });
+  }
+
+  return sharp(data, { raw })
+    .toFormat(format, OUTPUT_OPTIONS[format])
+    .toBuffer();
+};
+
+export const extractImageMark = async (buffer) => {
+  const { data, info } = await sharp(buffer).rotate().raw().toBuffer({ resolveWithObject: true });
+  if (info.width < MIN_MARK_SIZE || info.height < MIN_MARK_SIZE) return null;
+
+  // Majority vote over the cells carrying each bit
+  const means = await measureCells(data, { width: info.width, height: info.height, channels: info.channels });
+  const votes = new Array(PAYLOAD_BITS).fill(0);
+  means.forEach((mean, index) => {
+    votes[index % PAYLOAD_BITS] += Math.round(mean / (STEP / 2)) % 2 ? 1 : -1;
+  });
+
+  return bitsToCode(votes.map(vote => (vote > 0 ? 1 : 0)));
+};
+
+// Invisible PDF marks are kept in the document's keywords
+const PDF_MARK_PREFIX = 'vd-mark:';
+const PDF_MARK_PATTERN = /vd-mark:([0-9a-f]{16})/;
+
+export const embedPdfMark = (pdf, code) => {
+  const keywords = pdf.getKeywords();
+  pdf.setKeywords([...(keywords ? [keywords] : []), `${PDF_MARK_PREFIX}${code}`]);
+};
+
+export const extractPdfMark = async (buffer) => {
+  const pdf = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  return pdf.getKeywords()?.match(PDF_MARK_PATTERN)?.[1] || null;
+};
+
+// Find the code hidden in a leaked copy. Returns null when there is none.
+export const extractForensicCode = async (buffer, mimeType) => {
+  try {
+    return mimeType === 'application/pdf' || buffer.subarray(0, 5).toString() === '%PDF-'
+      ? await extractPdfMark(buffer)
+      : await extractImageMark(buffer);
+  } catch (error) {
+    logger.warn(`⚠️ Could not read a forensic mark from a ${mimeType} file: ${error.message}`);
+    return null;
+  }
+};
+
+export default {
+  FORENSIC_MODES,
+  FORENSIC_CODE_PATTERN,
+  createForensicMark,
+  getForensicMark,
+  getForensicLines,
+  embedImageMark,
+  extractImageMark,
+  embedPdfMark,
+  extractPdfMark,
+  extractForensicCode
+};
@@ -0,0 +1,195 @@
+// HEIC/HEIF photos keep EXIF and XMP as items of the file's `meta` box, next to the image items.
+// sharp's prebuilt libvips can't decode HEVC, so the photo can't be re-encoded like other formats -
+// instead the metadata items are blanked where they are, which leaves every offset in the file
+// (and the image data) untouched.
+
+const heifError = (message) => new Error(`Invalid HEIF file: ${message}`);
+
+// Boxes directly inside buffer[start, end): { type, start, dataStart, end }
+const readBoxes = (buffer, start, end) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let dataStart = offset + 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) throw heifError(`truncated ${type} box`);
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      dataStart = offset + 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < dataStart - offset || offset + size > end) throw heifError(`bad size of ${type} box`);
+    boxes.push({ type, start: offset, dataStart, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+// Unsigned integer of 0, 4 or 8 bytes
+const readSized = (buffer, offset, size) => {
+  if (size === 0) return 0;
+  if (size === 4) return buffer.readUInt32BE(offset);
+  if (size === 8) return Number(buffer.readBigUInt64BE(offset));
+  throw heifError(`unsupported field size ${size}`);
+};
+
+const readCString = (buffer, offset, end) => {
+  const stop = buffer.indexOf(0, offset);
+  const last = stop === -1 || stop > end ? end : stop;
+  return { value: buffer.toString('utf8', offset, last), next: last + 1 };
+};
+
+// Item types from the iinf box: Map of item ID -> { type, contentType }
+const readItemInfos = (buffer, iinf) => {
+  const version = buffer[iinf.dataStart];
+  const entriesStart = iinf.dataStart + 4 + (version === 0 ? 2 : 4);
+  const items = new Map();
+
+  for (const infe of readBoxes(buffer, entriesStart, iinf.end)) {
+    if (infe.type !== 'infe') continue;
+
+    const infeVersion = buffer[infe.dataStart];
+    // Version 0 and 1 entries predate item types and can't hold EXIF or XMP
+    if (infeVersion < 2) continue;
+
+    let offset = infe.dataStart + 4;
+    const id = infeVersion === 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+    offset += (infeVersion === 2 ? 2 : 4) + 2; // item_protection_index
+    const type = buffer.toString('latin1', offset, offset + 4);
+    offset += 4;
+
+    let contentType = null;
+    if (type === 'mime') {
+      const name = readCString(buffer, offset, infe.end);
+      contentType = readCString(buffer, name.next, infe.end).value;
+    }
+    items.set(id, { type, contentType });
+  }
+
+  return items;
+};
+
+// Where each item's bytes are, from the iloc box: Map of item ID -> [{ offset, length }] in the file
+const readItemLocations = (buffer, iloc, idat) => {
+  const version = buffer[iloc.dataStart];
+  let offset = iloc.dataStart + 4;
+
+  const offsetSize = buffer[offset] >> 4;
+  const lengthSize = buffer[offset] & 0x0f;
+  const baseOffsetSize = buffer[offset + 1] >> 4;
+  const indexSize = version === 1 || version === 2 ? buffer[offset + 1] & 0x0f : 0;
+  offset += 2;
+
+  const itemCount = version < 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+  offset += version < 2 ? 2 : 4;
+
+  const locations = new Map();
+  for (let i = 0; i < itemCount; i++) {
+    const id = version < 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+    offset += version < 2 ? 2 : 4;
+
+    let constructionMethod = 0;
+    if (version === 1 || version === 2) {
+      constructionMethod = buffer.readUInt16BE(offset) & 0x0f;
+      offset += 2;
+    }
+    offset += 2; // data_reference_index
+
+    const baseOffset = readSized(buffer, offset, baseOffsetSize);
+    offset += baseOffsetSize;
+
+    const extentCount = buffer.readUInt16BE(offset);
+    offset += 2;
+
+    const extents = [];
+    for (let e = 0; e < extentCount; e++) {
+      offset += indexSize;
+      const extentOffset = readSized(buffer, offset, offsetSize);
+      offset += offsetSize;
+      const extentLength = readSized(buffer, offset, lengthSize);
+      offset += lengthSize;
+      extents.push({ offset: baseOffset + extentOffset, length: extentLength });
+    }
+
+    // 0: offsets into the file, 1: offsets into the idat box, 2: built from other items (no bytes of its own)
+    if (constructionMethod === 0) {
+      locations.set(id, extents);
+    } else if (constructionMethod === 1) {
+      if (!idat) throw heifError('item stored in a missing idat box');
+      locations.set(id, extents.map(extent => ({ ...extent, offset: idat.dataStart + extent.offset })));
+    }
+  }
+
+  return locations;
+};
+
+// An EXIF item holds a 4-byte offset to the TIFF header, then the EXIF block
+const EMPTY_EXIF = Buffer.from([
+  0, 0, 0, 0, // TIFF header right after the offset
+  0x4d, 0x4d, 0x00, 0x2a, 0, 0, 0, 8, // big-endian TIFF header, first IFD at 8
+  0, 0, // no entries
+  0, 0, 0, 0 // no next IFD
+]);
+
+const isXmpItem = (item) => item.type === 'mime' && item.contentType === 'application/rdf+xml';
+
+// Blank the EXIF and XMP items of a HEIF file in a copy of buffer. Returns
+// { buffer, exif, xmp }: exif is the removed EXIF block (TIFF data) or null, xmp whether there was XMP.
+// Throws when the file isn't a HEIF file it can read.
+export const stripHeifMetadata = (buffer) => {
+  const topLevel = readBoxes(buffer, 0, buffer.length);
+  if (topLevel[0]?.type !== 'ftyp') throw heifError('no ftyp box');
+
+  const meta = topLevel.find(box => box.type === 'meta');
+  if (!meta) throw heifError('no meta box');
+
+  // meta is a full box: version and flags come before its children
+  const children = readBoxes(buffer, meta.dataStart + 4, meta.end);
+  const iinf = children.find(box => box.type === 'iinf');
+  const iloc = children.find(box => box.type === 'iloc');
+  if (!iinf || !iloc) throw heifError('no item information');
+
+  const items = readItemInfos(buffer, iinf);
+  const locations = readItemLocations(buffer, iloc, children.find(box => box.type === 'idat'));
+
+  const output = Buffer.from(buffer);
+  let exif = null;
+  let xmp = false;
+
+  for (const [id, item] of items) {
+    if (item.type !== 'Exif' && !isXmpItem(item)) continue;
+
+    const extents = locations.get(id) || [];
+    for (const extent of extents) {
+      if (extent.offset + extent.length > buffer.length) throw heifError(`item ${id} extends past the end of the file`);
+    }
+
+    if (item.type === 'Exif') {
+      const data = Buffer.concat(extents.map(extent => buffer.subarray(extent.offset, extent.offset + extent.length)));
+      if (!exif && data.length > 4) exif = data.subarray(4 + data.readUInt32BE(0));
+    } else {
+      xmp = true;
+    }
+
+    // XMP packets are whitespace-padded anyway; EXIF is replaced with an empty block where it fits
+    let written = 0;
+    for (const extent of extents) {
+      output.fill(isXmpItem(item) ? 0x20 : 0, extent.offset, extent.offset + extent.length);
+      if (item.type === 'Exif' && written < EMPTY_EXIF.length) {
+        written += EMPTY_EXIF.copy(output, extent.offset, written, written + extent.length);
+      }
+    }
+  }
+
+  return { buffer: output, exif, xmp };
+};
+
+export default {
+  stripHeifMetadata
+};
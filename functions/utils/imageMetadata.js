@@ -0,0 +1,151 @@
+import sharp from 'sharp';
+import exifReader from 'exif-reader';
+import { supabaseAdmin } from '../../config/supabase.js';
+import { stripHeifMetadata } from './heifMetadata.js';
+import logger from './logger.js';
+
+// Photos can carry EXIF (camera, time taken, GPS position), XMP and IPTC metadata. Uploads can have it
+// stripped before the file is stored - per upload (strip_metadata) or by default for the user
+// (strip_image_metadata). The image is re-encoded in its own format; the colour profile is kept.
+// HEIC can't be re-encoded, so its metadata items are blanked in place (see heifMetadata.js).
+export const METADATA_STRIP_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heif',
+  'image/heif': 'heif'
+};
+
+// Images are re-encoded in memory, so bigger ones can't be stripped
+export const METADATA_STRIP_MAX_BYTES = (parseInt(process.env.METADATA_STRIP_MAX_MB) || 50) * 1024 * 1024;
+
+const OUTPUT_OPTIONS = {
+  jpeg: { quality: 95 },
+  webp: { quality: 95 }
+};
+
+export const supportsMetadataStripping = (mimeType) => !!METADATA_STRIP_TYPES[mimeType];
+
+const metadataError = (message, status = 422) => {
+  const error = new Error(message);
+  error.isMetadataError = true;
+  error.status = status;
+  return error;
+};
+
+// The upload's strip_metadata field wins over the user's default. Fields only count when they are
+// sent before the file in the multipart body. JSON bodies (resumable uploads) can send a boolean.
+export const shouldStripMetadata = async (req) => {
+  const option = String(req.body?.strip_metadata);
+  if (option === 'true' || option === 'false') return option === 'true';
+  if (!req.user) return false;
+
+  const { data, error } = await supabaseAdmin
+    .from('users')
+    .select('strip_image_metadata')
+    .eq('id', req.user.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data?.strip_image_metadata;
+};
+
+const toDegrees = ([degrees, minutes, seconds], ref) => {
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return Math.round((ref === 'S' || ref === 'W' ? -value : value) * 1e6) / 1e6;
+};
+
+// Pointers to the other EXIF groups, not metadata themselves
+const POINTER_TAGS = ['ExifTag', 'GPSTag', 'InteroperabilityTag'];
+
+// Names of the tags in an EXIF block, with the GPS position if there is one
+const describeExif = (exif) => {
+  let tags;
+  try {
+    tags = exifReader(exif);
+  } catch {
+    return { exif: ['(unreadable)'], gps: null };
+  }
+
+  const { GPSInfo: gpsInfo, bigEndian, ...groups } = tags;
+  const names = Object.values(groups).flatMap(group => (group && typeof group === 'object' ? Object.keys(group) : []));
+  const gpsNames = gpsInfo ? Object.keys(gpsInfo).map(name => `GPS${name.replace(/^GPS/, '')}`) : [];
+
+  let gps = null;
+  if (Array.isArray(gpsInfo?.GPSLatitude) && Array.isArray(gpsInfo?.GPSLongitude)) {
+    gps = {
+      latitude: toDegrees(gpsInfo.GPSLatitude, gpsInfo.GPSLatitudeRef),
+      longitude: toDegrees(gpsInfo.GPSLongitude, gpsInfo.GPSLongitudeRef),
+      ...(typeof gpsInfo.GPSAltitude === 'number' && { altitude: gpsInfo.GPSAltitude })
+    };
+  }
+
+  return { exif: [...new Set([...names, ...gpsNames])].filter(name => !POINTER_TAGS.includes(name)), gps };
+};
+
+// What an image carries that stripping removes
+const describeMetadata = (metadata) => ({
+  ...(metadata.exif ? describeExif(metadata.exif) : { exif: [], gps: null }),
+  xmp: !!metadata.xmp,
+  iptc: !!metadata.iptc,
+  // PNG text chunks
+  comments: (metadata.comments || []).map(comment => comment.keyword)
+});
+
+// Re-encode an image without its metadata. Resolves with { buffer, removed }.
+export const stripImageMetadata = async (buffer, mimeType) => {
+  const format = METADATA_STRIP_TYPES[mimeType];
+
+  if (format === 'heif') {
+    const { buffer: stripped, exif, xmp } = stripHeifMetadata(buffer);
+    return {
+      buffer: stripped,
+      removed: { ...(exif ? describeExif(exif) : { exif: [], gps: null }), xmp, iptc: false, comments: [] }
+    };
+  }
+  const metadata = await sharp(buffer).metadata();
+  const animated = (metadata.pages || 1) > 1;
+
+  const image = sharp(buffer, { animated }).keepIccProfile();
+  // The orientation tag goes with the rest, so turn the pixels instead
+  if (metadata.orientation > 1 && !animated) image.rotate();
+
+  const output = format === 'png'
+    ? image.png({ palette: !!metadata.isPalette })
+    : image.toFormat(format, OUTPUT_OPTIONS[format]);
+
+  return { buffer: await output.toBuffer(), removed: describeMetadata(metadata) };
+};
+
+// Read an incoming image and strip it before it is stored. Resolves with { body, info }, where info
+// is reported as req.file.metadata. Fails the upload rather than storing the metadata it was asked to remove.
+export const stripUploadedImage = async (stream, mimeType) => {
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of stream) {
+    length += chunk.length;
+    if (length > METADATA_STRIP_MAX_BYTES) {
+      throw metadataError(`Metadata can only be removed from images up to ${Math.round(METADATA_STRIP_MAX_BYTES / (1024 * 1024))}MB`, 413);
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    const { buffer, removed } = await stripImageMetadata(Buffer.concat(chunks), mimeType);
+    logger.info(`🧹 Removed image metadata (${removed.exif.length} EXIF tags${removed.gps ? ', GPS position' : ''})`);
+    return { body: buffer, info: { stripped: true, removed } };
+  } catch (error) {
+    logger.error('Image metadata stripping failed:', error);
+    throw metadataError(`Metadata could not be removed from this image (${mimeType})`);
+  }
+};
+
+export default {
+  METADATA_STRIP_TYPES,
+  METADATA_STRIP_MAX_BYTES,
+  supportsMetadataStripping,
+  shouldStripMetadata,
+  stripImageMetadata,
+  stripUploadedImage
+};
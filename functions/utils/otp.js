@@ -1,12 +1,22 @@
-import { authenticator } from 'otplib';
 import crypto from 'crypto';
-
-// In-memory OTP storage (for production, use Redis or database)
-const otpStorage = new Map();
+import { otpStore } from '../otpStore/index.js';
 
 // OTP Configuration
 const OTP_EXPIRY = 10 * 60 * 1000; // 10 minutes in milliseconds
 const OTP_LENGTH = 6;
+const OTP_MAX_ATTEMPTS = 3;
+
+// Codes are never stored in plain text - a leaked store shouldn't unlock any share link
+const hashOTP = (identifier, otp) => crypto
+  .createHash('sha256')
+  .update(`${identifier}:${otp}`)
+  .digest('hex');
+
+const matchesHash = (identifier, otp, codeHash) => {
+  const expected = Buffer.from(codeHash, 'hex');
+  const actual = Buffer.from(hashOTP(identifier, String(otp)), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
 
 // Generate a random 6-digit OTP
 export const generateOTP = () => {
@@ -14,138 +24,137 @@ export const generateOTP = () => {
 };
 
 // Store OTP with expiry
-export const storeOTP = (identifier, otp) => {
+export const storeOTP = async (identifier, otp) => {
   const expiresAt = Date.now() + OTP_EXPIRY;
-  otpStorage.set(identifier, {
-    otp,
-    expiresAt,
-    attempts: 0
+  await otpStore.save(identifier, {
+    codeHash: hashOTP(identifier, otp),
+    expiresAt
   });
-  
-  // Auto-cleanup after expiry
-  setTimeout(() => {
-    otpStorage.delete(identifier);
-  }, OTP_EXPIRY);
-  
+
   return expiresAt;
 };
 
 // Verify OTP
-export const verifyOTP = (identifier, inputOTP) => {
-  const stored = otpStorage.get(identifier);
-  
+export const verifyOTP = async (identifier, inputOTP) => {
+  const stored = await otpStore.get(identifier);
+
   if (!stored) {
     return {
       valid: false,
       error: 'OTP not found or expired'
     };
   }
-  
+
   // Check if expired
   if (Date.now() > stored.expiresAt) {
-    otpStorage.delete(identifier);
+    await otpStore.remove(identifier);
     return {
       valid: false,
       error: 'OTP has expired'
     };
   }
-  
+
   // Check attempts (max 3 attempts)
-  if (stored.attempts >= 3) {
-    otpStorage.delete(identifier);
+  if (stored.attempts >= OTP_MAX_ATTEMPTS) {
+    await otpStore.remove(identifier);
     return {
       valid: false,
       error: 'Maximum verification attempts exceeded'
     };
   }
-  
-  // Increment attempts
-  stored.attempts++;
-  
+
+  // Increment attempts - atomic in the store, so parallel guesses on other instances count too
+  const attempts = await otpStore.incrementAttempts(identifier);
+
+  if (attempts === null) {
+    return {
+      valid: false,
+      error: 'OTP not found or expired'
+    };
+  }
+
+  if (attempts > OTP_MAX_ATTEMPTS) {
+    await otpStore.remove(identifier);
+    return {
+      valid: false,
+      error: 'Maximum verification attempts exceeded'
+    };
+  }
+
   // Verify OTP
-  if (stored.otp === inputOTP) {
+  if (matchesHash(identifier, inputOTP, stored.codeHash)) {
     // Mark as verified but don't delete yet (will be deleted after file access)
-    stored.verified = true;
-    stored.verifiedAt = Date.now();
+    await otpStore.markVerified(identifier);
     return {
       valid: true,
       error: null
     };
   }
-  
+
   return {
     valid: false,
     error: 'Invalid OTP',
-    attemptsLeft: 3 - stored.attempts
+    attemptsLeft: OTP_MAX_ATTEMPTS - attempts
   };
 };
 
 // Check if OTP was already verified and is still valid
-export const isOTPVerified = (identifier) => {
-  const stored = otpStorage.get(identifier);
-  
+export const isOTPVerified = async (identifier) => {
+  const stored = await otpStore.get(identifier);
+
   if (!stored) {
     return { verified: false, error: 'OTP not found or expired' };
   }
-  
+
   // Check if expired
   if (Date.now() > stored.expiresAt) {
-    otpStorage.delete(identifier);
+    await otpStore.remove(identifier);
     return { verified: false, error: 'OTP has expired' };
   }
-  
+
   // Check if it was verified
-  if (stored.verified) {
+  if (stored.verifiedAt) {
     return { verified: true, error: null };
   }
-  
+
   return { verified: false, error: 'OTP not verified yet' };
 };
 
 // Delete OTP after successful file access
-export const deleteOTP = (identifier) => {
-  otpStorage.delete(identifier);
+export const deleteOTP = async (identifier) => {
+  await otpStore.remove(identifier);
 };
 
 // Get OTP info (for debugging, remove in production)
-export const getOTPInfo = (identifier) => {
-  const stored = otpStorage.get(identifier);
-  
+export const getOTPInfo = async (identifier) => {
+  const stored = await otpStore.get(identifier);
+
   if (!stored) {
     return null;
   }
-  
+
   return {
     exists: true,
     expiresAt: new Date(stored.expiresAt),
     attempts: stored.attempts,
-    verified: stored.verified || false,
+    verified: !!stored.verifiedAt,
     timeLeft: Math.max(0, Math.floor((stored.expiresAt - Date.now()) / 1000))
   };
 };
 
 // Clean all expired OTPs (cleanup job)
-export const cleanupExpiredOTPs = () => {
-  const now = Date.now();
-  let cleaned = 0;
-  
-  for (const [identifier, data] of otpStorage.entries()) {
-    if (now > data.expiresAt) {
-      otpStorage.delete(identifier);
-      cleaned++;
-    }
-  }
-  
-  return cleaned;
+export const cleanupExpiredOTPs = async () => {
+  return otpStore.removeExpired();
 };
 
 export default {
   generateOTP,
   storeOTP,
   verifyOTP,
+  isOTPVerified,
+  deleteOTP,
   getOTPInfo,
   cleanupExpiredOTPs,
   OTP_EXPIRY,
   OTP_LENGTH
 };
-
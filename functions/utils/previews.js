@@ -0,0 +1,291 @@
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+import path from 'path';
+import sharp from 'sharp';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { storage, getFileStoragePath, readStoredFile } from '../storage/index.js';
+import { getFileCategory } from './thumbnails.js';
+import logger from './logger.js';
+
+// Previews let a recipient look at a shared file without ever receiving its bytes. The file's
+// category (getFileCategory) picks the renderer:
+//   image - the image re-encoded as a WebP of at most PREVIEW_WIDTH
+//   pdf   - one page rasterised to a PNG
+//   video - a poster frame as a JPEG (needs ffmpeg)
+//   text  - text and code as escaped HTML
+//   csv   - the first rows of a CSV or TSV as an HTML table
+// Images and PDFs are rendered in memory, so bigger ones get no preview
+export const PREVIEW_MAX_BYTES = (parseInt(process.env.PREVIEW_MAX_MB) || 50) * 1024 * 1024;
+
+const PREVIEW_WIDTH = 1600;
+// Only the start of a text file is shown
+const TEXT_PREVIEW_BYTES = 512 * 1024;
+const CSV_PREVIEW_ROWS = 1000;
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_TIMEOUT_MS = 30000;
+
+// pdf.js needs the standard fonts for PDFs that don't embed theirs
+const require = createRequire(import.meta.url);
+const PDF_FONTS_URL = `${path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts')}/`;
+
+// The renderer of a file, or null when it can't be previewed. E2EE files can only be decrypted by the recipient.
+export const getPreviewRenderer = (file) => {
+  if (file.is_encrypted || !file.file_type) return null;
+
+  switch (getFileCategory(file.file_type)) {
+    case 'Image':
+      return 'image';
+    case 'Video':
+      return 'video';
+    case 'Document':
+      if (file.file_type === 'application/pdf') return 'pdf';
+      return file.file_type.startsWith('text/') ? 'text' : null;
+    case 'Spreadsheet':
+      return file.file_type.startsWith('text/') ? 'csv' : null;
+    case 'Code':
+    case 'Data':
+      return 'text';
+    default:
+      return null;
+  }
+};
+
+const previewError = (status, body) => ({ error: { status, body } });
+
+const renderImage = async (file) => {
+  const body = await sharp(await readStoredFile(file))
+    .rotate() // Apply the EXIF orientation
+    .resize(PREVIEW_WIDTH, PREVIEW_WIDTH, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  return { contentType: 'image/webp', body };
+};
+
+const renderPdfPage = async (file, page) => {
+  const doc = await getDocument({
+    data: new Uint8Array(await readStoredFile(file)),
+    isEvalSupported: false,
+    disableFontFace: true,
+    standardFontDataUrl: PDF_FONTS_URL,
+    verbosity: 0
+  }).promise;
+
+  try {
+    if (page > doc.numPages) {
+      return previewError(404, { error: 'Page not found', pages: doc.numPages });
+    }
+
+    const pdfPage = await doc.getPage(page);
+    const { width, height } = pdfPage.getViewport({ scale: 1 });
+    // Fit the page to the preview width, without letting very tall pages get huge
+    const viewport = pdfPage.getViewport({ scale: Math.min(PREVIEW_WIDTH / width, (2 * PREVIEW_WIDTH) / height) });
+    const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+    // PDFs without a background would come out transparent
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await pdfPage.render({ canvasContext: context, viewport }).promise;
+
+    return { contentType: 'image/png', body: canvas.toBuffer('image/png'), pages: doc.numPages };
+  } finally {
+    await doc.destroy();
+  }
+};
+
+// ffmpeg reads the video from a short-lived signed URL, so it can seek instead of downloading the whole file
+const renderVideoPoster = async (file) => {
+  const { data, error } = await storage.createSignedUrl(getFileStoragePath(file), 300);
+  if (error) throw error;
+
+  const args = [
+    '-v', 'error',
+    '-i', data.signedUrl,
+    // Pick a representative frame from the start rather than a (often black) first frame
+    '-vf', `thumbnail,scale='min(${PREVIEW_WIDTH},iw)':-2`,
+    '-frames:v', '1',
+    '-f', 'image2pipe',
+    '-vcodec', 'mjpeg',
+    '-q:v', '3',
+    '-'
+  ];
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(FFMPEG_PATH, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const chunks = [];
+    let stderr = '';
+
+    const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), FFMPEG_TIMEOUT_MS);
+
+    ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+
+    ffmpeg.on('error', (spawnError) => {
+      clearTimeout(timer);
+      if (spawnError.code === 'ENOENT') {
+        logger.warn(`⚠️ ffmpeg not found at "${FFMPEG_PATH}" - video previews are unavailable`);
+        resolve(previewError(501, { error: 'Video previews are not available on this server' }));
+        return;
+      }
+      reject(spawnError);
+    });
+
+    ffmpeg.on('close', (code, signal) => {
+      clearTimeout(timer);
+      const body = Buffer.concat(chunks);
+      if (code === 0 && body.length > 0) {
+        resolve({ contentType: 'image/jpeg', body });
+      } else {
+        reject(new Error(signal ? `ffmpeg timed out (${signal})` : `ffmpeg exited with code ${code}: ${stderr.trim().slice(0, 500)}`));
+      }
+    });
+  });
+};
+
+// The first bytes of a stored file. truncated is true when there is more.
+const readFileStart = async (file, length) => {
+  const truncated = file.file_size > length;
+  const { data: stream, error } = await storage.createReadStream(getFileStoragePath(file), truncated ? { start: 0, end: length - 1 } : {});
+  if (error) throw new Error(`Failed to read file from storage: ${error.message}`);
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return { text: new TextDecoder('utf-8').decode(Buffer.concat(chunks).subarray(0, length)), truncated };
+};
+
+const escapeHtml = (text) => String(text).replace(/[<>&'"]/g, char => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&#39;', '"': '&quot;'
+})[char]);
+
+const PREVIEW_STYLE = [
+  'body{margin:0;background:#fff;color:#1f2328}',
+  'pre{margin:0;padding:16px;font:13px/1.5 ui-monospace,Menlo,Consolas,monospace;white-space:pre-wrap;word-break:break-word}',
+  'table{border-collapse:collapse;font:13px/1.4 system-ui,sans-serif}',
+  'th,td{border:1px solid #d0d7de;padding:4px 8px;text-align:left;vertical-align:top;white-space:pre-wrap}',
+  'th{background:#f6f8fa;position:sticky;top:0}',
+  '.truncated{padding:8px 16px;background:#fff8c5;font:13px system-ui,sans-serif}'
+].join('');
+
+const renderHtmlPage = (file, content, truncated) => `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(file.filename || 'Preview')}</title><style>${PREVIEW_STYLE}</style></head>
+<body>${truncated ? '<div class="truncated">Only the beginning of this file is shown.</div>' : ''}${content}</body></html>`;
+
+const renderText = async (file) => {
+  const { text, truncated } = await readFileStart(file, TEXT_PREVIEW_BYTES);
+  const body = renderHtmlPage(file, `<pre>${escapeHtml(text)}</pre>`, truncated);
+  return { contentType: 'text/html; charset=utf-8', body: Buffer.from(body), truncated };
+};
+
+// RFC 4180 rows: quoted fields may contain the delimiter, doubled quotes and line breaks
+const parseDelimited = (text, delimiter, maxRows) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if ((field !== '' || row.length > 0) && rows.length < maxRows) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const renderCsv = async (file) => {
+  const start = await readFileStart(file, TEXT_PREVIEW_BYTES);
+  // A cut-off file ends in a partial row
+  const text = start.truncated ? start.text.slice(0, Math.max(0, start.text.lastIndexOf('\n'))) : start.text;
+  const delimiter = file.file_type === 'text/tab-separated-values' ? '\t' : ',';
+  const rows = parseDelimited(text, delimiter, CSV_PREVIEW_ROWS + 1);
+  const truncated = start.truncated || rows.length > CSV_PREVIEW_ROWS;
+
+  const [header = [], ...records] = rows.slice(0, CSV_PREVIEW_ROWS);
+  const cells = (values, tag) => values.map(value => `<${tag}>${escapeHtml(value)}</${tag}>`).join('');
+  const table = `<table><thead><tr>${cells(header, 'th')}</tr></thead><tbody>${records.map(record => `<tr>${cells(record, 'td')}</tr>`).join('')}</tbody></table>`;
+
+  return { contentType: 'text/html; charset=utf-8', body: Buffer.from(renderHtmlPage(file, table, truncated)), truncated };
+};
+
+// Render a preview of a stored file. Resolves with { contentType, body, pages?, truncated? }, or with
+// { error: { status, body } } when there is no preview (unsupported type, too big, page out of range).
+export const renderPreview = async (file, { page = 1 } = {}) => {
+  const renderer = getPreviewRenderer(file);
+  if (!renderer) {
+    return previewError(415, { error: 'No preview is available for this file type' });
+  }
+
+  if ((renderer === 'image' || renderer === 'pdf') && file.file_size > PREVIEW_MAX_BYTES) {
+    return previewError(413, { error: 'This file is too large to preview' });
+  }
+
+  try {
+    switch (renderer) {
+      case 'image':
+        return await renderImage(file);
+      case 'pdf':
+        return await renderPdfPage(file, page);
+      case 'video':
+        return await renderVideoPoster(file);
+      case 'csv':
+        return await renderCsv(file);
+      default:
+        return await renderText(file);
+    }
+  } catch (error) {
+    logger.warn(`⚠️ Could not render a ${renderer} preview of file ${file.id} (${file.file_type}): ${error.message}`);
+    return previewError(422, { error: 'This file could not be previewed' });
+  }
+};
+
+// Previews are served inline and can't run scripts or load anything
+export const sendPreview = (res, preview) => {
+  res.set({
+    'Cache-Control': 'private, no-cache',
+    'Content-Disposition': 'inline',
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'",
+    'Access-Control-Expose-Headers': 'X-Preview-Pages, X-Preview-Truncated'
+  });
+  if (preview.pages) res.set('X-Preview-Pages', String(preview.pages));
+  if (preview.truncated) res.set('X-Preview-Truncated', 'true');
+
+  res.type(preview.contentType);
+  // res.send adds an ETag and answers conditional requests with 304
+  res.send(preview.body);
+};
+
+export default {
+  PREVIEW_MAX_BYTES,
+  getPreviewRenderer,
+  renderPreview,
+  sendPreview
+};
@@ -0,0 +1,155 @@
+import contentDisposition from 'content-disposition';
+import { storage, getFileStoragePath } from '../storage/index.js';
+
+// Storage backends return ETags with or without quotes
+const normalizeETag = (etag) => {
+  if (!etag) return null;
+  return etag.startsWith('"') || etag.startsWith('W/') ? etag : `"${etag}"`;
+};
+
+// If-Range: only honour the Range header when the client's copy is still the current one.
+// Weak ETags can't be used for ranges.
+const isRangeFresh = (req, etag, lastModified) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.includes('"')) {
+    return !!etag && !etag.startsWith('W/') && ifRange === etag;
+  }
+
+  const since = Date.parse(ifRange);
+  return !!lastModified && !Number.isNaN(since) && lastModified.getTime() <= since;
+};
+
+const setFileHeaders = (res, file, disposition) => {
+  res.set({
+    'Cache-Control': 'private, no-cache',
+    'Content-Disposition': contentDisposition(file.filename || 'download', { type: disposition }),
+    'X-Content-Type-Options': 'nosniff',
+    // Shared HTML or SVG opened inline must not run scripts on the API's origin
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; img-src 'self' data:; media-src 'self'"
+  });
+};
+
+// Stream a stored file through the backend with support for Range, If-Range and conditional GETs.
+// disposition is "inline" for viewing in the browser or "attachment" for downloading.
+// Resolves with { completed, bytesSent, reachedEnd }. completed is true once the whole file has been sent
+// in one response - partial responses don't count, since video players often fetch the end of a file first.
+// reachedEnd is true when a (partial) response was sent up to the end of the file, e.g. a resumed download.
+const NOTHING_SENT = { completed: false, bytesSent: 0, reachedEnd: false };
+
+export const sendStoredFile = async (req, res, file, { disposition = 'attachment' } = {}) => {
+  const filePath = getFileStoragePath(file);
+
+  const { data: info, error: statError } = await storage.stat(filePath);
+  if (statError || !info) {
+    res.status(404).json({ error: 'File not found' });
+    return NOTHING_SENT;
+  }
+
+  const size = info.size ?? file.file_size;
+  const etag = normalizeETag(info.etag);
+  // HTTP dates have second precision
+  const lastModified = info.lastModified ? new Date(Math.floor(new Date(info.lastModified).getTime() / 1000) * 1000) : null;
+
+  setFileHeaders(res, file, disposition);
+  res.set('Accept-Ranges', 'bytes');
+  res.type(file.file_type || info.contentType || 'application/octet-stream');
+  if (etag) res.set('ETag', etag);
+  if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+
+  // If-None-Match / If-Modified-Since
+  if (req.fresh) {
+    res.status(304).end();
+    return NOTHING_SENT;
+  }
+
+  let start = 0;
+  let end = size - 1;
+  let status = 200;
+
+  if (req.headers.range && isRangeFresh(req, etag, lastModified)) {
+    const ranges = req.range(size, { combine: true });
+
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${size}`);
+      res.status(416).end();
+      return NOTHING_SENT;
+    }
+
+    // Multipart responses for several ranges aren't supported - those get the whole file
+    if (ranges !== -2 && ranges.type === 'bytes' && ranges.length === 1) {
+      start = ranges[0].start;
+      end = ranges[0].end;
+      status = 206;
+    }
+  }
+
+  const contentLength = String(Math.max(0, end - start + 1));
+
+  if (req.method === 'HEAD' || size === 0) {
+    if (status === 206) res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+    res.status(status).set('Content-Length', contentLength).end();
+    const sent = req.method !== 'HEAD';
+    return { completed: sent, bytesSent: 0, reachedEnd: sent };
+  }
+
+  const { data: stream, error: readError } = await storage.createReadStream(
+    filePath,
+    status === 206 ? { start, end } : {}
+  );
+
+  if (readError) {
+    throw new Error(`Failed to read file from storage: ${readError.message}`);
+  }
+
+  if (status === 206) {
+    res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+  res.status(status).set('Content-Length', contentLength);
+
+  let bytesSent = 0;
+  stream.on('data', (chunk) => { bytesSent += chunk.length; });
+
+  return new Promise((resolve) => {
+    res.on('finish', () => resolve({
+      completed: start === 0 && end === size - 1,
+      bytesSent,
+      reachedEnd: end === size - 1
+    }));
+    // Stop reading from storage when the client goes away (e.g. a video player seeking)
+    res.on('close', () => {
+      stream.destroy();
+      resolve({ completed: false, bytesSent, reachedEnd: false });
+    });
+    stream.on('error', (error) => {
+      console.error(`Error streaming file ${file.id}:`, error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  });
+};
+
+// Send a file rendered in memory (e.g. watermarked) in place of the stored one. Ranges aren't supported -
+// the rendered bytes differ per recipient. Resolves like sendStoredFile, with bytesSent counted against
+// the stored file so a finished response delivers the whole file.
+export const sendRenderedFile = (req, res, file, buffer, { disposition = 'attachment' } = {}) => {
+  setFileHeaders(res, file, disposition);
+  res.set('Accept-Ranges', 'none');
+  res.type(file.file_type || 'application/octet-stream');
+
+  return new Promise((resolve) => {
+    res.on('finish', () => {
+      const sent = req.method !== 'HEAD' && res.statusCode === 200;
+      resolve({ completed: sent, bytesSent: sent ? file.file_size || buffer.length : 0, reachedEnd: sent });
+    });
+    res.on('close', () => resolve({ completed: false, bytesSent: 0, reachedEnd: false }));
+    // res.send adds an ETag and answers conditional requests with 304
+    res.send(buffer);
+  });
+};
+
+export default {
+  sendStoredFile,
+  sendRenderedFile
+};
@@ -0,0 +1,202 @@
+import { supabaseAdmin } from '../../config/supabase.js';
+import { getWorkspaceStorageUsed } from './workspaces.js';
+
+// Upload limits per subscription tier
+export const FREE_LIFETIME_LIMIT = 1024 * 1024 * 1024; // 1GB lifetime for free users
+export const PRO_MONTHLY_LIMIT = 100 * 1024 * 1024 * 1024; // 100GB per month for Pro users
+export const MAX_FILE_SIZE = 10 * 1024 * 1024 * 1024; // 10GB per file for all users
+export const ANONYMOUS_MAX_FILE_SIZE = 1024 * 1024 * 1024; // 1GB per anonymous upload
+
+// Uploads into a team workspace count against the workspace's pooled storage instead of the
+// uploader's plan. Workspaces are a Pro feature, so Pro file types are allowed.
+const getWorkspaceQuota = async (workspace) => {
+  const used = await getWorkspaceStorageUsed(workspace.id);
+  const limit = Number(workspace.storage_quota_bytes);
+
+  return {
+    workspaceId: workspace.id,
+    tier: 'pro',
+    limit,
+    used,
+    remaining: Math.max(0, limit - used)
+  };
+};
+
+// Load the user's upload counters, creating a default profile if the user row is missing.
+// Pro users whose monthly window has passed get their monthly usage reset here.
+// Pass the request's workspace to get the workspace quota instead.
+export const getUploadQuota = async (user, workspace = null) => {
+  if (workspace) {
+    return getWorkspaceQuota(workspace);
+  }
+
+  let userData;
+  const { data: existingUser, error: userError } = await supabaseAdmin
+    .from('users')
+    .select('daily_upload_used, daily_upload_reset_at, subscription_tier, lifetime_upload_used, monthly_upload_used, monthly_upload_reset_date')
+    .eq('id', user.id)
+    .single();
+
+  // If user doesn't exist in users table, create them with default values
+  if (userError && userError.code === 'PGRST116') {
+    console.log('User not found in users table, creating default profile...');
+    console.log('User ID:', user.id);
+    console.log('User email:', user.email);
+
+    const now = new Date();
+    const { data: newUser, error: createError } = await supabaseAdmin
+      .from('users')
+      .insert({
+        id: user.id,
+        email: user.email,
+        subscription_tier: 'free',
+        daily_upload_used: 0,
+        daily_upload_reset_at: now.toISOString(),
+        lifetime_upload_used: 0,
+        trial_used: false,
+        trial_end_date: null,
+        created_at: now.toISOString(),
+        updated_at: now.toISOString()
+      })
+      .select()
+      .single();
+
+    if (createError) {
+      console.error('Failed to create user profile:', createError);
+      console.error('Create error details:', JSON.stringify(createError, null, 2));
+      createError.isProfileCreationError = true;
+      throw createError;
+    }
+
+    console.log('User profile created successfully:', newUser);
+    userData = newUser;
+  } else if (userError) {
+    console.error('Error fetching user:', userError);
+    throw userError;
+  } else {
+    userData = existingUser;
+  }
+
+  const now = new Date();
+  const quota = {
+    userId: user.id,
+    tier: userData.subscription_tier,
+    monthlyUsed: userData.monthly_upload_used || 0,
+    lifetimeUsed: userData.lifetime_upload_used || 0,
+    resetDate: userData.monthly_upload_reset_date
+  };
+
+  if (quota.tier === 'pro') {
+    const resetDate = userData.monthly_upload_reset_date ? new Date(userData.monthly_upload_reset_date) : null;
+
+    // If reset date has passed or doesn't exist, reset monthly usage
+    if (!resetDate || resetDate <= now) {
+      quota.monthlyUsed = 0;
+      const nextResetDate = new Date(now);
+      nextResetDate.setMonth(nextResetDate.getMonth() + 1);
+
+      await supabaseAdmin
+        .from('users')
+        .update({
+          monthly_upload_used: 0,
+          monthly_upload_reset_date: nextResetDate.toISOString()
+        })
+        .eq('id', user.id);
+    }
+
+    quota.limit = PRO_MONTHLY_LIMIT;
+    quota.used = quota.monthlyUsed;
+  } else {
+    quota.limit = FREE_LIFETIME_LIMIT;
+    quota.used = quota.lifetimeUsed;
+  }
+
+  quota.remaining = Math.max(0, quota.limit - quota.used);
+  return quota;
+};
+
+// Check a file size against the user's quota and the per-file limit.
+// Returns null when the upload is allowed, otherwise { status, body } for the error response.
+export const checkUploadQuota = (quota, fileSize) => {
+  if (quota.used + fileSize > quota.limit) {
+    if (quota.workspaceId) {
+      return {
+        status: 403,
+        body: {
+          error: 'Workspace storage quota exceeded',
+          limit: quota.limit,
+          used: quota.used,
+          fileSize
+        }
+      };
+    }
+
+    if (quota.tier === 'pro') {
+      return {
+        status: 403,
+        body: {
+          error: 'Monthly upload limit exceeded',
+          limit: quota.limit,
+          used: quota.used,
+          fileSize,
+          resetDate: quota.resetDate
+        }
+      };
+    }
+
+    return {
+      status: 403,
+      body: {
+        error: 'Lifetime upload limit exceeded',
+        limit: quota.limit,
+        used: quota.used,
+        fileSize
+      }
+    };
+  }
+
+  if (fileSize > MAX_FILE_SIZE) {
+    return {
+      status: 403,
+      body: {
+        error: 'File size exceeds 10GB limit',
+        maxSize: MAX_FILE_SIZE,
+        fileSize
+      }
+    };
+  }
+
+  return null;
+};
+
+// Add an upload to the counter that applies to the user's tier.
+// Workspace usage is the size of the files stored in it, so there's nothing to record.
+export const recordUploadUsage = async (quota, fileSize) => {
+  if (quota.workspaceId) return;
+
+  if (quota.tier === 'pro') {
+    await supabaseAdmin
+      .from('users')
+      .update({
+        monthly_upload_used: quota.monthlyUsed + fileSize
+      })
+      .eq('id', quota.userId);
+  } else {
+    await supabaseAdmin
+      .from('users')
+      .update({
+        lifetime_upload_used: quota.lifetimeUsed + fileSize
+      })
+      .eq('id', quota.userId);
+  }
+};
+
+export default {
+  getUploadQuota,
+  checkUploadQuota,
+  recordUploadUsage,
+  FREE_LIFETIME_LIMIT,
+  PRO_MONTHLY_LIMIT,
+  MAX_FILE_SIZE,
+  ANONYMOUS_MAX_FILE_SIZE
+};
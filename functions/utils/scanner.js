@@ -0,0 +1,215 @@
+import net from 'net';
+import { once } from 'events';
+import { supabaseAdmin } from '../../config/supabase.js';
+import { storage, getFileStoragePath } from '../storage/index.js';
+import { sendMalwareDetectedEmail } from './email.js';
+import { queueThumbnail } from './thumbnails.js';
+import logger from './logger.js';
+
+// Malware scanner is picked with MALWARE_SCANNER:
+//   clamav - stream files to a ClamAV daemon (clamd) using its INSTREAM protocol
+//   stub   - only detects the EICAR test file, for development and tests
+//   none   - no scanning, files are marked clean right away (default)
+export const MALWARE_SCANNER = (process.env.MALWARE_SCANNER || 'none').toLowerCase();
+
+// Infected files are moved under this prefix so they can't be served or overwritten
+export const QUARANTINE_PREFIX = 'quarantine';
+
+// Give up retrying a file after this many failed scans - it is then marked scan_failed for good
+export const MAX_SCAN_ATTEMPTS = 5;
+
+const CLAMAV_TIMEOUT = parseInt(process.env.CLAMAV_TIMEOUT_MS) || 5 * 60 * 1000;
+
+const EICAR_SIGNATURE = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+
+// Send a stream to clamd. Each chunk is prefixed with its length and a zero-length chunk ends the stream.
+// Note: clamd rejects streams larger than its StreamMaxLength setting, so raise it to the max upload size.
+const scanWithClamAV = (stream) => new Promise((resolve, reject) => {
+  const socket = process.env.CLAMAV_SOCKET
+    ? net.createConnection(process.env.CLAMAV_SOCKET)
+    : net.createConnection(parseInt(process.env.CLAMAV_PORT) || 3310, process.env.CLAMAV_HOST || '127.0.0.1');
+  let reply = '';
+
+  socket.setTimeout(CLAMAV_TIMEOUT);
+  socket.on('timeout', () => socket.destroy(new Error('ClamAV scan timed out')));
+  socket.on('error', (error) => {
+    stream.destroy();
+    reject(error);
+  });
+  socket.on('data', (data) => {
+    reply += data.toString();
+  });
+  socket.on('end', () => {
+    reply = reply.replace(/\0/g, '').trim();
+
+    if (reply.endsWith('OK')) {
+      return resolve({ infected: false });
+    }
+
+    const found = reply.match(/^stream: (.+) FOUND$/);
+    if (found) {
+      return resolve({ infected: true, signature: found[1] });
+    }
+
+    reject(new Error(`Unexpected ClamAV reply: ${reply}`));
+  });
+
+  socket.once('connect', async () => {
+    try {
+      socket.write('zINSTREAM\0');
+      for await (const chunk of stream) {
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        if (!socket.write(Buffer.concat([size, chunk]))) {
+          await once(socket, 'drain');
+        }
+      }
+      socket.end(Buffer.alloc(4));
+    } catch (error) {
+      socket.destroy(error);
+    }
+  });
+});
+
+// Look for the EICAR test string, keeping a tail so it is found across chunk boundaries
+const scanWithStub = async (stream) => {
+  let tail = '';
+  for await (const chunk of stream) {
+    const text = tail + chunk.toString('latin1');
+    if (text.includes(EICAR_SIGNATURE)) {
+      stream.destroy();
+      return { infected: true, signature: 'Eicar-Test-Signature' };
+    }
+    tail = text.slice(-EICAR_SIGNATURE.length);
+  }
+  return { infected: false };
+};
+
+// Scan a readable stream. Resolves with { infected, signature }.
+export const scanStream = async (stream) => {
+  switch (MALWARE_SCANNER) {
+    case 'clamav':
+      return scanWithClamAV(stream);
+    case 'stub':
+      return scanWithStub(stream);
+    case 'none':
+      stream.resume();
+      return { infected: false };
+    default:
+      throw new Error(`Unknown MALWARE_SCANNER: ${MALWARE_SCANNER}`);
+  }
+};
+
+// Move an infected file out of the way, mark it and tell the owner
+const quarantineFile = async (file, filePath, signature) => {
+  const quarantinePath = `${QUARANTINE_PREFIX}/${filePath}`;
+
+  const { error: moveError } = await storage.move(filePath, quarantinePath);
+  if (moveError) {
+    // Still mark the file as infected so it is never served
+    logger.error(`Failed to move infected file ${file.id} to quarantine:`, moveError);
+  }
+
+  const { error: updateError } = await supabaseAdmin
+    .from('uploaded_files')
+    .update({
+      scan_status: 'infected',
+      scan_signature: signature,
+      scanned_at: new Date().toISOString(),
+      storage_path: moveError ? filePath : quarantinePath
+    })
+    .eq('id', file.id);
+
+  if (updateError) throw updateError;
+
+  logger.warn(`🦠 Infected file quarantined: ${file.id} (${signature})`);
+
+  if (file.user_id) {
+    const { data: owner } = await supabaseAdmin
+      .from('users')
+      .select('email')
+      .eq('id', file.user_id)
+      .single();
+
+    if (owner?.email) {
+      await sendMalwareDetectedEmail(owner.email, {
+        filename: file.filename,
+        signature
+      });
+    }
+  }
+};
+
+// Scan an uploaded file in storage and record the result. A failed scan leaves the file pending_scan
+// for the retry job until MAX_SCAN_ATTEMPTS is reached.
+// Returns the new scan_status: clean, infected, pending_scan or scan_failed.
+export const scanUploadedFile = async (file) => {
+  const filePath = getFileStoragePath(file);
+
+  try {
+    let result = { infected: false };
+
+    if (MALWARE_SCANNER !== 'none') {
+      const { data: stream, error: readError } = await storage.createReadStream(filePath);
+      if (readError) throw new Error(`Failed to read file from storage: ${readError.message}`);
+      result = await scanStream(stream);
+    }
+
+    if (result.infected) {
+      await quarantineFile(file, filePath, result.signature);
+      return 'infected';
+    }
+
+    const { error: updateError } = await supabaseAdmin
+      .from('uploaded_files')
+      .update({
+        scan_status: 'clean',
+        scan_signature: null,
+        scanned_at: new Date().toISOString()
+      })
+      .eq('id', file.id);
+
+    if (updateError) throw updateError;
+
+    // Only files that passed the scan are opened to make a thumbnail
+    queueThumbnail(file);
+    return 'clean';
+  } catch (error) {
+    logger.error(`Malware scan failed for file ${file.id}:`, error);
+
+    const scanAttempts = (file.scan_attempts || 0) + 1;
+    const scanStatus = scanAttempts >= MAX_SCAN_ATTEMPTS ? 'scan_failed' : 'pending_scan';
+
+    await supabaseAdmin
+      .from('uploaded_files')
+      .update({
+        scan_status: scanStatus,
+        scan_attempts: scanAttempts,
+        scanned_at: new Date().toISOString()
+      })
+      .eq('id', file.id);
+
+    if (scanStatus === 'scan_failed') {
+      logger.warn(`⚠️ Giving up on the malware scan of file ${file.id} after ${scanAttempts} attempts`);
+    }
+    return scanStatus;
+  }
+};
+
+// Start scanning a new upload in the background - the request doesn't wait for the result
+export const queueFileScan = (file) => {
+  setImmediate(() => {
+    scanUploadedFile(file).catch(error => {
+      logger.error(`Malware scan crashed for file ${file.id}:`, error);
+    });
+  });
+};
+
+export default {
+  scanStream,
+  scanUploadedFile,
+  queueFileScan,
+  MALWARE_SCANNER,
+  QUARANTINE_PREFIX,
+  MAX_SCAN_ATTEMPTS
+};
@@ -0,0 +1,335 @@
+import bcrypt from 'bcrypt';
+import { supabaseAdmin } from '../../config/supabase.js';
+import { verifyOTP, isOTPVerified, deleteOTP } from './otp.js';
+import { verifyShareAccessToken } from './shareAccessToken.js';
+import { verifyTOTPCode } from './totp.js';
+import logger from './logger.js';
+
+// Record an access attempt for a share link, with the email the recipient claimed if there was one
+export const logShareAccess = async (linkId, ipAddress, success, attemptedEmail = null) => {
+  await supabaseAdmin
+    .from('access_logs')
+    .insert({
+      share_link_id: linkId,
+      ip_address: ipAddress || 'unknown',
+      success,
+      ...(attemptedEmail && { attempted_email: attemptedEmail })
+    });
+};
+
+// Owners can restrict a link to a list of recipients: exact emails or whole domains ("*@acme.com").
+// The recipient's email is then proven with an email OTP.
+export const hasRecipientAllowList = (linkData) => !!linkData.allowed_recipients?.length;
+
+export const requiresEmailOTP = (linkData) => !!linkData.require_otp || hasRecipientAllowList(linkData);
+
+export const isRecipientAllowed = (linkData, email) => {
+  if (!hasRecipientAllowList(linkData)) return true;
+
+  const normalized = String(email || '').trim().toLowerCase();
+  const domain = normalized.slice(normalized.lastIndexOf('@') + 1);
+
+  return linkData.allowed_recipients.some(entry =>
+    entry === normalized || (entry.startsWith('*@') && entry.slice(2) === domain)
+  );
+};
+
+// Links are moved to share_link_history once they expire or their last open is used
+export const findArchivedShareLink = async (token) => {
+  const { data } = await supabaseAdmin
+    .from('share_link_history')
+    .select('*')
+    .eq('share_token', token)
+    .order('archived_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return data;
+};
+
+// Scheduled links can be sent ahead of an embargo but only open from available_from.
+// Returns null once the link is available, otherwise { status, body } with a countdown.
+export const getAvailabilityError = (linkData) => {
+  if (!linkData.available_from) return null;
+
+  const availableFrom = new Date(linkData.available_from);
+  const secondsUntilAvailable = Math.ceil((availableFrom.getTime() - Date.now()) / 1000);
+  if (secondsUntilAvailable <= 0) return null;
+
+  return {
+    status: 403,
+    body: {
+      error: 'This share link is not available yet',
+      code: 'not_yet_available',
+      available_from: availableFrom.toISOString(),
+      seconds_until_available: secondsUntilAvailable
+    }
+  };
+};
+
+// Error response for a token that has no active share link
+export const getMissingLinkError = async (token) => {
+  const archived = await findArchivedShareLink(token);
+
+  if (archived?.status === 'max_opens_reached') {
+    return { status: 410, body: { error: 'Maximum opens reached' } };
+  }
+  if (archived?.status === 'never_activated') {
+    return { status: 410, body: { error: 'Share link expired before it became available' } };
+  }
+  if (archived?.status === 'expired') {
+    return { status: 410, body: { error: 'Share link expired' } };
+  }
+  return { status: 404, body: { error: 'Share link not found' } };
+};
+
+// Check an authenticator code for a link protected with TOTP - either the link's own secret
+// or the owner's account secret (totp_mode 'account')
+export const verifyShareTOTP = async (linkData, code) => {
+  if (linkData.totp_mode === 'link') {
+    return verifyTOTPCode(linkData.totp_secret, code);
+  }
+
+  const { data: owner } = await supabaseAdmin
+    .from('users')
+    .select('totp_secret, totp_enabled_at')
+    .eq('id', linkData.user_id)
+    .single();
+
+  if (!owner?.totp_enabled_at) {
+    return false;
+  }
+  return verifyTOTPCode(owner.totp_secret, code);
+};
+
+// Files behind a share link - the linked file, or every file of the linked bundle
+export const getShareFiles = async (linkData) => {
+  if (!linkData.bundle_id) {
+    return linkData.uploaded_files ? [linkData.uploaded_files] : [];
+  }
+
+  const { data: files, error } = await supabaseAdmin
+    .from('uploaded_files')
+    .select('*')
+    .eq('bundle_id', linkData.bundle_id)
+    .order('filename', { ascending: true });
+
+  if (error) throw error;
+  return files;
+};
+
+// Only files that passed the malware scan are handed out.
+// Returns null when at least one file can be served, otherwise { status, body } for the error response.
+const checkScanStatus = (linkData, files) => {
+  if (linkData.bundle_id) {
+    if (files.length === 0) {
+      return { status: 410, body: { error: 'This bundle no longer contains any files' } };
+    }
+
+    // The bundle opens as long as one file can be downloaded - the others are listed without a URL
+    if (!files.some(file => file.scan_status === 'clean')) {
+      if (files.every(file => file.scan_status === 'infected')) {
+        return { status: 403, body: { error: 'The files in this bundle were flagged as malware and are no longer available' } };
+      }
+      if (!files.some(file => file.scan_status === 'pending_scan')) {
+        return {
+          status: 403,
+          body: { error: 'The files in this bundle could not be scanned for malware and are not available', scan_status: 'scan_failed' }
+        };
+      }
+      return {
+        status: 409,
+        body: {
+          error: 'The files in this bundle are still being scanned for malware. Please try again shortly.',
+          scan_status: 'pending_scan'
+        }
+      };
+    }
+    return null;
+  }
+
+  const scanStatus = files[0].scan_status;
+  if (scanStatus === 'infected') {
+    return { status: 403, body: { error: 'This file was flagged as malware and is no longer available' } };
+  }
+  if (scanStatus === 'scan_failed') {
+    return { status: 403, body: { error: 'This file could not be scanned for malware and is not available', scan_status: scanStatus } };
+  }
+  if (scanStatus !== 'clean') {
+    return {
+      status: 409,
+      body: {
+        error: 'This file is still being scanned for malware. Please try again shortly.',
+        scan_status: scanStatus
+      }
+    };
+  }
+  return null;
+};
+
+// Run every check a recipient has to pass before a share link is opened: expiry, schedule, max opens,
+// malware scan, password, recipient allow-list, OTP and authenticator code. Set requireDownload for endpoints that hand out file contents
+// on links that may be view-only. Steps already recorded in accessToken don't have to be repeated.
+// Returns { linkData, files, session } when access is allowed, otherwise { error: { status, body } }.
+export const checkShareAccess = async (token, { ip_address, password, otp, email, totp_code } = {}, { requireDownload = false, accessToken = null } = {}) => {
+  const { data: linkData, error: linkError } = await supabaseAdmin
+    .from('share_links')
+    .select(`
+      *,
+      uploaded_files (*),
+      file_bundles (*)
+    `)
+    .eq('share_token', token)
+    .single();
+
+  if (linkError || !linkData) {
+    return { error: await getMissingLinkError(token) };
+  }
+
+  // Check if expired (only if expires_at is set)
+  if (linkData.expires_at && new Date(linkData.expires_at) < new Date()) {
+    await logShareAccess(linkData.id, ip_address, false);
+    return { error: { status: 410, body: { error: 'Share link expired' } } };
+  }
+
+  const availabilityError = getAvailabilityError(linkData);
+  if (availabilityError) {
+    return { error: availabilityError };
+  }
+
+  // Check if max opens reached (allow the last access). This only fails early -
+  // recordShareOpen() is what enforces the limit.
+  logger.debug(`🔢 Open count check - current: ${linkData.current_opens}, max: ${linkData.max_opens}`);
+  if (linkData.max_opens && linkData.current_opens >= linkData.max_opens) {
+    logger.debug(`❌ Maximum opens reached - current: ${linkData.current_opens}, max: ${linkData.max_opens}`);
+    await logShareAccess(linkData.id, ip_address, false);
+    return { error: { status: 410, body: { error: 'Maximum opens reached' } } };
+  }
+
+  // Checked before the OTP so a view-only link doesn't use up the code
+  if (requireDownload && linkData.download_allowed === false) {
+    return { error: { status: 403, body: { error: 'Downloads are disabled for this share link' } } };
+  }
+
+  const files = await getShareFiles(linkData);
+  const scanViolation = checkScanStatus(linkData, files);
+  if (scanViolation) {
+    return { error: scanViolation };
+  }
+
+  const session = verifyShareAccessToken(accessToken, linkData);
+  if (accessToken && !session.valid && !password && !otp && !totp_code) {
+    return { error: { status: 401, body: { error: 'Access token is invalid or has expired' } } };
+  }
+
+  // Verify password if required
+  if (linkData.password_hash && !session.factors.includes('password')) {
+    if (!password) {
+      return { error: { status: 401, body: { error: 'Password required' } } };
+    }
+
+    const isValid = await bcrypt.compare(password, linkData.password_hash);
+    if (!isValid) {
+      await logShareAccess(linkData.id, ip_address, false);
+      return { error: { status: 401, body: { error: 'Invalid password' } } };
+    }
+  }
+
+  // Restricted links only open for listed recipients. Checked before the OTP so a code
+  // sent before the owner changed the list doesn't get used up.
+  if (hasRecipientAllowList(linkData)) {
+    const recipientEmail = session.factors.includes('otp') ? session.email : email;
+
+    if (recipientEmail && !isRecipientAllowed(linkData, recipientEmail)) {
+      await logShareAccess(linkData.id, ip_address, false, recipientEmail);
+      return { error: { status: 403, body: { error: 'This email address is not allowed to open this share link' } } };
+    }
+  }
+
+  // Verify OTP if required
+  if (requiresEmailOTP(linkData) && !session.factors.includes('otp')) {
+    if (!otp || !email) {
+      return { error: { status: 401, body: { error: 'OTP and email required' } } };
+    }
+
+    const identifier = `${token}:${email}`;
+
+    // Check if OTP was already verified (from the verify-otp endpoint)
+    const verificationStatus = await isOTPVerified(identifier);
+
+    if (verificationStatus.verified) {
+      // OTP was already verified, allow access and delete the OTP
+      console.log('✅ OTP already verified, allowing access and cleaning up');
+      await deleteOTP(identifier);
+    } else {
+      // OTP not verified yet, try to verify it now
+      const verification = await verifyOTP(identifier, otp);
+
+      if (!verification.valid) {
+        await logShareAccess(linkData.id, ip_address, false, email);
+        return {
+          error: {
+            status: 401,
+            body: {
+              error: verification.error,
+              attemptsLeft: verification.attemptsLeft
+            }
+          }
+        };
+      }
+
+      // Delete OTP after successful verification
+      await deleteOTP(identifier);
+    }
+  }
+
+  // Verify authenticator code if required
+  if (linkData.totp_mode && !session.factors.includes('totp')) {
+    if (!totp_code) {
+      return { error: { status: 401, body: { error: 'Authenticator code required' } } };
+    }
+
+    if (!(await verifyShareTOTP(linkData, totp_code))) {
+      await logShareAccess(linkData.id, ip_address, false);
+      return { error: { status: 401, body: { error: 'Invalid authenticator code' } } };
+    }
+  }
+
+  return { linkData, files, session };
+};
+
+// Use one open of the link and log the access. The check against max_opens and the increment are
+// done atomically by consume_share_open(), which also archives the link when its last open is used.
+// The recipient's email is logged when they proved it with an OTP.
+// Returns { consumed, current_opens, exhausted, access_log_id } - consumed is false when no open was left.
+export const recordShareOpen = async (linkData, ipAddress, recipientEmail = null) => {
+  const { data, error } = await supabaseAdmin
+    .rpc('consume_share_open', {
+      p_share_link_id: linkData.id,
+      p_ip_address: ipAddress || 'unknown',
+      p_recipient_email: recipientEmail
+    })
+    .single();
+
+  if (error) throw error;
+
+  if (!data.consumed) {
+    logger.debug(`❌ No opens left for share link ${linkData.id}`);
+  } else if (data.exhausted) {
+    logger.info(`🔥 Final open used - share link ${linkData.id} moved to history`);
+  } else {
+    logger.debug(`🔢 Open count for share link ${linkData.id} is now ${data.current_opens}`);
+  }
+
+  return data;
+};
+
+export default {
+  logShareAccess,
+  findArchivedShareLink,
+  getMissingLinkError,
+  getAvailabilityError,
+  getShareFiles,
+  checkShareAccess,
+  recordShareOpen
+};
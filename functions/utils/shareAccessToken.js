@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+
+// Recipients who pass a share link's password or OTP get a short-lived access token, so the
+// password never has to be sent again. The token is bound to one share link and lists the
+// verification steps passed so far ("factors"); each step adds to the token it is given.
+// Clients send it back in the X-Share-Access-Token header (or access_token in the body).
+export const SHARE_ACCESS_TOKEN_TTL = 30 * 60; // 30 minutes
+export const SHARE_ACCESS_TOKEN_HEADER = 'X-Share-Access-Token';
+
+let tokenSecret = process.env.SHARE_ACCESS_TOKEN_SECRET;
+if (!tokenSecret) {
+  logger.warn('⚠️  SHARE_ACCESS_TOKEN_SECRET not set - share access tokens will stop working after a restart');
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const sign = (payload) => crypto
+  .createHmac('sha256', tokenSecret)
+  .update(payload)
+  .digest('base64url');
+
+// Changing the link's password invalidates tokens issued for the old one
+const passwordFingerprint = (linkData) => linkData.password_hash
+  ? crypto.createHash('sha256').update(linkData.password_hash).digest('base64url').slice(0, 16)
+  : null;
+
+// Returns { valid, factors, email }. A missing token is simply not valid.
+export const verifyShareAccessToken = (accessToken, linkData) => {
+  const invalid = { valid: false, factors: [], email: null };
+  const [payload, signature] = String(accessToken || '').split('.');
+
+  if (!payload || !signature) {
+    return invalid;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return invalid;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return invalid;
+  }
+
+  if (claims.lid !== linkData.id || claims.exp < Math.floor(Date.now() / 1000)) {
+    return invalid;
+  }
+
+  const factors = (claims.fac || []).filter(factor =>
+    factor !== 'password' || claims.pwd === passwordFingerprint(linkData)
+  );
+
+  return { valid: true, factors, email: claims.em || null };
+};
+
+// Issue a token for the given factors, keeping the ones already proven by a still-valid previous token.
+// Returns { access_token, expires_in, factors }.
+export const createShareAccessToken = (linkData, { factors, email = null, previousToken = null }) => {
+  const previous = verifyShareAccessToken(previousToken, linkData);
+  const allFactors = [...new Set([...previous.factors, ...factors])];
+
+  const payload = Buffer.from(JSON.stringify({
+    lid: linkData.id,
+    fac: allFactors,
+    em: email || previous.email,
+    pwd: allFactors.includes('password') ? passwordFingerprint(linkData) : undefined,
+    exp: Math.floor(Date.now() / 1000) + SHARE_ACCESS_TOKEN_TTL
+  })).toString('base64url');
+
+  return {
+    access_token: `${payload}.${sign(payload)}`,
+    expires_in: SHARE_ACCESS_TOKEN_TTL,
+    factors: allFactors
+  };
+};
+
+// Access token sent with a request, if any
+export const getShareAccessToken = (req) => {
+  return req.get(SHARE_ACCESS_TOKEN_HEADER) || req.body?.access_token || null;
+};
+
+export default {
+  SHARE_ACCESS_TOKEN_TTL,
+  SHARE_ACCESS_TOKEN_HEADER,
+  verifyShareAccessToken,
+  createShareAccessToken,
+  getShareAccessToken
+};
@@ -0,0 +1,42 @@
+import { supabaseAdmin } from '../../config/supabase.js';
+import logger from './logger.js';
+
+// Every change an owner (or workspace admin) makes to a share link is recorded as an audit event:
+// { action, changes: { field: { from, to } } }. Passwords are recorded as "set" / "none", never the hash.
+export const recordShareLinkEvent = async (req, linkData, action, changes = {}) => {
+  const { error } = await supabaseAdmin
+    .from('share_link_audit_events')
+    .insert({
+      share_link_id: linkData.id,
+      workspace_id: linkData.workspace_id || null,
+      actor_id: req.user.id,
+      action,
+      changes,
+      ip_address: req.ip || null
+    });
+
+  // The change itself has already been saved, so don't fail the request over the audit trail
+  if (error) {
+    logger.error(`Failed to record "${action}" audit event for share link ${linkData.id}:`, error);
+    return;
+  }
+
+  logger.info(`📝 Share link ${linkData.id} ${action} by user ${req.user.id}`);
+};
+
+export const getShareLinkEvents = async (linkId) => {
+  const { data, error } = await supabaseAdmin
+    .from('share_link_audit_events')
+    .select('id, action, changes, actor_id, ip_address, created_at, users (email)')
+    .eq('share_link_id', linkId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  return data.map(({ users, ...event }) => ({ ...event, actor_email: users?.email || null }));
+};
+
+export default {
+  recordShareLinkEvent,
+  getShareLinkEvents
+};
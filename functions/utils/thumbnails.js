@@ -1,5 +1,26 @@
+import path from 'path';
 import sharp from 'sharp';
 import { supabaseAdmin } from '../../config/supabase.js';
+import { storage, getFileStoragePath, readStoredFile } from '../storage/index.js';
+import { sendStoredFile } from './proxyDownload.js';
+import logger from './logger.js';
+
+// Give up on a file's thumbnail after this many failed attempts
+export const MAX_THUMBNAIL_ATTEMPTS = 5;
+
+// Images are read into memory to be resized, so bigger ones get no thumbnail
+export const THUMBNAIL_MAX_BYTES = (parseInt(process.env.THUMBNAIL_MAX_MB) || 50) * 1024 * 1024;
+
+export const THUMBNAIL_TYPES = [
+  'image/jpeg',
+  'image/jpg',
+  'image/png',
+  'image/webp',
+  'image/gif',
+  'image/svg+xml',
+  'image/tiff',
+  'image/avif'
+];
 
 // Generate thumbnail for image files
 export const generateImageThumbnail = async (fileBuffer, options = {}) => {
@@ -12,7 +33,9 @@ export const generateImageThumbnail = async (fileBuffer, options = {}) => {
     } = options;
 
     const thumbnail = await sharp(fileBuffer)
+      .rotate() // Apply the EXIF orientation
       .resize(width, height, { fit })
+      .flatten({ background: '#ffffff' }) // JPEG has no transparency
       .jpeg({ quality })
       .toBuffer();
 
@@ -30,27 +53,27 @@ export const generateImageThumbnail = async (fileBuffer, options = {}) => {
   }
 };
 
+// Thumbnails are stored next to the file: <folder>/thumbnails/<file id>.jpg
+export const getThumbnailPath = (file) => `${path.posix.dirname(getFileStoragePath(file))}/thumbnails/${file.id}.jpg`;
+
 // Upload thumbnail to storage
-export const uploadThumbnail = async (userId, fileId, thumbnailBuffer) => {
+export const uploadThumbnail = async (file, thumbnailBuffer) => {
   try {
-    const thumbnailPath = `${userId}/thumbnails/${fileId}.jpg`;
+    const thumbnailPath = getThumbnailPath(file);
 
-    const { data, error } = await supabaseAdmin.storage
-      .from('user-files')
-      .upload(thumbnailPath, thumbnailBuffer, {
-        contentType: 'image/jpeg',
-        cacheControl: '31536000', // 1 year
-        upsert: true
-      });
+    const { error } = await storage.upload(thumbnailPath, thumbnailBuffer, {
+      contentType: 'image/jpeg',
+      cacheControl: '31536000', // 1 year
+      upsert: true
+    });
 
     if (error) throw error;
 
-    const { data: { publicUrl } } = supabaseAdmin.storage
-      .from('user-files')
-      .getPublicUrl(thumbnailPath);
+    const { data: { publicUrl } } = storage.getPublicUrl(thumbnailPath);
 
     return {
       success: true,
+      thumbnailPath,
       thumbnailUrl: publicUrl
     };
   } catch (error) {
@@ -63,21 +86,70 @@ export const uploadThumbnail = async (userId, fileId, thumbnailBuffer) => {
 };
 
 // Check if file type supports thumbnails
-export const supportsThumbnail = (mimeType) => {
-  const supportedTypes = [
-    'image/jpeg',
-    'image/jpg',
-    'image/png',
-    'image/webp',
-    'image/gif',
-    'image/svg+xml',
-    'image/bmp',
-    'image/tiff'
-  ];
-
-  return supportedTypes.includes(mimeType);
+export const supportsThumbnail = (mimeType) => THUMBNAIL_TYPES.includes(mimeType);
+
+// E2EE files can only be decrypted by the recipient, so there is nothing to resize
+export const canGenerateThumbnail = (file) => !file.is_encrypted &&
+  supportsThumbnail(file.file_type) &&
+  file.file_size <= THUMBNAIL_MAX_BYTES;
+
+// Generate and store the thumbnail of an uploaded file and record the result.
+// Returns the new thumbnail_status: ready or failed.
+export const createFileThumbnail = async (file) => {
+  try {
+    const result = await generateImageThumbnail(await readStoredFile(file));
+    if (!result.success) throw new Error(result.error);
+
+    const uploaded = await uploadThumbnail(file, result.thumbnail);
+    if (!uploaded.success) throw new Error(uploaded.error);
+
+    const { error: updateError } = await supabaseAdmin
+      .from('uploaded_files')
+      .update({
+        thumbnail_status: 'ready',
+        thumbnail_path: uploaded.thumbnailPath,
+        thumbnail_url: uploaded.thumbnailUrl
+      })
+      .eq('id', file.id);
+
+    if (updateError) throw updateError;
+
+    logger.info(`🖼️ Thumbnail created for file ${file.id}`);
+    return 'ready';
+  } catch (error) {
+    logger.error(`Thumbnail generation failed for file ${file.id}:`, error);
+
+    await supabaseAdmin
+      .from('uploaded_files')
+      .update({
+        thumbnail_status: 'failed',
+        thumbnail_attempts: (file.thumbnail_attempts || 0) + 1
+      })
+      .eq('id', file.id);
+
+    return 'failed';
+  }
 };
 
+// Start generating a thumbnail in the background - called once the file has passed the malware scan
+export const queueThumbnail = (file) => {
+  if (!canGenerateThumbnail(file)) return;
+
+  setImmediate(() => {
+    createFileThumbnail(file).catch(error => {
+      logger.error(`Thumbnail generation crashed for file ${file.id}:`, error);
+    });
+  });
+};
+
+// Serve a file's thumbnail through the backend - the storage bucket is private
+export const sendThumbnail = (req, res, file) => sendStoredFile(req, res, {
+  id: file.id,
+  filename: `${path.parse(file.filename || 'file').name}-thumbnail.jpg`,
+  file_type: 'image/jpeg',
+  storage_path: file.thumbnail_path
+}, { disposition: 'inline' });
+
 // Get file icon based on type
 export const getFileIcon = (mimeType) => {
   const type = mimeType.split('/')[0];
@@ -127,6 +199,8 @@ export const getFileCategory = (mimeType) => {
     'video': 'Video',
     'audio': 'Audio',
     'text': 'Document',
+    'text/csv': 'Spreadsheet',
+    'text/tab-separated-values': 'Spreadsheet',
     'application/pdf': 'Document',
     'application/msword': 'Document',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Document',
@@ -155,9 +229,17 @@ export const getFileCategory = (mimeType) => {
 };
 
 export default {
+  MAX_THUMBNAIL_ATTEMPTS,
+  THUMBNAIL_MAX_BYTES,
+  THUMBNAIL_TYPES,
   generateImageThumbnail,
+  getThumbnailPath,
   uploadThumbnail,
   supportsThumbnail,
+  canGenerateThumbnail,
+  createFileThumbnail,
+  queueThumbnail,
+  sendThumbnail,
   getFileIcon,
   getFileCategory
 };
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import { authenticator as defaultAuthenticator } from 'otplib';
+import QRCode from 'qrcode';
+import logger from './logger.js';
+
+// Authenticator-app (TOTP) codes, used for share links and account two-factor authentication.
+// Accept the previous and next 30 second step too, so slightly-off phone clocks still work.
+const authenticator = defaultAuthenticator.clone({ window: 1 });
+
+const TOTP_ISSUER = 'VanishDrop';
+
+// TOTP secrets have to be readable to check codes, so they are encrypted (AES-256-GCM) instead of hashed
+let encryptionKey = process.env.TOTP_ENCRYPTION_KEY;
+if (!encryptionKey) {
+  logger.warn('⚠️  TOTP_ENCRYPTION_KEY not set - TOTP secrets are encrypted with a key derived from SUPABASE_SERVICE_ROLE_KEY');
+  encryptionKey = process.env.SUPABASE_SERVICE_ROLE_KEY || '';
+}
+const key = crypto.createHash('sha256').update(encryptionKey).digest();
+
+// Stored format: <iv>.<auth tag>.<ciphertext>, base64url
+export const encryptTOTPSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+export const decryptTOTPSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// New secret plus everything an authenticator app needs to add it.
+// Returns { secret, encrypted_secret, otpauth_url, qr_code }.
+export const createTOTPEnrollment = async (accountName) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(accountName, TOTP_ISSUER, secret);
+
+  const qrCode = await QRCode.toDataURL(otpauthUrl, {
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 300
+  });
+
+  return {
+    secret,
+    encrypted_secret: encryptTOTPSecret(secret),
+    otpauth_url: otpauthUrl,
+    qr_code: qrCode
+  };
+};
+
+// Check a 6-digit code against an encrypted secret. Returns the 30 second time step the code
+// belongs to (so callers can refuse a code that was already used), or null if it doesn't match.
+export const matchTOTPStep = (encryptedSecret, code) => {
+  if (!encryptedSecret || !/^\d{6}$/.test(String(code || ''))) {
+    return null;
+  }
+
+  try {
+    const delta = authenticator.checkDelta(String(code), decryptTOTPSecret(encryptedSecret));
+    if (delta === null) return null;
+
+    return Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+  } catch (error) {
+    logger.error('Failed to check TOTP code:', error);
+    return null;
+  }
+};
+
+export const verifyTOTPCode = (encryptedSecret, code) => matchTOTPStep(encryptedSecret, code) !== null;
+
+// Share link and user rows without their TOTP secrets - these never leave the backend, even encrypted
+export const omitTOTPSecrets = ({ totp_secret, totp_pending_secret, ...row }) => row;
+
+export default {
+  encryptTOTPSecret,
+  decryptTOTPSecret,
+  createTOTPEnrollment,
+  matchTOTPStep,
+  verifyTOTPCode,
+  omitTOTPSecrets
+};
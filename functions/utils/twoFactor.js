@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../../config/supabase.js';
+import { matchTOTPStep } from './totp.js';
+
+// Account two-factor authentication: authenticator app codes, single-use recovery codes
+// and the "step-up" that sensitive routes require (see middleware/stepUp.js).
+export const RECOVERY_CODE_COUNT = 10;
+
+// How long a second factor counts as recent for step-up protected routes
+export const STEP_UP_MAX_AGE = (parseInt(process.env.STEP_UP_MAX_AGE_MINUTES) || 15) * 60 * 1000;
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(normalizeRecoveryCode(code))
+  .digest('hex');
+
+// Replace the account's recovery codes. Only hashes are stored - the codes are shown to the user once.
+export const replaceRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  const { error: deleteError } = await supabaseAdmin
+    .from('user_recovery_codes')
+    .delete()
+    .eq('user_id', userId);
+
+  if (deleteError) throw deleteError;
+
+  const { error: insertError } = await supabaseAdmin
+    .from('user_recovery_codes')
+    .insert(codes.map(code => ({ user_id: userId, code_hash: hashRecoveryCode(code) })));
+
+  if (insertError) throw insertError;
+
+  return codes;
+};
+
+export const deleteRecoveryCodes = async (userId) => {
+  const { error } = await supabaseAdmin
+    .from('user_recovery_codes')
+    .delete()
+    .eq('user_id', userId);
+
+  if (error) throw error;
+};
+
+// Use up a recovery code. The update only matches an unused code, so each one works exactly once.
+const useRecoveryCode = async (userId, code) => {
+  const { data, error } = await supabaseAdmin
+    .from('user_recovery_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('code_hash', hashRecoveryCode(code))
+    .is('used_at', null)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+};
+
+// Accept an authenticator code only once - a code seen over someone's shoulder can't be replayed
+const useTOTPCode = async (userData, code) => {
+  const step = matchTOTPStep(userData.totp_secret, code);
+  if (step === null) return false;
+
+  const { data, error } = await supabaseAdmin
+    .from('users')
+    .update({ totp_last_step: step })
+    .eq('id', userData.id)
+    .or(`totp_last_step.is.null,totp_last_step.lt.${step}`)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+};
+
+// Check the second factor a user sent: { code } from the authenticator app or { recovery_code }.
+// Returns { valid, method, recoveryCodesLeft }.
+export const verifySecondFactor = async (userId, { code, recovery_code }) => {
+  const { data: userData, error } = await supabaseAdmin
+    .from('users')
+    .select('id, totp_secret, totp_enabled_at, totp_last_step')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw error;
+
+  if (!userData.totp_enabled_at) {
+    return { valid: false };
+  }
+
+  if (code) {
+    return { valid: await useTOTPCode(userData, code), method: 'totp' };
+  }
+
+  if (!(await useRecoveryCode(userId, recovery_code))) {
+    return { valid: false, method: 'recovery_code' };
+  }
+
+  const { count } = await supabaseAdmin
+    .from('user_recovery_codes')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('used_at', null);
+
+  return { valid: true, method: 'recovery_code', recoveryCodesLeft: count || 0 };
+};
+
+// Remember that the user just passed a second factor in this login session
+export const recordStepUp = async (userId, sessionId) => {
+  const { error } = await supabaseAdmin
+    .from('users')
+    .update({
+      step_up_at: new Date().toISOString(),
+      step_up_session_id: sessionId || null
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+};
+
+export default {
+  RECOVERY_CODE_COUNT,
+  STEP_UP_MAX_AGE,
+  replaceRecoveryCodes,
+  deleteRecoveryCodes,
+  verifySecondFactor,
+  recordStepUp
+};
@@ -0,0 +1,205 @@
+import sharp from 'sharp';
+import { PDFDocument, StandardFonts, rgb, degrees } from 'pdf-lib';
+import { readStoredFile } from '../storage/index.js';
+import { getForensicLines, embedImageMark, embedPdfMark } from './forensicWatermark.js';
+import logger from './logger.js';
+
+// Files shared through a watermarked link (has_watermark) are stamped when they are served - the
+// stored file is never changed. The overlay comes from the link's watermark_options, falling back to:
+export const WATERMARK_POSITIONS = ['center', 'top-left', 'top-right', 'bottom-left', 'bottom-right', 'tiled'];
+
+export const DEFAULT_WATERMARK = {
+  text: process.env.WATERMARK_TEXT || 'Shared via VanishDrop',
+  position: WATERMARK_POSITIONS.includes(process.env.WATERMARK_POSITION) ? process.env.WATERMARK_POSITION : 'bottom-right',
+  opacity: parseFloat(process.env.WATERMARK_OPACITY) || 0.5,
+  include_recipient: true
+};
+
+// Watermarked files are rendered in memory, so bigger files are served as stored
+export const WATERMARK_MAX_BYTES = (parseInt(process.env.WATERMARK_MAX_MB) || 50) * 1024 * 1024;
+
+// PDFs are stamped unless WATERMARK_PDFS=false
+const WATERMARK_PDFS = process.env.WATERMARK_PDFS !== 'false';
+
+const IMAGE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/tiff': 'tiff',
+  'image/avif': 'avif'
+};
+
+// E2EE files can only be decrypted by the recipient, so their bytes can't be stamped
+export const supportsWatermark = (file) => {
+  if (file.is_encrypted || file.file_size > WATERMARK_MAX_BYTES) return false;
+  if (file.file_type === 'application/pdf') return WATERMARK_PDFS;
+  return !!IMAGE_FORMATS[file.file_type];
+};
+
+// Recipients are identified by the email they proved with an OTP, otherwise by a reference to their
+// open (the start of the deliveries' access_id), which the owner can find in the link's deliveries
+export const getRecipientIdentifier = (delivery) => {
+  if (!delivery) return null;
+  return delivery.recipient_email || `Ref ${delivery.access_id.slice(0, 8)}`;
+};
+
+// The link's options on top of the defaults, with the line identifying the recipient.
+// A forensic mark adds its details (visible) or its code to hide in the file (invisible).
+export const getWatermarkOptions = (linkData, { recipient = null, mark = null } = {}) => {
+  const options = { ...DEFAULT_WATERMARK, ...(linkData.watermark_options || {}) };
+  const visibleMark = mark?.mode === 'visible';
+  return {
+    text: linkData.has_watermark ? options.text : null,
+    position: options.position,
+    opacity: Math.min(1, Math.max(0.05, Number(options.opacity) || DEFAULT_WATERMARK.opacity)),
+    // A visible mark already names the recipient
+    recipient: linkData.has_watermark && options.include_recipient !== false && !visibleMark ? recipient : null,
+    details: visibleMark ? getForensicLines(mark) : [],
+    markCode: mark?.mode === 'invisible' ? mark.code : null
+  };
+};
+
+const escapeXml = (text) => String(text).replace(/[<>&'"]/g, char => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;'
+})[char]);
+
+const getLines = ({ text, recipient, details = [] }) => [text, recipient, ...details].filter(Boolean);
+
+// SVG overlay the size of the image
+const buildOverlay = (width, height, options) => {
+  const lines = getLines(options);
+  const fontSize = Math.max(12, Math.round(Math.min(width, height) / 20));
+  const lineHeight = Math.round(fontSize * 1.25);
+  const margin = Math.round(fontSize * 0.75);
+  const style = `font-family: sans-serif; font-size: ${fontSize}px; font-weight: bold; fill: white; stroke: black; stroke-width: ${Math.max(1, fontSize / 24)}px; paint-order: stroke`;
+
+  const textBlock = (x, y, anchor, extra = '') => `
+    <text x="${x}" y="${y}" text-anchor="${anchor}" style="${style}" ${extra}>
+      ${lines.map((line, index) => `<tspan x="${x}" dy="${index === 0 ? 0 : lineHeight}">${escapeXml(line)}</tspan>`).join('')}
+    </text>`;
+
+  let content;
+  if (options.position === 'tiled') {
+    const stepX = Math.max(fontSize * 12, Math.round(width / 3));
+    const stepY = lineHeight * (lines.length + 3);
+    const blocks = [];
+    for (let y = stepY / 2; y < height + stepY; y += stepY) {
+      for (let x = 0; x < width + stepX; x += stepX) {
+        blocks.push(textBlock(Math.round(x), Math.round(y), 'middle', `transform="rotate(-30 ${Math.round(x)} ${Math.round(y)})"`));
+      }
+    }
+    content = blocks.join('');
+  } else {
+    const blockHeight = lineHeight * (lines.length - 1);
+    const [vertical, horizontal = 'center'] = options.position === 'center' ? ['center'] : options.position.split('-');
+    const x = horizontal === 'left' ? margin : horizontal === 'right' ? width - margin : Math.round(width / 2);
+    const y = vertical === 'top' ? margin + fontSize : vertical === 'bottom' ? height - margin - blockHeight : Math.round((height - blockHeight) / 2);
+    const anchor = horizontal === 'left' ? 'start' : horizontal === 'right' ? 'end' : 'middle';
+    content = textBlock(x, y, anchor);
+  }
+
+  return Buffer.from(`<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg"><g opacity="${options.opacity}">${content}</g></svg>`);
+};
+
+// Stamp an image, keeping its format
+export const watermarkImage = async (buffer, file, options) => {
+  const format = IMAGE_FORMATS[file.file_type];
+  // Apply the EXIF orientation first, so the overlay isn't rotated with the image
+  const image = sharp(buffer).rotate();
+
+  if (getLines(options).length > 0) {
+    const { width, height, orientation } = await sharp(buffer).metadata();
+    const [outputWidth, outputHeight] = orientation >= 5 ? [height, width] : [width, height];
+    image.composite([{ input: buildOverlay(outputWidth, outputHeight, options), top: 0, left: 0 }]);
+  }
+
+  // The invisible mark goes in last, so nothing is drawn over it
+  if (options.markCode) {
+    const marked = await embedImageMark(image.clone(), format, options.markCode);
+    if (marked) return marked;
+    logger.warn(`⚠️ File ${file.id} can't carry an invisible forensic mark (${file.file_type})`);
+  }
+
+  return image.toFormat(format).toBuffer();
+};
+
+// Standard PDF fonts only cover WinAnsi - replace anything else
+const toWinAnsi = (text) => String(text).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+// Stamp every page of a PDF
+export const watermarkPdf = async (buffer, options) => {
+  const pdf = await PDFDocument.load(buffer);
+  const font = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const lines = getLines(options).map(toWinAnsi);
+
+  if (options.markCode) embedPdfMark(pdf, options.markCode);
+
+  for (const page of lines.length > 0 ? pdf.getPages() : []) {
+    const { width, height } = page.getSize();
+    const fontSize = Math.max(10, Math.round(Math.min(width, height) / 30));
+    const lineHeight = fontSize * 1.25;
+    const margin = fontSize;
+    const draw = (x, y, rotate = 0) => lines.forEach((line, index) => {
+      page.drawText(line, {
+        x,
+        y: y - index * lineHeight,
+        size: fontSize,
+        font,
+        color: rgb(0.5, 0.5, 0.5),
+        opacity: options.opacity,
+        rotate: degrees(rotate)
+      });
+    });
+
+    if (options.position === 'tiled') {
+      const stepX = Math.max(fontSize * 12, width / 3);
+      const stepY = lineHeight * (lines.length + 3);
+      for (let y = 0; y < height + stepY; y += stepY) {
+        for (let x = -stepX / 2; x < width; x += stepX) {
+          draw(x, y, 30);
+        }
+      }
+      continue;
+    }
+
+    const textWidth = Math.max(...lines.map(line => font.widthOfTextAtSize(line, fontSize)));
+    const blockHeight = lineHeight * (lines.length - 1);
+    const [vertical, horizontal = 'center'] = options.position === 'center' ? ['center'] : options.position.split('-');
+    const x = horizontal === 'left' ? margin : horizontal === 'right' ? width - margin - textWidth : (width - textWidth) / 2;
+    const y = vertical === 'top' ? height - margin - fontSize : vertical === 'bottom' ? margin + blockHeight : (height + blockHeight) / 2;
+    draw(x, y);
+  }
+
+  return Buffer.from(await pdf.save());
+};
+
+// Read a stored file and stamp it. Returns the stamped bytes, or null when the file type isn't
+// supported or can't be parsed (e.g. an encrypted PDF) - the caller then serves the file as stored.
+export const renderWatermarkedFile = async (file, options) => {
+  if (!supportsWatermark(file)) return null;
+
+  const buffer = await readStoredFile(file);
+
+  try {
+    return file.file_type === 'application/pdf'
+      ? await watermarkPdf(buffer, options)
+      : await watermarkImage(buffer, file, options);
+  } catch (error) {
+    logger.warn(`⚠️ Could not watermark file ${file.id} (${file.file_type}): ${error.message}`);
+    return null;
+  }
+};
+
+export default {
+  WATERMARK_POSITIONS,
+  DEFAULT_WATERMARK,
+  WATERMARK_MAX_BYTES,
+  supportsWatermark,
+  getRecipientIdentifier,
+  getWatermarkOptions,
+  watermarkImage,
+  watermarkPdf,
+  renderWatermarkedFile
+};
@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../../config/supabase.js';
+
+// Team workspaces: members share files, bundles, share links and a pooled storage quota.
+// Roles from most to least privileged:
+//   owner  - everything, including deleting the workspace and transferring ownership
+//   admin  - invite and remove members, manage every file and link in the workspace
+//   member - upload and share, manage what they created themselves
+//   viewer - read only
+export const WORKSPACE_ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+// There is exactly one owner - ownership is transferred, never invited
+export const INVITABLE_ROLES = ['admin', 'member', 'viewer'];
+
+export const MAX_WORKSPACE_MEMBERS = 50;
+export const WORKSPACE_INVITATION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+export const hasWorkspaceRole = (role, minRole) => {
+  const rank = WORKSPACE_ROLES.indexOf(role);
+  return rank !== -1 && rank <= WORKSPACE_ROLES.indexOf(minRole);
+};
+
+// Load a workspace together with the user's role in it. Returns null if the user isn't a member.
+export const getWorkspaceMembership = async (workspaceId, userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('workspace_members')
+    .select('role, workspaces (id, name, owner_id, storage_quota_bytes, created_at)')
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || !data.workspaces) return null;
+
+  return { ...data.workspaces, role: data.role };
+};
+
+// Restrict a query on uploaded_files, file_bundles or share_links to what the request works on:
+// the workspace's items in workspace scope, otherwise the user's personal items
+export const scopeToOwner = (query, req) => req.workspace
+  ? query.eq('workspace_id', req.workspace.id)
+  : query.eq('user_id', req.user.id).is('workspace_id', null);
+
+// Admins manage every item in the workspace, members only what they created themselves
+export const canManageItem = (req, item) => !req.workspace ||
+  hasWorkspaceRole(req.workspace.role, 'admin') ||
+  (req.workspace.role === 'member' && item.user_id === req.user.id);
+
+// Bytes currently stored in the workspace
+export const getWorkspaceStorageUsed = async (workspaceId) => {
+  const { data, error } = await supabaseAdmin
+    .rpc('get_workspace_storage_used', { p_workspace_id: workspaceId });
+
+  if (error) throw error;
+  return Number(data) || 0;
+};
+
+export const hashInvitationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Returns { token, tokenHash }. The token only goes out in the invitation email.
+export const generateInvitationToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashInvitationToken(token) };
+};
+
+export default {
+  WORKSPACE_ROLES,
+  INVITABLE_ROLES,
+  MAX_WORKSPACE_MEMBERS,
+  WORKSPACE_INVITATION_TTL,
+  hasWorkspaceRole,
+  getWorkspaceMembership,
+  scopeToOwner,
+  canManageItem,
+  getWorkspaceStorageUsed,
+  hashInvitationToken,
+  generateInvitationToken
+};
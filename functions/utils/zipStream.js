@@ -0,0 +1,92 @@
+import archiver from 'archiver';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import { storage, getFileStoragePath } from '../storage/index.js';
+
+// Only text compresses well - images, video, archives and Office files are stored as they are
+const COMPRESSIBLE_TYPES = ['application/json', 'application/xml', 'application/javascript', 'image/svg+xml'];
+
+const isCompressible = (mimetype) => !!mimetype && (mimetype.startsWith('text/') || COMPRESSIBLE_TYPES.includes(mimetype));
+
+// Names inside the archive: no folders (so nothing extracts outside the target directory) and no duplicates
+const getEntryNames = (files) => {
+  const used = new Set();
+
+  return files.map(file => {
+    const name = (file.filename || file.id).replace(/[\\/]/g, '_').replace(/^\.+/, '_');
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const extension = dot > 0 ? name.slice(dot) : '';
+
+    let entryName = name;
+    for (let copy = 1; used.has(entryName.toLowerCase()); copy++) {
+      entryName = `${base} (${copy})${extension}`;
+    }
+
+    used.add(entryName.toLowerCase());
+    return entryName;
+  });
+};
+
+// Stream a ZIP of the given files to the response. Files are read from storage one at a time and
+// written straight through, so nothing is buffered on disk or in memory.
+// renderFile can return bytes to put in the archive instead of the stored file (e.g. watermarked), or null.
+// Resolves with true once the whole archive has been sent, false if the client cancelled.
+export const streamZip = async (res, filename, files, { renderFile = null } = {}) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const aborted = new AbortController();
+  let current = null;
+
+  // Client went away - stop reading from storage
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    aborted.abort();
+    archive.abort();
+    current?.destroy();
+  });
+  archive.on('error', () => current?.destroy());
+
+  res.attachment(filename);
+  archive.pipe(res);
+
+  try {
+    const names = getEntryNames(files);
+
+    for (const [index, file] of files.entries()) {
+      let source = renderFile ? await renderFile(file) : null;
+      if (!source) {
+        const { data: stream, error } = await storage.createReadStream(getFileStoragePath(file));
+        if (error) throw new Error(`Failed to read file ${file.id} from storage: ${error.message}`);
+
+        current = stream;
+        source = stream;
+      }
+
+      const entryWritten = once(archive, 'entry', { signal: aborted.signal });
+      archive.append(source, {
+        name: names[index],
+        date: file.uploaded_at ? new Date(file.uploaded_at) : new Date(),
+        store: !isCompressible(file.file_type)
+      });
+      await entryWritten;
+    }
+
+    await archive.finalize();
+    await finished(res);
+    return true;
+  } catch (error) {
+    if (aborted.signal.aborted) {
+      console.log(`⚠️ ZIP download of ${filename} cancelled by the client`);
+      return false;
+    }
+
+    archive.unpipe(res);
+    archive.abort();
+    current?.destroy();
+    throw error;
+  }
+};
+
+export default {
+  streamZip
+};
@@ -483,6 +483,1271 @@ UPDATE public.users
 SET lifetime_upload_used = 0 
 WHERE lifetime_upload_used IS NULL;
 
+-- ============================================================================
+-- STEP 11: Resumable Upload Sessions
+-- ============================================================================
+
+-- Chunked uploads in progress. Chunks live in the storage backend under
+-- upload-chunks/ until the upload is completed; the uploaded_files row is only
+-- created on completion.
+CREATE TABLE IF NOT EXISTS public.upload_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  filename TEXT NOT NULL,
+  file_type TEXT NOT NULL,
+  file_size BIGINT NOT NULL,
+  chunk_size INTEGER NOT NULL,
+  total_chunks INTEGER NOT NULL,
+  expires_in_hours NUMERIC,
+  is_encrypted BOOLEAN DEFAULT FALSE,
+  encryption_iv TEXT,
+  original_filename TEXT,
+  original_file_type TEXT,
+  status TEXT NOT NULL DEFAULT 'uploading' CHECK (status IN ('uploading', 'completing', 'completed', 'aborted')),
+  file_id UUID REFERENCES public.uploaded_files(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_id ON public.upload_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires_at ON public.upload_sessions(expires_at);
+
+ALTER TABLE public.upload_sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own upload sessions" ON public.upload_sessions;
+CREATE POLICY "Users can view own upload sessions" ON public.upload_sessions
+  FOR SELECT USING (auth.uid() = user_id);
+
+GRANT ALL ON public.upload_sessions TO postgres, service_role;
+GRANT SELECT ON public.upload_sessions TO authenticated;
+
+-- ============================================================================
+-- STEP 12: Storage Paths
+-- ============================================================================
+
+-- Path of the object in the configured storage backend (STORAGE_DRIVER).
+-- file_url is kept for existing clients but no longer used to locate the file.
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'uploaded_files' 
+    AND column_name = 'storage_path'
+  ) THEN
+    ALTER TABLE public.uploaded_files ADD COLUMN storage_path TEXT;
+    RAISE NOTICE '✅ Added storage_path column';
+  END IF;
+END $$;
+
+-- Backfill from the Supabase public URLs saved by earlier versions
+UPDATE public.uploaded_files
+SET storage_path = regexp_replace(file_url, '^.*/object/public/user-files/', '')
+WHERE storage_path IS NULL
+AND file_url LIKE '%/object/public/user-files/%';
+
+-- ============================================================================
+-- STEP 13: Malware Scanning
+-- ============================================================================
+
+-- New uploads start as pending_scan and can't be shared until they are clean.
+-- Files uploaded before scanning existed are left shareable (marked clean).
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'uploaded_files' 
+    AND column_name = 'scan_status'
+  ) THEN
+    ALTER TABLE public.uploaded_files ADD COLUMN scan_status TEXT NOT NULL DEFAULT 'clean'
+      CHECK (scan_status IN ('pending_scan', 'clean', 'infected', 'scan_failed'));
+    ALTER TABLE public.uploaded_files ALTER COLUMN scan_status SET DEFAULT 'pending_scan';
+    ALTER TABLE public.uploaded_files ADD COLUMN scan_signature TEXT;
+    ALTER TABLE public.uploaded_files ADD COLUMN scan_attempts INTEGER DEFAULT 0;
+    ALTER TABLE public.uploaded_files ADD COLUMN scanned_at TIMESTAMPTZ;
+    RAISE NOTICE '✅ Added malware scan columns';
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_uploaded_files_scan_status ON public.uploaded_files(scan_status)
+  WHERE scan_status IN ('pending_scan', 'scan_failed');
+
+-- ============================================================================
+-- STEP 14: File Bundles
+-- ============================================================================
+
+-- A bundle groups several uploaded files so they can be shared under one link
+CREATE TABLE IF NOT EXISTS public.file_bundles (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  file_count INTEGER NOT NULL DEFAULT 0,
+  total_size BIGINT NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_file_bundles_user_id ON public.file_bundles(user_id);
+CREATE INDEX IF NOT EXISTS idx_file_bundles_expires_at ON public.file_bundles(expires_at);
+
+-- Files that belong to a bundle
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'uploaded_files' 
+    AND column_name = 'bundle_id'
+  ) THEN
+    ALTER TABLE public.uploaded_files ADD COLUMN bundle_id UUID REFERENCES public.file_bundles(id) ON DELETE CASCADE;
+    RAISE NOTICE '✅ Added uploaded_files.bundle_id column';
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_uploaded_files_bundle_id ON public.uploaded_files(bundle_id);
+
+-- A share link points at either a single file or a bundle
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'share_links' 
+    AND column_name = 'bundle_id'
+  ) THEN
+    ALTER TABLE public.share_links ADD COLUMN bundle_id UUID REFERENCES public.file_bundles(id) ON DELETE CASCADE;
+    ALTER TABLE public.share_links ALTER COLUMN file_id DROP NOT NULL;
+    ALTER TABLE public.share_links ADD CONSTRAINT share_links_target_check
+      CHECK ((file_id IS NULL) <> (bundle_id IS NULL));
+    RAISE NOTICE '✅ Added share_links.bundle_id column';
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_share_links_bundle_id ON public.share_links(bundle_id);
+
+ALTER TABLE public.file_bundles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own bundles" ON public.file_bundles;
+CREATE POLICY "Users can view own bundles" ON public.file_bundles
+  FOR SELECT USING (auth.uid() = user_id);
+
+GRANT ALL ON public.file_bundles TO postgres, service_role;
+GRANT SELECT ON public.file_bundles TO authenticated;
+
+-- ============================================================================
+-- STEP 15: Atomic Share Link Opens
+-- ============================================================================
+
+-- Archived links remember what they pointed at, so downloads started by the final open can finish
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'share_link_history' 
+    AND column_name = 'file_id'
+  ) THEN
+    ALTER TABLE public.share_link_history ADD COLUMN file_id UUID;
+    ALTER TABLE public.share_link_history ADD COLUMN bundle_id UUID;
+    ALTER TABLE public.share_link_history ADD COLUMN download_allowed BOOLEAN DEFAULT TRUE;
+    RAISE NOTICE '✅ Added share_link_history.file_id, bundle_id and download_allowed columns';
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_share_link_history_share_token ON public.share_link_history(share_token);
+
+-- Use one open of a share link. The max_opens check and the increment happen in a single UPDATE,
+-- so concurrent recipients can't go over the limit. The link is moved to share_link_history as
+-- soon as its final open is used.
+CREATE OR REPLACE FUNCTION public.consume_share_open(p_share_link_id UUID, p_ip_address TEXT DEFAULT 'unknown')
+RETURNS TABLE (consumed BOOLEAN, current_opens INTEGER, exhausted BOOLEAN)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_link public.share_links%ROWTYPE;
+BEGIN
+  UPDATE public.share_links AS sl
+  SET current_opens = sl.current_opens + 1
+  WHERE sl.id = p_share_link_id
+    AND (sl.max_opens IS NULL OR sl.current_opens < sl.max_opens)
+    AND (sl.expires_at IS NULL OR sl.expires_at > NOW())
+  RETURNING sl.* INTO v_link;
+
+  IF NOT FOUND THEN
+    -- Another recipient used the last open (or the link expired) in the meantime
+    INSERT INTO public.access_logs (share_link_id, ip_address, success)
+    SELECT sl.id, COALESCE(p_ip_address, 'unknown'), FALSE
+    FROM public.share_links AS sl
+    WHERE sl.id = p_share_link_id;
+
+    RETURN QUERY SELECT FALSE, NULL::INTEGER, FALSE;
+    RETURN;
+  END IF;
+
+  INSERT INTO public.access_logs (share_link_id, ip_address, success)
+  VALUES (v_link.id, COALESCE(p_ip_address, 'unknown'), TRUE);
+
+  IF v_link.max_opens IS NULL OR v_link.current_opens < v_link.max_opens THEN
+    RETURN QUERY SELECT TRUE, v_link.current_opens, FALSE;
+    RETURN;
+  END IF;
+
+  INSERT INTO public.share_link_history (
+    original_share_link_id,
+    user_id,
+    file_id,
+    bundle_id,
+    file_name,
+    file_size,
+    file_type,
+    share_token,
+    expires_at,
+    max_opens,
+    final_opens,
+    had_password,
+    had_otp,
+    had_qr_code,
+    had_watermark,
+    download_allowed,
+    created_at,
+    archived_at,
+    status
+  )
+  SELECT
+    v_link.id,
+    v_link.user_id,
+    v_link.file_id,
+    v_link.bundle_id,
+    COALESCE(f.filename, b.name, 'Unknown file'),
+    COALESCE(f.file_size, b.total_size, 0),
+    COALESCE(f.file_type, CASE WHEN b.id IS NOT NULL THEN 'bundle' ELSE 'unknown' END),
+    v_link.share_token,
+    COALESCE(v_link.expires_at, NOW()), -- History rows always have an expiry
+    v_link.max_opens,
+    v_link.current_opens,
+    v_link.password_hash IS NOT NULL,
+    COALESCE(v_link.require_otp, FALSE),
+    COALESCE(v_link.qr_code_enabled, FALSE),
+    COALESCE(v_link.has_watermark, FALSE),
+    COALESCE(v_link.download_allowed, TRUE),
+    v_link.created_at,
+    NOW(),
+    'max_opens_reached'
+  FROM (SELECT 1) AS link
+  LEFT JOIN public.uploaded_files AS f ON f.id = v_link.file_id
+  LEFT JOIN public.file_bundles AS b ON b.id = v_link.bundle_id;
+
+  DELETE FROM public.share_links WHERE id = v_link.id;
+
+  RETURN QUERY SELECT TRUE, v_link.current_opens, TRUE;
+END;
+$$;
+
+-- Only the backend may use up opens
+REVOKE EXECUTE ON FUNCTION public.consume_share_open(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.consume_share_open(UUID, TEXT) TO service_role;
+
+-- ============================================================================
+-- STEP 16: Burn After Read
+-- ============================================================================
+
+-- Destroy the shared file(s) once the link's final open has been downloaded
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'share_links' 
+    AND column_name = 'destroy_on_exhaust'
+  ) THEN
+    ALTER TABLE public.share_links ADD COLUMN destroy_on_exhaust BOOLEAN NOT NULL DEFAULT FALSE;
+    RAISE NOTICE '✅ Added share_links.destroy_on_exhaust column';
+  END IF;
+END $$;
+
+-- Set when the final open is used; the file is destroyed when its download completes, or at this time at the latest
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'uploaded_files' 
+    AND column_name = 'destroy_after'
+  ) THEN
+    ALTER TABLE public.uploaded_files ADD COLUMN destroy_after TIMESTAMPTZ;
+    RAISE NOTICE '✅ Added uploaded_files.destroy_after column';
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_uploaded_files_destroy_after ON public.uploaded_files(destroy_after)
+  WHERE destroy_after IS NOT NULL;
+
+-- ============================================================================
+-- STEP 17: OTP Store
+-- ============================================================================
+
+-- Share link OTPs when OTP_STORE=postgres. Only a hash of each code is kept.
+CREATE TABLE IF NOT EXISTS public.otp_codes (
+  identifier TEXT PRIMARY KEY,
+  code_hash TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  verified_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_otp_codes_expires_at ON public.otp_codes(expires_at);
+
+-- No policies: only the backend (service_role) reads and writes codes
+ALTER TABLE public.otp_codes ENABLE ROW LEVEL SECURITY;
+
+GRANT ALL ON public.otp_codes TO postgres, service_role;
+
+-- Count one verification attempt. Returns the new count, or NULL if there's no live code.
+CREATE OR REPLACE FUNCTION public.increment_otp_attempts(p_identifier TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE public.otp_codes
+  SET attempts = attempts + 1
+  WHERE identifier = p_identifier
+    AND expires_at > NOW()
+  RETURNING attempts;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.increment_otp_attempts(TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.increment_otp_attempts(TEXT) TO service_role;
+
+-- ============================================================================
+-- STEP 18: Authenticator App (TOTP)
+-- ============================================================================
+
+-- Account authenticator app. Secrets are encrypted by the backend (TOTP_ENCRYPTION_KEY).
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'users' 
+    AND column_name = 'totp_secret'
+  ) THEN
+    ALTER TABLE public.users ADD COLUMN totp_secret TEXT;
+    ALTER TABLE public.users ADD COLUMN totp_pending_secret TEXT;
+    ALTER TABLE public.users ADD COLUMN totp_enabled_at TIMESTAMPTZ;
+    RAISE NOTICE '✅ Added users.totp_secret, totp_pending_secret and totp_enabled_at columns';
+  END IF;
+END $$;
+
+-- Clients can update their own users row directly, so only the backend may change authenticator settings
+CREATE OR REPLACE FUNCTION public.protect_totp_columns()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF COALESCE(auth.role(), 'service_role') <> 'service_role' AND (
+    NEW.totp_secret IS DISTINCT FROM OLD.totp_secret OR
+    NEW.totp_pending_secret IS DISTINCT FROM OLD.totp_pending_secret OR
+    NEW.totp_enabled_at IS DISTINCT FROM OLD.totp_enabled_at
+  ) THEN
+    RAISE EXCEPTION 'Authenticator app settings can only be changed through the API';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_users_totp_columns ON public.users;
+CREATE TRIGGER protect_users_totp_columns
+  BEFORE UPDATE ON public.users
+  FOR EACH ROW
+  EXECUTE FUNCTION public.protect_totp_columns();
+
+-- Share links can require a code from an authenticator app instead of an email OTP:
+-- totp_mode 'link' uses the link's own secret, 'account' the owner's account secret
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'share_links' 
+    AND column_name = 'totp_mode'
+  ) THEN
+    ALTER TABLE public.share_links ADD COLUMN totp_mode TEXT CHECK (totp_mode IN ('link', 'account'));
+    ALTER TABLE public.share_links ADD COLUMN totp_secret TEXT;
+    ALTER TABLE public.share_links ADD COLUMN totp_pending_secret TEXT;
+    RAISE NOTICE '✅ Added share_links.totp_mode, totp_secret and totp_pending_secret columns';
+  END IF;
+END $$;
+
+-- ============================================================================
+-- STEP 19: Recipient Allow-Lists
+-- ============================================================================
+
+-- Emails and whole domains ('*@acme.com') allowed to open a share link, stored lowercase
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'share_links' 
+    AND column_name = 'allowed_recipients'
+  ) THEN
+    ALTER TABLE public.share_links ADD COLUMN allowed_recipients TEXT[];
+    RAISE NOTICE '✅ Added share_links.allowed_recipients column';
+  END IF;
+END $$;
+
+-- Email a recipient claimed on a rejected access attempt
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'access_logs' 
+    AND column_name = 'attempted_email'
+  ) THEN
+    ALTER TABLE public.access_logs ADD COLUMN attempted_email TEXT;
+    RAISE NOTICE '✅ Added access_logs.attempted_email column';
+  END IF;
+END $$;
+
+-- ============================================================================
+-- STEP 20: Account Two-Factor Authentication
+-- ============================================================================
+
+-- totp_last_step: time step of the last accepted code, so a code can't be used twice.
+-- step_up_at / step_up_session_id: when and in which login session the user last passed a second factor.
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'users' 
+    AND column_name = 'totp_last_step'
+  ) THEN
+    ALTER TABLE public.users ADD COLUMN totp_last_step BIGINT;
+    ALTER TABLE public.users ADD COLUMN step_up_at TIMESTAMPTZ;
+    ALTER TABLE public.users ADD COLUMN step_up_session_id TEXT;
+    RAISE NOTICE '✅ Added users.totp_last_step, step_up_at and step_up_session_id columns';
+  END IF;
+END $$;
+
+-- Single-use recovery codes (SHA-256 hashes) for when the authenticator app is lost
+CREATE TABLE IF NOT EXISTS public.user_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON public.user_recovery_codes(user_id);
+
+-- No policies: only the backend (service_role) reads and writes recovery codes
+ALTER TABLE public.user_recovery_codes ENABLE ROW LEVEL SECURITY;
+
+GRANT ALL ON public.user_recovery_codes TO postgres, service_role;
+
+-- The step-up columns must not be writable by clients either
+CREATE OR REPLACE FUNCTION public.protect_totp_columns()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF COALESCE(auth.role(), 'service_role') <> 'service_role' AND (
+    NEW.totp_secret IS DISTINCT FROM OLD.totp_secret OR
+    NEW.totp_pending_secret IS DISTINCT FROM OLD.totp_pending_secret OR
+    NEW.totp_enabled_at IS DISTINCT FROM OLD.totp_enabled_at OR
+    NEW.totp_last_step IS DISTINCT FROM OLD.totp_last_step OR
+    NEW.step_up_at IS DISTINCT FROM OLD.step_up_at OR
+    NEW.step_up_session_id IS DISTINCT FROM OLD.step_up_session_id
+  ) THEN
+    RAISE EXCEPTION 'Two-factor authentication settings can only be changed through the API';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+-- ============================================================================
+-- STEP 21: Personal API Keys
+-- ============================================================================
+
+-- Keys for scripts and CI jobs. Only a SHA-256 hash of each key is stored.
+CREATE TABLE IF NOT EXISTS public.api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL CHECK (scopes <@ ARRAY['upload', 'share', 'read']::TEXT[] AND cardinality(scopes) > 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  last_used_ip TEXT,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON public.api_keys(user_id);
+
+-- No policies: keys are managed through the API (service_role) only
+ALTER TABLE public.api_keys ENABLE ROW LEVEL SECURITY;
+
+GRANT ALL ON public.api_keys TO postgres, service_role;
+
+-- ============================================================================
+-- STEP 22: Team Workspaces
+-- ============================================================================
+
+-- Workspaces pool a storage quota (bytes currently stored) across their members
+CREATE TABLE IF NOT EXISTS public.workspaces (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  owner_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  storage_quota_bytes BIGINT NOT NULL DEFAULT 536870912000, -- 500GB
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspaces_owner_id ON public.workspaces(owner_id);
+
+CREATE TABLE IF NOT EXISTS public.workspace_members (
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'member', 'viewer')),
+  invited_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  joined_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON public.workspace_members(user_id);
+
+-- Pending invitations by email. Only a SHA-256 hash of the invitation token is stored.
+CREATE TABLE IF NOT EXISTS public.workspace_invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('admin', 'member', 'viewer')),
+  token_hash TEXT NOT NULL UNIQUE,
+  invited_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_workspace_id ON public.workspace_invitations(workspace_id);
+
+-- No policies: workspaces are managed through the API (service_role) only
+ALTER TABLE public.workspaces ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.workspace_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.workspace_invitations ENABLE ROW LEVEL SECURITY;
+
+GRANT ALL ON public.workspaces TO postgres, service_role;
+GRANT ALL ON public.workspace_members TO postgres, service_role;
+GRANT ALL ON public.workspace_invitations TO postgres, service_role;
+
+-- Files, bundles, share links and upload sessions created in a workspace belong to it.
+-- user_id stays the member who created them; if the workspace is deleted they go back to that member.
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'uploaded_files' 
+    AND column_name = 'workspace_id'
+  ) THEN
+    ALTER TABLE public.uploaded_files ADD COLUMN workspace_id UUID REFERENCES public.workspaces(id) ON DELETE SET NULL;
+    ALTER TABLE public.file_bundles ADD COLUMN workspace_id UUID REFERENCES public.workspaces(id) ON DELETE SET NULL;
+    ALTER TABLE public.share_links ADD COLUMN workspace_id UUID REFERENCES public.workspaces(id) ON DELETE SET NULL;
+    ALTER TABLE public.upload_sessions ADD COLUMN workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE;
+    RAISE NOTICE '✅ Added workspace_id columns to uploaded_files, file_bundles, share_links and upload_sessions';
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_uploaded_files_workspace_id ON public.uploaded_files(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_file_bundles_workspace_id ON public.file_bundles(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_share_links_workspace_id ON public.share_links(workspace_id);
+
+-- Bytes currently stored in a workspace, counted against storage_quota_bytes
+CREATE OR REPLACE FUNCTION public.get_workspace_storage_used(p_workspace_id UUID)
+RETURNS BIGINT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(SUM(file_size), 0)::BIGINT
+  FROM public.uploaded_files
+  WHERE workspace_id = p_workspace_id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.get_workspace_storage_used(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_workspace_storage_used(UUID) TO service_role;
+
+-- ============================================================================
+-- STEP 23: Share Link Audit Events
+-- ============================================================================
+
+-- Who changed what on a share link. share_link_id has no foreign key so the
+-- trail outlives the link. Secrets are never recorded.
+CREATE TABLE IF NOT EXISTS public.share_link_audit_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  share_link_id UUID NOT NULL,
+  workspace_id UUID REFERENCES public.workspaces(id) ON DELETE SET NULL,
+  actor_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  action TEXT NOT NULL,
+  changes JSONB NOT NULL DEFAULT '{}'::JSONB,
+  ip_address TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_link_audit_events_link ON public.share_link_audit_events(share_link_id, created_at DESC);
+
+-- No policies: audit events are written and read through the API (service_role) only
+ALTER TABLE public.share_link_audit_events ENABLE ROW LEVEL SECURITY;
+
+GRANT ALL ON public.share_link_audit_events TO postgres, service_role;
+
+-- ============================================================================
+-- STEP 24: Scheduled Share Links
+-- ============================================================================
+
+-- available_from: the link can be sent ahead of an embargo but doesn't open before this time
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'share_links' 
+    AND column_name = 'available_from'
+  ) THEN
+    ALTER TABLE public.share_links ADD COLUMN available_from TIMESTAMPTZ;
+    ALTER TABLE public.share_link_history ADD COLUMN available_from TIMESTAMPTZ;
+    RAISE NOTICE '✅ Added share_links.available_from and share_link_history.available_from columns';
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_share_links_available_from ON public.share_links(available_from)
+  WHERE available_from IS NOT NULL;
+
+-- Scheduled links that were archived before they ever became available
+ALTER TABLE public.share_link_history DROP CONSTRAINT IF EXISTS share_link_history_status_check;
+ALTER TABLE public.share_link_history ADD CONSTRAINT share_link_history_status_check
+  CHECK (status IN ('expired', 'deleted', 'max_opens_reached', 'never_activated'));
+
+-- ============================================================================
+-- STEP 25: Download Deliveries
+-- ============================================================================
+
+-- Owners can opt into a receipt email when a recipient finishes downloading
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'share_links' 
+    AND column_name = 'notify_on_delivery'
+  ) THEN
+    ALTER TABLE public.share_links ADD COLUMN notify_on_delivery BOOLEAN DEFAULT FALSE;
+    RAISE NOTICE '✅ Added share_links.notify_on_delivery column';
+  END IF;
+END $$;
+
+-- One row per file handed out by /access or /zip. Rows of the same open share an access_id.
+-- No foreign keys on the link or file: the final open archives the link and burn-after-read deletes the file.
+CREATE TABLE IF NOT EXISTS public.share_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  access_id UUID NOT NULL,
+  share_link_id UUID NOT NULL,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE, -- Link owner, NULL for anonymous links
+  file_id UUID,
+  file_name TEXT NOT NULL,
+  file_size BIGINT NOT NULL DEFAULT 0,
+  tracking TEXT NOT NULL CHECK (tracking IN ('proxy', 'callback', 'zip')),
+  recipient_email TEXT, -- Only when proven with an email OTP
+  ip_address TEXT,
+  bytes_served BIGINT NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'in_progress', 'completed')),
+  notify_owner BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  notified_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_deliveries_share_link_id ON public.share_deliveries(share_link_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_share_deliveries_access_id ON public.share_deliveries(access_id);
+
+ALTER TABLE public.share_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Add bytes served to a delivery. It is completed once a response reached the end of the file and
+-- at least the whole file has been served. notify is true for exactly one call per open: the one
+-- that completes its last file, when the owner asked for a receipt.
+CREATE OR REPLACE FUNCTION public.record_share_delivery(p_delivery_id UUID, p_bytes BIGINT, p_reached_end BOOLEAN)
+RETURNS TABLE (delivery_status TEXT, notify BOOLEAN)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_delivery public.share_deliveries%ROWTYPE;
+BEGIN
+  -- Files of one open finish concurrently - lock them all so only one call sees the last one complete
+  PERFORM 1
+  FROM public.share_deliveries AS d
+  WHERE d.access_id = (SELECT s.access_id FROM public.share_deliveries AS s WHERE s.id = p_delivery_id)
+  FOR UPDATE;
+
+  UPDATE public.share_deliveries AS d
+  SET bytes_served = d.bytes_served + GREATEST(p_bytes, 0),
+      status = CASE
+        WHEN d.status = 'completed' OR (p_reached_end AND d.bytes_served + GREATEST(p_bytes, 0) >= d.file_size) THEN 'completed'
+        WHEN d.bytes_served + GREATEST(p_bytes, 0) > 0 THEN 'in_progress'
+        ELSE d.status
+      END,
+      completed_at = CASE
+        WHEN d.completed_at IS NULL AND p_reached_end AND d.bytes_served + GREATEST(p_bytes, 0) >= d.file_size THEN NOW()
+        ELSE d.completed_at
+      END
+  WHERE d.id = p_delivery_id
+  RETURNING d.* INTO v_delivery;
+
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT NULL::TEXT, FALSE;
+    RETURN;
+  END IF;
+
+  IF v_delivery.status <> 'completed' OR NOT v_delivery.notify_owner THEN
+    RETURN QUERY SELECT v_delivery.status, FALSE;
+    RETURN;
+  END IF;
+
+  UPDATE public.share_deliveries AS d
+  SET notified_at = NOW()
+  WHERE d.access_id = v_delivery.access_id
+    AND d.notified_at IS NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM public.share_deliveries AS o
+      WHERE o.access_id = v_delivery.access_id
+      AND o.status <> 'completed'
+    );
+
+  RETURN QUERY SELECT v_delivery.status, FOUND;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.record_share_delivery(UUID, BIGINT, BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_share_delivery(UUID, BIGINT, BOOLEAN) TO service_role;
+
+-- ============================================================================
+-- STEP 26: Watermark Options
+-- ============================================================================
+
+-- Overlay of a watermarked share link: { text, position, opacity, include_recipient }.
+-- NULL uses the defaults (WATERMARK_TEXT, WATERMARK_POSITION, WATERMARK_OPACITY).
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'share_links' 
+    AND column_name = 'watermark_options'
+  ) THEN
+    ALTER TABLE public.share_links ADD COLUMN watermark_options JSONB;
+    RAISE NOTICE '✅ Added share_links.watermark_options column';
+  END IF;
+
+  -- Files are still stamped with tickets handed out by a used-up link's final open
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'share_link_history' 
+    AND column_name = 'watermark_options'
+  ) THEN
+    ALTER TABLE public.share_link_history ADD COLUMN watermark_options JSONB;
+    RAISE NOTICE '✅ Added share_link_history.watermark_options column';
+  END IF;
+END $$;
+
+-- ============================================================================
+-- STEP 27: Forensic Watermarks
+-- ============================================================================
+
+-- Pro links can stamp each recipient's copy with a mark that leads back to their open
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'share_links' 
+    AND column_name = 'forensic_watermark'
+  ) THEN
+    ALTER TABLE public.share_links ADD COLUMN forensic_watermark TEXT CHECK (forensic_watermark IN ('visible', 'invisible'));
+    RAISE NOTICE '✅ Added share_links.forensic_watermark column';
+  END IF;
+END $$;
+
+-- One mark per open, with the recipient's details printed on visible marks and the open's access log
+-- entry. No foreign key on the link: the final open archives it.
+CREATE TABLE IF NOT EXISTS public.share_forensic_marks (
+  code TEXT PRIMARY KEY, -- 16 hex characters embedded in the recipient's copy
+  share_link_id UUID NOT NULL,
+  access_id UUID NOT NULL, -- share_deliveries.access_id of the open
+  access_log_id UUID,
+  mode TEXT NOT NULL CHECK (mode IN ('visible', 'invisible')),
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+  workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  recipient_email TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_forensic_marks_access_id ON public.share_forensic_marks(access_id);
+
+ALTER TABLE public.share_forensic_marks ENABLE ROW LEVEL SECURITY;
+
+-- consume_share_open now records the recipient's proven email on the access log and returns the
+-- log's ID. The signature changes, so the STEP 15 version is dropped.
+DROP FUNCTION IF EXISTS public.consume_share_open(UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION public.consume_share_open(p_share_link_id UUID, p_ip_address TEXT DEFAULT 'unknown', p_recipient_email TEXT DEFAULT NULL)
+RETURNS TABLE (consumed BOOLEAN, current_opens INTEGER, exhausted BOOLEAN, access_log_id UUID)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_link public.share_links%ROWTYPE;
+  v_access_log_id UUID;
+BEGIN
+  UPDATE public.share_links AS sl
+  SET current_opens = sl.current_opens + 1
+  WHERE sl.id = p_share_link_id
+    AND (sl.max_opens IS NULL OR sl.current_opens < sl.max_opens)
+    AND (sl.expires_at IS NULL OR sl.expires_at > NOW())
+  RETURNING sl.* INTO v_link;
+
+  IF NOT FOUND THEN
+    -- Another recipient used the last open (or the link expired) in the meantime
+    INSERT INTO public.access_logs (share_link_id, ip_address, success, attempted_email)
+    SELECT sl.id, COALESCE(p_ip_address, 'unknown'), FALSE, p_recipient_email
+    FROM public.share_links AS sl
+    WHERE sl.id = p_share_link_id;
+
+    RETURN QUERY SELECT FALSE, NULL::INTEGER, FALSE, NULL::UUID;
+    RETURN;
+  END IF;
+
+  INSERT INTO public.access_logs (share_link_id, ip_address, success, attempted_email)
+  VALUES (v_link.id, COALESCE(p_ip_address, 'unknown'), TRUE, p_recipient_email)
+  RETURNING id INTO v_access_log_id;
+
+  IF v_link.max_opens IS NULL OR v_link.current_opens < v_link.max_opens THEN
+    RETURN QUERY SELECT TRUE, v_link.current_opens, FALSE, v_access_log_id;
+    RETURN;
+  END IF;
+
+  INSERT INTO public.share_link_history (
+    original_share_link_id,
+    user_id,
+    file_id,
+    bundle_id,
+    file_name,
+    file_size,
+    file_type,
+    share_token,
+    expires_at,
+    available_from,
+    max_opens,
+    final_opens,
+    had_password,
+    had_otp,
+    had_qr_code,
+    had_watermark,
+    download_allowed,
+    created_at,
+    archived_at,
+    status
+  )
+  SELECT
+    v_link.id,
+    v_link.user_id,
+    v_link.file_id,
+    v_link.bundle_id,
+    COALESCE(f.filename, b.name, 'Unknown file'),
+    COALESCE(f.file_size, b.total_size, 0),
+    COALESCE(f.file_type, CASE WHEN b.id IS NOT NULL THEN 'bundle' ELSE 'unknown' END),
+    v_link.share_token,
+    COALESCE(v_link.expires_at, NOW()), -- History rows always have an expiry
+    v_link.available_from,
+    v_link.max_opens,
+    v_link.current_opens,
+    v_link.password_hash IS NOT NULL,
+    COALESCE(v_link.require_otp, FALSE),
+    COALESCE(v_link.qr_code_enabled, FALSE),
+    COALESCE(v_link.has_watermark, FALSE),
+    COALESCE(v_link.download_allowed, TRUE),
+    v_link.created_at,
+    NOW(),
+    'max_opens_reached'
+  FROM (SELECT 1) AS link
+  LEFT JOIN public.uploaded_files AS f ON f.id = v_link.file_id
+  LEFT JOIN public.file_bundles AS b ON b.id = v_link.bundle_id;
+
+  DELETE FROM public.share_links WHERE id = v_link.id;
+
+  RETURN QUERY SELECT TRUE, v_link.current_opens, TRUE, v_access_log_id;
+END;
+$$;
+
+-- Only the backend may use up opens
+REVOKE EXECUTE ON FUNCTION public.consume_share_open(UUID, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.consume_share_open(UUID, TEXT, TEXT) TO service_role;
+
+-- ============================================================================
+-- STEP 28: Thumbnails
+-- ============================================================================
+
+-- Thumbnails are generated in the background once an image has passed the malware scan and stored
+-- next to the file. thumbnail_status: NULL (none yet), ready or failed - failed ones are retried
+-- until thumbnail_attempts reaches the limit.
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'uploaded_files' 
+    AND column_name = 'thumbnail_status'
+  ) THEN
+    ALTER TABLE public.uploaded_files ADD COLUMN thumbnail_url TEXT;
+    ALTER TABLE public.uploaded_files ADD COLUMN thumbnail_path TEXT;
+    ALTER TABLE public.uploaded_files ADD COLUMN thumbnail_status TEXT
+      CHECK (thumbnail_status IN ('ready', 'failed'));
+    ALTER TABLE public.uploaded_files ADD COLUMN thumbnail_attempts INTEGER DEFAULT 0;
+    RAISE NOTICE '✅ Added thumbnail columns';
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_uploaded_files_thumbnail_status ON public.uploaded_files(thumbnail_status)
+  WHERE thumbnail_status IS NULL OR thumbnail_status = 'failed';
+
+-- Share recipients can see thumbnails of the files behind a link unless the owner turns previews off
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'share_links' 
+    AND column_name = 'allow_preview'
+  ) THEN
+    ALTER TABLE public.share_links ADD COLUMN allow_preview BOOLEAN NOT NULL DEFAULT TRUE;
+    RAISE NOTICE '✅ Added share_links.allow_preview column';
+  END IF;
+
+  -- Download tickets of a used-up link stay valid, so its history row keeps the setting
+  IF NOT EXISTS (
+    SELECT 1 
+    FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'share_link_history' 
+    AND column_name = 'allow_preview'
+  ) THEN
+    ALTER TABLE public.share_link_history ADD COLUMN allow_preview BOOLEAN NOT NULL DEFAULT TRUE;
+    RAISE NOTICE '✅ Added share_link_history.allow_preview column';
+  END IF;
+END $$;
+
+-- ============================================================================
+-- STEP 29: Image metadata stripping
+-- ============================================================================
+
+-- Users can have EXIF/GPS metadata removed from every photo they upload, unless an upload
+-- says otherwise (strip_metadata)
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'users' 
+    AND column_name = 'strip_image_metadata'
+  ) THEN
+    ALTER TABLE public.users ADD COLUMN strip_image_metadata BOOLEAN NOT NULL DEFAULT FALSE;
+    RAISE NOTICE '✅ Added users.strip_image_metadata column';
+  END IF;
+END $$;
+
+-- ============================================================================
+-- STEP 30: Keep Access Logs of Archived Share Links
+-- ============================================================================
+
+-- Access logs used to be deleted with their share link, so links that were used up or expired lost
+-- their whole access history. They now move to the link's share_link_history row instead.
+ALTER TABLE public.access_logs ALTER COLUMN share_link_id DROP NOT NULL;
+ALTER TABLE public.access_logs DROP CONSTRAINT IF EXISTS access_logs_share_link_id_fkey;
+ALTER TABLE public.access_logs ADD CONSTRAINT access_logs_share_link_id_fkey
+  FOREIGN KEY (share_link_id) REFERENCES public.share_links(id) ON DELETE SET NULL;
+
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'access_logs' 
+    AND column_name = 'share_link_history_id'
+  ) THEN
+    ALTER TABLE public.access_logs ADD COLUMN share_link_history_id UUID REFERENCES public.share_link_history(id) ON DELETE CASCADE;
+    RAISE NOTICE '✅ Added access_logs.share_link_history_id column';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'share_link_history' 
+    AND column_name = 'workspace_id'
+  ) THEN
+    ALTER TABLE public.share_link_history ADD COLUMN workspace_id UUID REFERENCES public.workspaces(id) ON DELETE SET NULL;
+    RAISE NOTICE '✅ Added share_link_history.workspace_id column';
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_access_logs_share_link_history_id ON public.access_logs(share_link_history_id)
+  WHERE share_link_history_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_share_link_history_original_id ON public.share_link_history(original_share_link_id);
+
+DROP POLICY IF EXISTS "Users can view access logs for own share links" ON public.access_logs;
+CREATE POLICY "Users can view access logs for own share links" ON public.access_logs
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.share_links
+      WHERE share_links.id = access_logs.share_link_id
+      AND share_links.user_id = auth.uid()
+    )
+    OR EXISTS (
+      SELECT 1 FROM public.share_link_history
+      WHERE share_link_history.id = access_logs.share_link_history_id
+      AND share_link_history.user_id = auth.uid()
+    )
+  );
+
+-- Move a share link to share_link_history with the given status, taking its access logs along,
+-- and delete it. Used for the final open and by the cleanup jobs. Returns the history row's ID,
+-- or NULL when the link no longer exists.
+CREATE OR REPLACE FUNCTION public.archive_share_link(p_share_link_id UUID, p_status TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_link public.share_links%ROWTYPE;
+  v_history_id UUID;
+BEGIN
+  SELECT * INTO v_link FROM public.share_links WHERE id = p_share_link_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO public.share_link_history (
+    original_share_link_id,
+    user_id,
+    workspace_id,
+    file_id,
+    bundle_id,
+    file_name,
+    file_size,
+    file_type,
+    share_token,
+    expires_at,
+    available_from,
+    max_opens,
+    final_opens,
+    had_password,
+    had_otp,
+    had_qr_code,
+    had_watermark,
+    download_allowed,
+    allow_preview,
+    watermark_options,
+    created_at,
+    archived_at,
+    status
+  )
+  SELECT
+    v_link.id,
+    v_link.user_id,
+    v_link.workspace_id,
+    v_link.file_id,
+    v_link.bundle_id,
+    COALESCE(f.filename, b.name, 'Unknown file'),
+    COALESCE(f.file_size, b.total_size, 0),
+    COALESCE(f.file_type, CASE WHEN b.id IS NOT NULL THEN 'bundle' ELSE 'unknown' END),
+    v_link.share_token,
+    COALESCE(v_link.expires_at, NOW()), -- History rows always have an expiry
+    v_link.available_from,
+    v_link.max_opens,
+    COALESCE(v_link.current_opens, 0),
+    v_link.password_hash IS NOT NULL,
+    COALESCE(v_link.require_otp, FALSE),
+    COALESCE(v_link.qr_code_enabled, FALSE),
+    COALESCE(v_link.has_watermark, FALSE),
+    COALESCE(v_link.download_allowed, TRUE),
+    COALESCE(v_link.allow_preview, TRUE),
+    v_link.watermark_options,
+    v_link.created_at,
+    NOW(),
+    p_status
+  FROM (SELECT 1) AS link
+  LEFT JOIN public.uploaded_files AS f ON f.id = v_link.file_id
+  LEFT JOIN public.file_bundles AS b ON b.id = v_link.bundle_id
+  RETURNING id INTO v_history_id;
+
+  UPDATE public.access_logs
+  SET share_link_history_id = v_history_id
+  WHERE share_link_id = v_link.id;
+
+  DELETE FROM public.share_links WHERE id = v_link.id;
+
+  RETURN v_history_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.archive_share_link(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.archive_share_link(UUID, TEXT) TO service_role;
+
+-- The final open archives the link through archive_share_link, so its access logs are kept
+CREATE OR REPLACE FUNCTION public.consume_share_open(p_share_link_id UUID, p_ip_address TEXT DEFAULT 'unknown', p_recipient_email TEXT DEFAULT NULL)
+RETURNS TABLE (consumed BOOLEAN, current_opens INTEGER, exhausted BOOLEAN, access_log_id UUID)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_link public.share_links%ROWTYPE;
+  v_access_log_id UUID;
+BEGIN
+  UPDATE public.share_links AS sl
+  SET current_opens = sl.current_opens + 1
+  WHERE sl.id = p_share_link_id
+    AND (sl.max_opens IS NULL OR sl.current_opens < sl.max_opens)
+    AND (sl.expires_at IS NULL OR sl.expires_at > NOW())
+  RETURNING sl.* INTO v_link;
+
+  IF NOT FOUND THEN
+    -- Another recipient used the last open (or the link expired) in the meantime
+    INSERT INTO public.access_logs (share_link_id, ip_address, success, attempted_email)
+    SELECT sl.id, COALESCE(p_ip_address, 'unknown'), FALSE, p_recipient_email
+    FROM public.share_links AS sl
+    WHERE sl.id = p_share_link_id;
+
+    RETURN QUERY SELECT FALSE, NULL::INTEGER, FALSE, NULL::UUID;
+    RETURN;
+  END IF;
+
+  INSERT INTO public.access_logs (share_link_id, ip_address, success, attempted_email)
+  VALUES (v_link.id, COALESCE(p_ip_address, 'unknown'), TRUE, p_recipient_email)
+  RETURNING id INTO v_access_log_id;
+
+  IF v_link.max_opens IS NULL OR v_link.current_opens < v_link.max_opens THEN
+    RETURN QUERY SELECT TRUE, v_link.current_opens, FALSE, v_access_log_id;
+    RETURN;
+  END IF;
+
+  PERFORM public.archive_share_link(v_link.id, 'max_opens_reached');
+
+  RETURN QUERY SELECT TRUE, v_link.current_opens, TRUE, v_access_log_id;
+END;
+$$;
+
+-- ============================================================================
+-- STEP 31: Forensic Marks Keep Their Access Log
+-- ============================================================================
+
+-- Access logs now outlive their link (STEP 30), so marks can point at them for good. Marks from
+-- before then may point at logs that were deleted with their link.
+UPDATE public.share_forensic_marks AS m
+SET access_log_id = NULL
+WHERE access_log_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM public.access_logs AS a WHERE a.id = m.access_log_id);
+
+ALTER TABLE public.share_forensic_marks DROP CONSTRAINT IF EXISTS share_forensic_marks_access_log_id_fkey;
+ALTER TABLE public.share_forensic_marks ADD CONSTRAINT share_forensic_marks_access_log_id_fkey
+  FOREIGN KEY (access_log_id) REFERENCES public.access_logs(id) ON DELETE SET NULL;
+
+-- Delete access logs older than p_before, except the ones a forensic mark leads to - a leaked copy
+-- can turn up long after the open. Returns the number of logs deleted.
+CREATE OR REPLACE FUNCTION public.delete_old_access_logs(p_before TIMESTAMPTZ)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_deleted INTEGER;
+BEGIN
+  DELETE FROM public.access_logs AS a
+  WHERE a.accessed_at < p_before
+    AND NOT EXISTS (SELECT 1 FROM public.share_forensic_marks AS m WHERE m.access_log_id = a.id);
+
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+  RETURN v_deleted;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.delete_old_access_logs(TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.delete_old_access_logs(TIMESTAMPTZ) TO service_role;
+
+-- ============================================================================
+-- STEP 32: Files Outside the Storage Bucket
+-- ============================================================================
+
+-- Earlier versions stored anonymous uploads in the "files" bucket instead of "user-files".
+-- storage_bucket records where such files still are; the backend moves them into STORAGE_BUCKET
+-- and clears it. NULL means the configured bucket.
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns 
+    WHERE table_schema = 'public' 
+    AND table_name = 'uploaded_files' 
+    AND column_name = 'storage_bucket'
+  ) THEN
+    ALTER TABLE public.uploaded_files ADD COLUMN storage_bucket TEXT;
+    RAISE NOTICE '✅ Added uploaded_files.storage_bucket column';
+  END IF;
+END $$;
+
+UPDATE public.uploaded_files
+SET storage_path = regexp_replace(file_url, '^.*/object/public/files/', ''),
+    storage_bucket = 'files'
+WHERE storage_path IS NULL
+AND file_url LIKE '%/object/public/files/%';
+
+CREATE INDEX IF NOT EXISTS idx_uploaded_files_storage_bucket ON public.uploaded_files(storage_bucket)
+  WHERE storage_bucket IS NOT NULL;
+
 -- ============================================================================
 -- SUCCESS MESSAGE
 -- ============================================================================